@@ -1,5 +1,48 @@
 ﻿// Canvas interaction module with zoom, pan, touch, and wheel support
-export function initCanvasInteraction(canvasId) {
+import { imageProcessor } from './imageProcessor.js';
+import * as db from './indexedDbAccessor.js';
+import { notify } from './dotNetCallback.js';
+import { createUrlScope, disposeUrlScope } from './objectUrlRegistry.js';
+import { resolveItemAdjustments } from './colorAdjust.js';
+
+// Pointer movement (px) below which a press counts as a click rather than a pan
+const CLICK_TOLERANCE = 4;
+
+// Keyboard steps: arrow keys pan by PAN_STEP px (times PAN_STEP_LARGE with Shift)
+const PAN_STEP = 40;
+const PAN_STEP_LARGE = 5;
+
+// Zoom limits, and how much of the mosaic (px on screen) must stay inside the container
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 10;
+const MIN_VISIBLE = 80;
+
+// Animated transitions (ms); wheel steps are short so fast scrolling still feels direct
+const ZOOM_DURATION = 200;
+const WHEEL_DURATION = 100;
+// Wheel zoom per pixel of deltaY (a notch is about 100px, giving ~1.16x)
+const WHEEL_ZOOM_RATE = 0.0015;
+
+// Momentum: release speeds below this (px/ms) just stop; velocity halves every INERTIA_HALF_LIFE ms
+const INERTIA_MIN_SPEED = 0.05;
+const INERTIA_HALF_LIFE = 120;
+// Only pointer moves within this window (ms) before release count towards the fling speed
+const VELOCITY_WINDOW = 80;
+
+// Two taps or clicks within this time (ms) and distance (px) are a double tap
+const DOUBLE_TAP_TIME = 300;
+const DOUBLE_TAP_DISTANCE = 25;
+const DOUBLE_TAP_ZOOM = 2;
+
+// options: { listener, inspect, label }. listener is a DotNetObjectReference exposing OnTileSelected and
+// OnTileChanged, or a JS callback. With inspect on, a click or tap selects the tile under the
+// pointer; dragging still pans. label names the viewer for screen readers.
+//
+// Keyboard (the container is focusable): arrows pan (Shift for larger steps), + and - zoom,
+// 0 fits. Enter starts the tile cursor, which the arrows then move cell by cell, with each
+// tile described through a live region; Enter or Space selects it, Home/End jump to the
+// first/last tile and Escape leaves the cursor.
+export function initCanvasInteraction(canvasId, options = {}) {
     const canvas = document.getElementById(canvasId);
     if (!canvas) return null;
 
@@ -20,7 +63,44 @@ export function initCanvasInteraction(canvasId) {
     let startX, startY;
     let lastTouchDistance = 0;
 
+    // Smooth zoom/pan state
+    let animation = null; // { from, to, start, duration, frame, resolve }
+    let inertia = null; // { vx, vy, last, frame }
+    let panSamples = []; // recent { x, y, t } while dragging, for the release velocity
+    let lastTap = null; // { x, y, t } of the previous tap, for double tap
+
+    // Tile inspector state
+    let listener = options?.listener ?? null;
+    let inspectMode = !!options?.inspect;
+    // { width, height, background, tiles, overlays } as for exportMosaic; a tile may also carry
+    // sourceImageId (its ImageData id), candidates ([{ imageId | imageUrl, sourceImageId, distance }]) and locked
+    let layout = null;
+    let selectedIndex = -1;
+    let pressX = 0, pressY = 0, pressMoved = false;
+    let renderQueue = Promise.resolve();
+    const urlCache = new Map(); // imageId -> object URL
+    let urlScope = createUrlScope(`canvas ${canvasId}`);
+
     const container = canvas.parentElement;
+    // Restored by dispose
+    const savedAttributes = ['tabindex', 'role', 'aria-roledescription', 'aria-label']
+        .map(name => [name, container.getAttribute(name)]);
+    const savedCursor = container.style.cursor;
+    const containerListeners = [];
+    const highlight = createHighlight();
+    if (inspectMode) container.style.cursor = 'crosshair';
+
+    // Keyboard and screen reader state
+    let cursorIndex = -1;
+    let gridPositions = null; // cached row/column lookup for the current layout
+    let announceToken = 0;
+    const reducedMotionQuery = typeof window.matchMedia === 'function' ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    const cursorOutline = createOverlay('tile-keyboard-cursor', '2px dashed #4fc3f7');
+    const liveRegion = createLiveRegion();
+    if (!container.hasAttribute('tabindex')) container.tabIndex = 0;
+    container.setAttribute('role', 'application');
+    container.setAttribute('aria-roledescription', 'mosaic viewer');
+    container.setAttribute('aria-label', options?.label ?? 'Mosaic');
 
     // Apply initial transform
     applyTransform();
@@ -28,93 +108,739 @@ export function initCanvasInteraction(canvasId) {
     // Fit canvas to container initially
     fitToContainer();
 
+    // addEventListener on the container, remembered so dispose can remove it
+    function listen(type, handler, listenerOptions = undefined) {
+        container.addEventListener(type, handler, listenerOptions);
+        containerListeners.push([type, handler, listenerOptions]);
+    }
+
+    function prefersReducedMotion() {
+        return !!reducedMotionQuery?.matches;
+    }
+
     // Helper function to apply transform
     function applyTransform() {
         canvas.style.transform = `translate(${offsetX}px, ${offsetY}px) scale(${scale})`;
         canvas.style.transformOrigin = '0 0';
+        positionHighlight();
+        positionCursor();
     }
 
-    // Reset to fit container
-    function fitToContainer() {
+    // ===== View state: bounds and animation =====
+
+    function currentView() {
+        return { scale, offsetX, offsetY };
+    }
+
+    // Where the view is heading: the end of a running animation, otherwise where it is
+    function targetView() {
+        return animation ? animation.to : currentView();
+    }
+
+    // Scale at which the whole canvas fits the container, with a small margin
+    function fitScale() {
         const containerRect = container.getBoundingClientRect();
-        const containerWidth = containerRect.width;
-        const containerHeight = containerRect.height;
+        const scaleX = containerRect.width / originalWidth;
+        const scaleY = containerRect.height / originalHeight;
+        return Math.min(scaleX, scaleY) * 0.95; // 95% to add a small margin
+    }
 
-        const scaleX = containerWidth / originalWidth;
-        const scaleY = containerHeight / originalHeight;
-        scale = Math.min(scaleX, scaleY) * 0.95; // 95% to add a small margin
+    // Canvases too large to fit at MIN_SCALE may zoom out as far as fitting the container
+    function minScale() {
+        return Math.min(MIN_SCALE, fitScale());
+    }
 
-        // Center the canvas
-        offsetX = (containerWidth - originalWidth * scale) / 2;
-        offsetY = (containerHeight - originalHeight * scale) / 2;
+    // Clamp the scale, and the offsets so at least MIN_VISIBLE px of the mosaic (or all of it,
+    // when smaller) stays inside the container on each axis
+    function constrainView(view) {
+        const newScale = Math.min(Math.max(minScale(), view.scale), MAX_SCALE);
+        const width = canvas.offsetWidth * newScale;
+        const height = canvas.offsetHeight * newScale;
+        const keepX = Math.min(width, MIN_VISIBLE);
+        const keepY = Math.min(height, MIN_VISIBLE);
+        const viewLeft = container.scrollLeft - canvas.offsetLeft;
+        const viewTop = container.scrollTop - canvas.offsetTop;
+        return {
+            scale: newScale,
+            offsetX: Math.min(Math.max(view.offsetX, viewLeft + keepX - width), viewLeft + container.clientWidth - keepX),
+            offsetY: Math.min(Math.max(view.offsetY, viewTop + keepY - height), viewTop + container.clientHeight - keepY)
+        };
+    }
 
-        applyTransform();
+    function easeOutCubic(t) {
+        return 1 - Math.pow(1 - t, 3);
     }
 
-    // Mouse wheel zoom
-    container.addEventListener('wheel', (e) => {
-        e.preventDefault();
+    function stopAnimation() {
+        if (!animation) return;
+        cancelAnimationFrame(animation.frame);
+        animation.resolve();
+        animation = null;
+    }
+
+    function stopInertia() {
+        if (!inertia) return;
+        cancelAnimationFrame(inertia.frame);
+        inertia = null;
+    }
+
+    // Move to a view, animated unless duration is 0 or the user prefers reduced motion.
+    // Resolves when the view has arrived (or the animation was superseded).
+    function setView(view, duration = 0) {
+        stopInertia();
+        const to = constrainView(view);
+        stopAnimation();
+        if (duration <= 0 || prefersReducedMotion()) {
+            ({ scale, offsetX, offsetY } = to);
+            applyTransform();
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            const from = currentView();
+            const step = (now) => {
+                const t = Math.min(1, (now - animation.start) / animation.duration);
+                const k = easeOutCubic(t);
+                // Interpolate in log scale so zooming feels even at every level
+                scale = from.scale * Math.pow(to.scale / from.scale, k);
+                // Keep the zoom anchor fixed: offsets follow the scale, not a straight line
+                const progress = to.scale === from.scale ? k : (scale - from.scale) / (to.scale - from.scale);
+                offsetX = from.offsetX + (to.offsetX - from.offsetX) * progress;
+                offsetY = from.offsetY + (to.offsetY - from.offsetY) * progress;
+                applyTransform();
+                if (t < 1) {
+                    animation.frame = requestAnimationFrame(step);
+                } else {
+                    animation = null;
+                    resolve();
+                }
+            };
+            animation = { from, to, start: performance.now(), duration, frame: requestAnimationFrame(step), resolve };
+        });
+    }
+
+    // Momentum after a fling: keep moving at the release velocity, slowing down exponentially,
+    // and stop at the bounds
+    function startInertia(vx, vy) {
+        if (prefersReducedMotion() || Math.hypot(vx, vy) < INERTIA_MIN_SPEED) return;
+        inertia = { vx, vy, last: performance.now(), frame: 0 };
+        const step = (now) => {
+            const dt = Math.min(now - inertia.last, 50);
+            inertia.last = now;
+            const decay = Math.pow(0.5, dt / INERTIA_HALF_LIFE);
+            inertia.vx *= decay;
+            inertia.vy *= decay;
+            const wanted = { scale, offsetX: offsetX + inertia.vx * dt, offsetY: offsetY + inertia.vy * dt };
+            const bounded = constrainView(wanted);
+            if (bounded.offsetX !== wanted.offsetX) inertia.vx = 0;
+            if (bounded.offsetY !== wanted.offsetY) inertia.vy = 0;
+            offsetX = bounded.offsetX;
+            offsetY = bounded.offsetY;
+            applyTransform();
+            if (Math.hypot(inertia.vx, inertia.vy) < INERTIA_MIN_SPEED / 4) {
+                inertia = null;
+            } else {
+                inertia.frame = requestAnimationFrame(step);
+            }
+        };
+        inertia.frame = requestAnimationFrame(step);
+    }
+
+    function recordPanSample(x, y) {
+        const t = performance.now();
+        panSamples.push({ x, y, t });
+        while (panSamples.length > 2 && t - panSamples[0].t > VELOCITY_WINDOW) panSamples.shift();
+    }
+
+    // Release velocity (px/ms) from the recent drag samples; zero if the pointer had stopped
+    function releaseVelocity() {
+        const now = performance.now();
+        const samples = panSamples.filter(sample => now - sample.t <= VELOCITY_WINDOW);
+        panSamples = [];
+        if (samples.length < 2) return { vx: 0, vy: 0 };
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const dt = Math.max(last.t - first.t, 1);
+        return { vx: (last.x - first.x) / dt, vy: (last.y - first.y) / dt };
+    }
+
+    // Outline drawn over a tile; lives in the container so it follows pan and zoom
+    function createOverlay(className, border) {
+        const element = document.createElement('div');
+        element.className = className;
+        Object.assign(element.style, {
+            position: 'absolute',
+            pointerEvents: 'none',
+            boxSizing: 'border-box',
+            border,
+            boxShadow: '0 0 0 1px rgba(0, 0, 0, 0.6)',
+            display: 'none'
+        });
+        if (getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative';
+        }
+        container.appendChild(element);
+        return element;
+    }
+
+    function createHighlight() {
+        return createOverlay('tile-inspector-highlight', '2px solid #ffcc00');
+    }
+
+    // Visually hidden region whose text changes are read out by screen readers
+    function createLiveRegion() {
+        const element = document.createElement('div');
+        element.setAttribute('role', 'status');
+        element.setAttribute('aria-live', 'polite');
+        element.setAttribute('aria-atomic', 'true');
+        Object.assign(element.style, {
+            position: 'absolute',
+            width: '1px',
+            height: '1px',
+            overflow: 'hidden',
+            clip: 'rect(0 0 0 0)',
+            clipPath: 'inset(50%)',
+            whiteSpace: 'nowrap'
+        });
+        container.appendChild(element);
+        return element;
+    }
+
+    function announce(message) {
+        // Clear first so repeating the same text is still announced
+        liveRegion.textContent = '';
+        setTimeout(() => { liveRegion.textContent = message; }, 50);
+    }
+
+    // Canvas pixels per layout unit
+    function layoutScale() {
+        return Number(canvas.dataset.originalWidth) / layout.width;
+    }
+
+    // Box of a tile in container coordinates, from the transform state (or a target view) rather
+    // than the rendered rect. offsetWidth is the CSS size before the transform, so this also
+    // holds when CSS resizes the canvas.
+    function tileBox(tile, view = currentView()) {
+        const screenPerUnit = canvas.offsetWidth / Number(canvas.dataset.originalWidth) * view.scale * layoutScale();
+        return {
+            left: canvas.offsetLeft + view.offsetX + tile.x * screenPerUnit,
+            top: canvas.offsetTop + view.offsetY + tile.y * screenPerUnit,
+            width: tile.width * screenPerUnit,
+            height: tile.height * screenPerUnit
+        };
+    }
+
+    function placeOverlay(element, tile) {
+        const box = tileBox(tile);
+        Object.assign(element.style, {
+            display: 'block',
+            left: `${box.left}px`,
+            top: `${box.top}px`,
+            width: `${box.width}px`,
+            height: `${box.height}px`
+        });
+    }
+
+    function positionHighlight() {
+        const tile = layout?.tiles?.[selectedIndex];
+        if (!tile || !highlight) {
+            if (highlight) highlight.style.display = 'none';
+            return;
+        }
+        placeOverlay(highlight, tile);
+        highlight.style.borderStyle = tile.locked ? 'dashed' : 'solid';
+    }
+
+    // The keyboard cursor is only drawn while the viewer has focus
+    function positionCursor() {
+        const tile = layout?.tiles?.[cursorIndex];
+        if (!tile || !cursorOutline || document.activeElement !== container) {
+            if (cursorOutline) cursorOutline.style.display = 'none';
+            return;
+        }
+        placeOverlay(cursorOutline, tile);
+    }
+
+    // Map a client (viewport) point to the topmost tile under it
+    function hitTest(clientX, clientY) {
+        if (!layout?.tiles?.length) return null;
 
-        // Get mouse position relative to canvas
         const rect = canvas.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left - offsetX;
-        const mouseY = e.clientY - rect.top - offsetY;
+        if (clientX < rect.left || clientX >= rect.right || clientY < rect.top || clientY >= rect.bottom) return null;
+
+        // Screen -> canvas pixels (undoes scale, offset and any CSS sizing) -> layout units
+        const canvasX = (clientX - rect.left) / rect.width * Number(canvas.dataset.originalWidth);
+        const canvasY = (clientY - rect.top) / rect.height * Number(canvas.dataset.originalHeight);
+        const x = canvasX / layoutScale();
+        const y = canvasY / layoutScale();
+
+        for (let i = layout.tiles.length - 1; i >= 0; i--) {
+            const tile = layout.tiles[i];
+            if (x >= tile.x && x < tile.x + tile.width && y >= tile.y && y < tile.y + tile.height) {
+                return { index: i, tile, x, y };
+            }
+        }
+        return null;
+    }
 
-        // Normalize mouseX and mouseY to canvas space
-        const normX = mouseX / scale;
-        const normY = mouseY / scale;
+    function describeTile(index) {
+        const tile = layout?.tiles?.[index];
+        if (!tile) return null;
+        return {
+            index,
+            imageId: tile.imageId ?? null,
+            imageUrl: tile.imageUrl ?? urlCache.get(tile.imageId) ?? null,
+            sourceImageId: tile.sourceImageId ?? tile.imageId ?? null,
+            x: tile.x,
+            y: tile.y,
+            width: tile.width,
+            height: tile.height,
+            locked: !!tile.locked,
+            tintColor: tile.tintColor ?? null,
+            adjustments: tile.adjustments ?? null,
+            candidates: tile.candidates ?? []
+        };
+    }
 
-        // Calculate zoom factor
-        const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1; // Zoom in or out
+    function selectTile(index) {
+        selectedIndex = layout?.tiles?.[index] ? index : -1;
+        if (cursorIndex >= 0 && selectedIndex >= 0) {
+            cursorIndex = selectedIndex;
+            positionCursor();
+        }
+        positionHighlight();
+        notify(listener, 'OnTileSelected', selectedIndex >= 0 ? describeTile(selectedIndex) : null);
+    }
 
-        // Apply zoom
-        scale *= zoomFactor;
+    function selectAt(clientX, clientY) {
+        const hit = hitTest(clientX, clientY);
+        selectTile(hit ? hit.index : -1);
+    }
 
-        // Limit scale
-        scale = Math.min(Math.max(0.1, scale), 10);
+    async function resolveUrl(item) {
+        if (item.imageUrl) return item.imageUrl;
+        if (!urlCache.has(item.imageId)) {
+            const url = await db.getImageObjectUrl(item.imageId, urlScope);
+            if (!url) throw new Error(`Image ${item.imageId} not found`);
+            urlCache.set(item.imageId, url);
+        }
+        return urlCache.get(item.imageId);
+    }
 
-        // Adjust offset to zoom into/out of mouse position
-        offsetX = e.clientX - rect.left - normX * scale;
-        offsetY = e.clientY - rect.top - normY * scale;
+    // Redraw one cell: background, then every tile and overlay touching it, clipped to the cell
+    function renderTile(index) {
+        const run = async () => {
+            const tile = layout.tiles[index];
+            const unit = layoutScale();
+            const ctx = canvas.getContext('2d');
+            const overlaps = (item) => item.x < tile.x + tile.width && item.x + item.width > tile.x
+                && item.y < tile.y + tile.height && item.y + item.height > tile.y;
+            const overlays = new Set(layout.overlays || []);
+            const items = [...layout.tiles, ...overlays].filter(overlaps);
+
+            // Resolve first so the clip is not held across database reads
+            const urls = await Promise.all(items.map(resolveUrl));
+
+            ctx.save();
+            try {
+                ctx.beginPath();
+                ctx.rect(tile.x * unit, tile.y * unit, tile.width * unit, tile.height * unit);
+                ctx.clip();
+                ctx.fillStyle = layout.background || '#ffffff';
+                ctx.fillRect(tile.x * unit, tile.y * unit, tile.width * unit, tile.height * unit);
+
+                for (let i = 0; i < items.length; i++) {
+                    const item = items[i];
+                    await imageProcessor.placeImageOnCanvas(canvas, urls[i],
+                        item.x * unit, item.y * unit, item.width * unit, item.height * unit,
+                        item.opacity ?? null, item.contrastPercent ?? null,
+                        resolveItemAdjustments(layout, item, overlays.has(item)));
+                }
+            } finally {
+                ctx.restore();
+            }
+        };
+
+        // One cell at a time so clips never overlap
+        renderQueue = renderQueue.then(run, run);
+        return renderQueue;
+    }
 
-        applyTransform();
+    function lockTile(index, locked = true) {
+        const tile = layout?.tiles?.[index];
+        if (!tile) return false;
+        tile.locked = !!locked;
+        if (index === selectedIndex) positionHighlight();
+        notify(listener, 'OnTileChanged', describeTile(index));
+        return true;
+    }
+
+    // Replace the photo in a tile with a candidate ({ imageId | imageUrl, ... }). The previous
+    // photo joins the candidate list so the swap can be undone.
+    async function swapTile(index, candidate) {
+        const tile = layout?.tiles?.[index];
+        if (!tile) throw new Error(`Tile ${index} does not exist`);
+        if (tile.locked) throw new Error(`Tile ${index} is locked`);
+        if (!candidate || (!candidate.imageId && !candidate.imageUrl)) throw new Error('Candidate needs an imageId or imageUrl');
+
+        const sameImage = (a, b) => (a.imageId && a.imageId === b.imageId) || (a.imageUrl && a.imageUrl === b.imageUrl);
+        const previous = { imageId: tile.imageId ?? null, imageUrl: tile.imageUrl ?? null, sourceImageId: tile.sourceImageId ?? null, distance: tile.distance ?? null };
+        const candidates = (tile.candidates ?? []).filter(c => !sameImage(c, candidate));
+        if (!candidates.some(c => sameImage(c, previous))) candidates.unshift(previous);
+
+        tile.imageId = candidate.imageId ?? null;
+        tile.imageUrl = candidate.imageUrl ?? null;
+        tile.sourceImageId = candidate.sourceImageId ?? null;
+        tile.distance = candidate.distance ?? null;
+        tile.candidates = candidates;
+
+        await renderTile(index);
+        const info = describeTile(index);
+        notify(listener, 'OnTileChanged', info);
+        if (index === selectedIndex) notify(listener, 'OnTileSelected', info);
+        return info;
+    }
+
+    // Change a tile's colour adjustments (see colorAdjust.js) and redraw it; null clears them
+    async function setTileAdjustments(index, adjustments) {
+        const tile = layout?.tiles?.[index];
+        if (!tile) throw new Error(`Tile ${index} does not exist`);
+        tile.adjustments = adjustments ? { ...(tile.adjustments || {}), ...adjustments } : null;
+        await renderTile(index);
+        return describeTile(index);
+    }
+
+    function setLayout(newLayout) {
+        disposeUrlScope(urlScope);
+        urlScope = createUrlScope(`canvas ${canvasId}`);
+        urlCache.clear();
+        layout = newLayout;
+        selectedIndex = -1;
+        cursorIndex = -1;
+        gridPositions = null;
+        positionHighlight();
+        positionCursor();
+    }
+
+    function setInspectMode(enabled) {
+        inspectMode = !!enabled;
+        if (!inspectMode) selectTile(-1);
+        container.style.cursor = inspectMode ? 'crosshair' : 'default';
+    }
+
+    // Reset to fit container
+    function fitToContainer(animate = false) {
+        const containerRect = container.getBoundingClientRect();
+        const fit = fitScale();
+
+        // Center the canvas
+        return setView({
+            scale: fit,
+            offsetX: (containerRect.width - originalWidth * fit) / 2,
+            offsetY: (containerRect.height - originalHeight * fit) / 2
+        }, animate ? ZOOM_DURATION : 0);
+    }
+
+    // Zoom by factor keeping the client point (default: the centre of the container) still.
+    // Builds on the target view, so quick successive steps add up instead of restarting.
+    function zoomAt(factor, clientX = null, clientY = null, duration = 0) {
+        const from = targetView();
+        const containerRect = container.getBoundingClientRect();
+        const pointX = clientX ?? containerRect.left + containerRect.width / 2;
+        const pointY = clientY ?? containerRect.top + containerRect.height / 2;
+        // Canvas origin in client coordinates, from the state so a running animation does not skew it
+        const originX = containerRect.left + container.clientLeft - container.scrollLeft + canvas.offsetLeft + from.offsetX;
+        const originY = containerRect.top + container.clientTop - container.scrollTop + canvas.offsetTop + from.offsetY;
+        const newScale = Math.min(Math.max(minScale(), from.scale * factor), MAX_SCALE);
+        const ratio = newScale / from.scale;
+        return setView({
+            scale: newScale,
+            offsetX: from.offsetX + (pointX - originX) * (1 - ratio),
+            offsetY: from.offsetY + (pointY - originY) * (1 - ratio)
+        }, duration);
+    }
+
+    function zoomIn(animate = false) {
+        return zoomAt(1.2, null, null, animate ? ZOOM_DURATION : 0);
+    }
+
+    function zoomOut(animate = false) {
+        return zoomAt(0.8, null, null, animate ? ZOOM_DURATION : 0);
+    }
+
+    function panBy(dx, dy, animate = false) {
+        const from = targetView();
+        return setView({ scale: from.scale, offsetX: from.offsetX + dx, offsetY: from.offsetY + dy }, animate ? ZOOM_DURATION : 0);
+    }
+
+    // Zoom so the rectangle (canvas pixels) fills the container, centred, within the zoom limits
+    function zoomToRect(x, y, width, height, animate = true) {
+        const cssPerPixel = canvas.offsetWidth / originalWidth;
+        const rectScale = Math.min(
+            container.clientWidth / Math.max(width * cssPerPixel, 1),
+            container.clientHeight / Math.max(height * cssPerPixel, 1)) * 0.95;
+        const newScale = Math.min(Math.max(minScale(), rectScale), MAX_SCALE);
+        const centreX = (x + width / 2) * cssPerPixel * newScale;
+        const centreY = (y + height / 2) * cssPerPixel * newScale;
+        return setView({
+            scale: newScale,
+            offsetX: container.scrollLeft + container.clientWidth / 2 - canvas.offsetLeft - centreX,
+            offsetY: container.scrollTop + container.clientHeight / 2 - canvas.offsetTop - centreY
+        }, animate ? ZOOM_DURATION * 2 : 0);
+    }
+
+    function zoomToTile(index, animate = true) {
+        const tile = layout?.tiles?.[index];
+        if (!tile) return Promise.resolve();
+        const unit = layoutScale();
+        return zoomToRect(tile.x * unit, tile.y * unit, tile.width * unit, tile.height * unit, animate);
+    }
+
+    // Double click or tap: zoom in on the point, or back to fit once close to the limit
+    function doubleTapZoom(clientX, clientY) {
+        if (targetView().scale * DOUBLE_TAP_ZOOM > MAX_SCALE) {
+            fitToContainer(true);
+        } else {
+            zoomAt(DOUBLE_TAP_ZOOM, clientX, clientY, ZOOM_DURATION);
+        }
+    }
+
+    // ===== Keyboard and screen reader support =====
+
+    // Row and column of each tile (1-based), from the distinct tile positions of the layout
+    function gridPosition(index) {
+        if (!gridPositions) {
+            const columns = [...new Set(layout.tiles.map(tile => tile.x))].sort((a, b) => a - b);
+            const rows = [...new Set(layout.tiles.map(tile => tile.y))].sort((a, b) => a - b);
+            gridPositions = { columns, rows };
+        }
+        const tile = layout.tiles[index];
+        return {
+            row: gridPositions.rows.indexOf(tile.y) + 1,
+            column: gridPositions.columns.indexOf(tile.x) + 1,
+            rows: gridPositions.rows.length,
+            columnCount: gridPositions.columns.length
+        };
+    }
+
+    // Nearest tile in a direction ('left', 'right', 'up', 'down') from the centre of a tile:
+    // the closest along that axis, then the best aligned across it
+    function neighbourTile(index, direction) {
+        const from = layout.tiles[index];
+        const fromX = from.x + from.width / 2;
+        const fromY = from.y + from.height / 2;
+        const horizontal = direction === 'left' || direction === 'right';
+        const sign = direction === 'right' || direction === 'down' ? 1 : -1;
+
+        let best = -1;
+        let bestScore = Infinity;
+        layout.tiles.forEach((tile, i) => {
+            if (i === index) return;
+            const dx = tile.x + tile.width / 2 - fromX;
+            const dy = tile.y + tile.height / 2 - fromY;
+            const along = (horizontal ? dx : dy) * sign;
+            if (along <= 0) return;
+            const across = Math.abs(horizontal ? dy : dx);
+            // Tiles in the same row or column come first
+            const score = along + across * 4;
+            if (score < bestScore) {
+                bestScore = score;
+                best = i;
+            }
+        });
+        return best;
+    }
+
+    // Pan just enough to bring a tile into the container, with a small margin
+    function revealTile(index) {
+        const box = tileBox(layout.tiles[index], targetView());
+        const margin = 16;
+        const viewLeft = container.scrollLeft;
+        const viewTop = container.scrollTop;
+        const viewRight = viewLeft + container.clientWidth;
+        const viewBottom = viewTop + container.clientHeight;
+        let dx = 0, dy = 0;
+        if (box.left < viewLeft + margin) dx = viewLeft + margin - box.left;
+        else if (box.left + box.width > viewRight - margin) dx = viewRight - margin - box.left - box.width;
+        if (box.top < viewTop + margin) dy = viewTop + margin - box.top;
+        else if (box.top + box.height > viewBottom - margin) dy = viewBottom - margin - box.top - box.height;
+        if (dx !== 0 || dy !== 0) panBy(dx, dy, true);
+    }
+
+    // Spoken description of a tile and the photo it shows
+    async function describeForScreenReader(index) {
+        const tile = layout.tiles[index];
+        const position = gridPosition(index);
+        const parts = [`Tile ${index + 1} of ${layout.tiles.length}, row ${position.row}, column ${position.column}.`];
+
+        const sourceId = tile.sourceImageId ?? null;
+        const image = sourceId ? await db.get('ImageData', sourceId).catch(() => null) : null;
+        if (tile.label) {
+            parts.push(tile.label);
+        } else if (image) {
+            parts.push(`Photo ${image.ImageName ?? sourceId}`);
+            if (image.CaptureDate) parts.push(`taken ${new Date(image.CaptureDate).toLocaleDateString()}`);
+            if (image.CameraModel) parts.push(`with ${image.CameraModel}`);
+        } else {
+            parts.push('No source photo information');
+        }
+        if (tile.locked) parts.push('Locked.');
+        if (index === selectedIndex) parts.push('Selected.');
+        return parts.join(' ');
+    }
+
+    function moveCursor(index) {
+        if (!layout?.tiles?.[index]) return;
+        cursorIndex = index;
+        revealTile(index);
+        positionCursor();
+        const token = ++announceToken;
+        describeForScreenReader(index).then((text) => {
+            // Skip descriptions overtaken by further key presses
+            if (token === announceToken) announce(text);
+        });
+    }
+
+    // Tile at the centre of the view, where the cursor starts if nothing is selected
+    function centreTile() {
+        const rect = container.getBoundingClientRect();
+        const hit = hitTest(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        return hit ? hit.index : 0;
+    }
+
+    const ARROWS = { ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down' };
+
+    function onKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        const hasTiles = !!layout?.tiles?.length;
+        const direction = ARROWS[e.key];
+
+        if (direction && cursorIndex >= 0) {
+            const next = neighbourTile(cursorIndex, direction);
+            if (next >= 0) moveCursor(next);
+            else announce('Edge of mosaic');
+        } else if (direction) {
+            const step = PAN_STEP * (e.shiftKey ? PAN_STEP_LARGE : 1);
+            const dx = direction === 'left' ? step : direction === 'right' ? -step : 0;
+            const dy = direction === 'up' ? step : direction === 'down' ? -step : 0;
+            panBy(dx, dy, true);
+        } else if (e.key === '+' || e.key === '=') {
+            zoomIn(true);
+            announce(`Zoom ${Math.round(targetView().scale * 100)}%`);
+        } else if (e.key === '-' || e.key === '_') {
+            zoomOut(true);
+            announce(`Zoom ${Math.round(targetView().scale * 100)}%`);
+        } else if (e.key === '0') {
+            fitToContainer(true);
+            announce('Fit to view');
+        } else if ((e.key === 'Enter' || e.key === ' ') && cursorIndex >= 0) {
+            selectTile(cursorIndex);
+            announce(`Tile ${cursorIndex + 1} selected`);
+        } else if (e.key === 'Enter' && hasTiles) {
+            announce('Tile cursor on. Use the arrow keys to move between tiles, Escape to leave.');
+            moveCursor(selectedIndex >= 0 ? selectedIndex : centreTile());
+        } else if ((e.key === 'Home' || e.key === 'End') && cursorIndex >= 0) {
+            moveCursor(e.key === 'Home' ? 0 : layout.tiles.length - 1);
+        } else if (e.key === 'Escape' && cursorIndex >= 0) {
+            cursorIndex = -1;
+            announceToken++;
+            positionCursor();
+            announce('Tile cursor off');
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    listen('keydown', onKeyDown);
+    listen('focus', positionCursor);
+    listen('blur', positionCursor);
+    // Take focus on press so the keys work straight after using the mouse
+    listen('pointerdown', () => container.focus({ preventScroll: true }));
+
+    // Mouse wheel zoom, eased towards the pointer. Trackpad pinches arrive as wheel events with
+    // small deltas, so the zoom is proportional to deltaY rather than a fixed step.
+    listen('wheel', (e) => {
+        e.preventDefault();
+        // deltaMode 1 is lines, 2 is pages
+        const delta = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? container.clientHeight : 1);
+        zoomAt(Math.exp(-delta * WHEEL_ZOOM_RATE), e.clientX, e.clientY, WHEEL_DURATION);
+    }, { passive: false });
+
+    listen('dblclick', (e) => {
+        e.preventDefault();
+        doubleTapZoom(e.clientX, e.clientY);
     });
 
+    function beginPan(clientX, clientY) {
+        stopAnimation();
+        stopInertia();
+        isPanning = true;
+        pressX = clientX;
+        pressY = clientY;
+        pressMoved = false;
+        startX = clientX - offsetX;
+        startY = clientY - offsetY;
+        panSamples = [];
+        recordPanSample(clientX, clientY);
+    }
+
+    function movePan(clientX, clientY) {
+        if (Math.hypot(clientX - pressX, clientY - pressY) > CLICK_TOLERANCE) pressMoved = true;
+        const bounded = constrainView({ scale, offsetX: clientX - startX, offsetY: clientY - startY });
+        offsetX = bounded.offsetX;
+        offsetY = bounded.offsetY;
+        recordPanSample(clientX, clientY);
+        applyTransform();
+    }
+
+    function endPan() {
+        if (!isPanning) return;
+        isPanning = false;
+        if (pressMoved) {
+            const { vx, vy } = releaseVelocity();
+            startInertia(vx, vy);
+        }
+    }
+
     // Mouse pan (middle button)
-    container.addEventListener('mousedown', (e) => {
+    listen('mousedown', (e) => {
         // Middle mouse button (button 1) or left button (button 0)
         if (e.button === 1 || e.button === 0) {
             e.preventDefault();
-            isPanning = true;
-            startX = e.clientX - offsetX;
-            startY = e.clientY - offsetY;
+            beginPan(e.clientX, e.clientY);
             container.style.cursor = 'grabbing';
         }
     });
 
-    container.addEventListener('mousemove', (e) => {
+    listen('mousemove', (e) => {
         if (isPanning) {
             e.preventDefault();
-            offsetX = e.clientX - startX;
-            offsetY = e.clientY - startY;
-            applyTransform();
+            movePan(e.clientX, e.clientY);
         }
     });
 
-    container.addEventListener('mouseup', () => {
-        isPanning = false;
-        container.style.cursor = 'default';
+    listen('mouseup', (e) => {
+        // A left click that did not move is a tile pick in inspect mode
+        if (isPanning && inspectMode && e.button === 0 && !pressMoved) {
+            selectAt(e.clientX, e.clientY);
+        }
+        endPan();
+        container.style.cursor = inspectMode ? 'crosshair' : 'default';
     });
 
-    container.addEventListener('mouseleave', () => {
-        isPanning = false;
-        container.style.cursor = 'default';
+    listen('mouseleave', () => {
+        endPan();
+        container.style.cursor = inspectMode ? 'crosshair' : 'default';
     });
 
     // Touch events for pinch zoom and pan
-    container.addEventListener('touchstart', (e) => {
+    listen('touchstart', (e) => {
         if (e.touches.length === 2) {
             e.preventDefault();
+            isPanning = false;
+            stopAnimation();
+            stopInertia();
 
             // Get distance between two fingers
             const touch1 = e.touches[0];
@@ -125,16 +851,16 @@ export function initCanvasInteraction(canvasId) {
             );
         } else if (e.touches.length === 1) {
             e.preventDefault();
-            isPanning = true;
-            startX = e.touches[0].clientX - offsetX;
-            startY = e.touches[0].clientY - offsetY;
+            beginPan(e.touches[0].clientX, e.touches[0].clientY);
         }
-    });
+    }, { passive: false });
 
-    container.addEventListener('touchmove', (e) => {
+    listen('touchmove', (e) => {
         if (e.touches.length === 2) {
             e.preventDefault();
 
+            pressMoved = true;
+
             // Calculate new distance
             const touch1 = e.touches[0];
             const touch2 = e.touches[1];
@@ -143,65 +869,92 @@ export function initCanvasInteraction(canvasId) {
                 touch2.clientY - touch1.clientY
             );
 
-            // Calculate zoom factor
-            const zoomFactor = newTouchDistance / lastTouchDistance;
-
-            // Get center point between fingers
+            // Zoom around the centre point between the fingers
             const centerX = (touch1.clientX + touch2.clientX) / 2;
             const centerY = (touch1.clientY + touch2.clientY) / 2;
-
-            // Get canvas rectangle
-            const rect = canvas.getBoundingClientRect();
-
-            // Get position relative to canvas
-            const mouseX = centerX - rect.left - offsetX;
-            const mouseY = centerY - rect.top - offsetY;
-
-            // Normalize to canvas space
-            const normX = mouseX / scale;
-            const normY = mouseY / scale;
-
-            // Apply zoom
-            scale *= zoomFactor;
-
-            // Limit scale
-            scale = Math.min(Math.max(0.1, scale), 10);
-
-            // Adjust offset to zoom into center of pinch
-            offsetX = centerX - rect.left - normX * scale;
-            offsetY = centerY - rect.top - normY * scale;
-
-            applyTransform();
+            zoomAt(newTouchDistance / lastTouchDistance, centerX, centerY);
 
             // Update distance
             lastTouchDistance = newTouchDistance;
         } else if (e.touches.length === 1 && isPanning) {
             e.preventDefault();
-            offsetX = e.touches[0].clientX - startX;
-            offsetY = e.touches[0].clientY - startY;
-            applyTransform();
+            movePan(e.touches[0].clientX, e.touches[0].clientY);
         }
-    });
-
-    container.addEventListener('touchend', () => {
-        isPanning = false;
+    }, { passive: false });
+
+    listen('touchend', (e) => {
+        if (isPanning && !pressMoved && e.touches.length === 0) {
+            const touch = e.changedTouches[0];
+            const now = performance.now();
+            // A second tap in the same place zooms; a single one is a tile pick in inspect mode
+            if (lastTap && now - lastTap.t < DOUBLE_TAP_TIME
+                && Math.hypot(touch.clientX - lastTap.x, touch.clientY - lastTap.y) < DOUBLE_TAP_DISTANCE) {
+                lastTap = null;
+                doubleTapZoom(touch.clientX, touch.clientY);
+            } else {
+                lastTap = { x: touch.clientX, y: touch.clientY, t: now };
+                if (inspectMode) selectAt(touch.clientX, touch.clientY);
+            }
+        }
+        endPan();
     });
 
     // Export methods
     return {
-        zoomIn: () => {
-            scale *= 1.2;
-            applyTransform();
-        },
-        zoomOut: () => {
-            scale *= 0.8;
-            applyTransform();
-        },
-        reset: fitToContainer,
+        zoomIn: () => zoomIn(true),
+        zoomOut: () => zoomOut(true),
+        reset: () => fitToContainer(true),
         getCurrentScale: () => scale,
         applyScale: (newScale) => {
-            scale = newScale;
-            applyTransform();
+            const from = targetView();
+            return setView({ ...from, scale: newScale });
+        },
+        // Zoom to a region or tile; x, y, width and height are canvas pixels. Resolve when the
+        // animation ends.
+        zoomToRect: (x, y, width, height, animate = true) => zoomToRect(x, y, width, height, animate),
+        zoomToTile: (index, animate = true) => zoomToTile(index, animate),
+        // Tile inspector
+        setLayout,
+        setInspectMode,
+        hitTest,
+        selectTile,
+        getSelectedTile: () => describeTile(selectedIndex),
+        getTile: describeTile,
+        lockTile,
+        swapTile,
+        setTileAdjustments,
+        renderTile,
+        getLockedTiles: () => (layout?.tiles ?? []).flatMap((tile, index) => tile.locked ? [describeTile(index)] : []),
+        // Keyboard cursor: move it to a tile (and bring it into view), or -1 to hide it
+        setCursor: (index) => {
+            if (index < 0) {
+                cursorIndex = -1;
+                positionCursor();
+            } else {
+                moveCursor(index);
+            }
+        },
+        getCursorTile: () => describeTile(cursorIndex),
+        announce,
+        dispose: () => {
+            stopAnimation();
+            stopInertia();
+            disposeUrlScope(urlScope);
+            urlCache.clear();
+            for (const [type, handler, listenerOptions] of containerListeners) {
+                container.removeEventListener(type, handler, listenerOptions);
+            }
+            containerListeners.length = 0;
+            // The .NET reference may be disposed along with the component
+            listener = null;
+            for (const [name, value] of savedAttributes) {
+                if (value === null) container.removeAttribute(name);
+                else container.setAttribute(name, value);
+            }
+            container.style.cursor = savedCursor;
+            highlight.remove();
+            cursorOutline.remove();
+            liveRegion.remove();
         }
     };
 }
\ No newline at end of file
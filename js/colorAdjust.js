@@ -0,0 +1,166 @@
+// colorAdjust.js
+// Per-tile colour adjustments for placeImageOnCanvas: brightness, contrast, saturation and hue
+// shifts, a tint toward a colour (usually the target region's), and a blend mode for drawing.
+// The shifts map onto the canvas filter property; where a browser lacks ctx.filter they are
+// applied to the pixels instead, with the same formulas as the CSS filter functions.
+//
+// adjustments: {
+//   brightness: percent (100 = unchanged), contrast: percent, saturation: percent,
+//   hue: degrees of rotation,
+//   tint: { color: "#rrggbb" | [r, g, b], strength: 0..1 },
+//   blendMode: "multiply" | "overlay" | "soft-light" | ... (globalCompositeOperation)
+// }
+
+// Blend modes accepted for the final draw; anything else falls back to normal drawing
+export const BLEND_MODES = ["source-over", "multiply", "screen", "overlay", "darken", "lighten",
+    "color-dodge", "color-burn", "hard-light", "soft-light", "difference", "exclusion",
+    "hue", "saturation", "color", "luminosity"];
+
+let filterSupport = null;
+
+// ctx.filter exists in Chromium and Firefox; Safari ignores it before 18
+export function supportsCanvasFilter() {
+    if (filterSupport !== null) return filterSupport;
+    try {
+        const ctx = document.createElement("canvas").getContext("2d");
+        ctx.filter = "brightness(50%)";
+        filterSupport = ctx.filter === "brightness(50%)";
+    } catch {
+        filterSupport = false;
+    }
+    return filterSupport;
+}
+
+// "#rgb", "#rrggbb", "rgb(r, g, b)" or [r, g, b] -> [r, g, b], or null
+export function parseColor(color) {
+    if (Array.isArray(color)) return color.slice(0, 3).map(Number);
+    if (typeof color !== "string") return null;
+    const hex = color.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].split("").map(d => d + d).join("") : hex[1];
+        return [0, 2, 4].map(i => parseInt(digits.substring(i, i + 2), 16));
+    }
+    const rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+    return rgb ? [Number(rgb[1]), Number(rgb[2]), Number(rgb[3])] : null;
+}
+
+// Drop no-op values so callers can tell cheaply whether any work is needed
+export function normalizeAdjustments(adjustments, contrastPercent = null) {
+    const a = adjustments || {};
+    const result = {};
+    const contrast = a.contrast ?? contrastPercent;
+    if (a.brightness != null && a.brightness !== 100) result.brightness = Number(a.brightness);
+    if (contrast != null && contrast !== 100) result.contrast = Number(contrast);
+    if (a.saturation != null && a.saturation !== 100) result.saturation = Number(a.saturation);
+    if (a.hue) result.hue = Number(a.hue);
+    const tintColor = parseColor(a.tint?.color);
+    const strength = Math.min(Math.max(Number(a.tint?.strength ?? 0), 0), 1);
+    if (tintColor && strength > 0) result.tint = { color: tintColor, strength };
+    if (a.blendMode && a.blendMode !== "source-over") {
+        if (BLEND_MODES.includes(a.blendMode)) {
+            result.blendMode = a.blendMode;
+        } else {
+            console.warn(`Unknown blend mode ${a.blendMode}; drawing normally`);
+        }
+    }
+    return result;
+}
+
+// CSS filter string for the shifts, or "none"
+export function buildFilter(adjustments) {
+    const parts = [];
+    if (adjustments.brightness != null) parts.push(`brightness(${adjustments.brightness}%)`);
+    if (adjustments.contrast != null) parts.push(`contrast(${adjustments.contrast}%)`);
+    if (adjustments.saturation != null) parts.push(`saturate(${adjustments.saturation}%)`);
+    if (adjustments.hue) parts.push(`hue-rotate(${adjustments.hue}deg)`);
+    return parts.length > 0 ? parts.join(" ") : "none";
+}
+
+export function hasColorShift(adjustments) {
+    return adjustments.brightness != null || adjustments.contrast != null
+        || adjustments.saturation != null || !!adjustments.hue;
+}
+
+function clamp(value) {
+    return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+// Apply brightness, contrast, saturation and hue to RGBA pixels in place, in the order the
+// filter string lists them. Matrices are the ones the Filter Effects spec defines.
+export function applyColorShift(data, adjustments) {
+    const brightness = (adjustments.brightness ?? 100) / 100;
+    const contrast = (adjustments.contrast ?? 100) / 100;
+    const s = (adjustments.saturation ?? 100) / 100;
+    const angle = (adjustments.hue ?? 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    const saturate = [
+        0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s
+    ];
+    const hue = [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+    ];
+
+    for (let i = 0; i < data.length; i += 4) {
+        // Each filter function clamps its output, as in a CSS filter chain
+        let r = clamp(data[i] * brightness);
+        let g = clamp(data[i + 1] * brightness);
+        let b = clamp(data[i + 2] * brightness);
+        r = clamp((r - 127.5) * contrast + 127.5);
+        g = clamp((g - 127.5) * contrast + 127.5);
+        b = clamp((b - 127.5) * contrast + 127.5);
+        const r2 = clamp(saturate[0] * r + saturate[1] * g + saturate[2] * b);
+        const g2 = clamp(saturate[3] * r + saturate[4] * g + saturate[5] * b);
+        const b2 = clamp(saturate[6] * r + saturate[7] * g + saturate[8] * b);
+        data[i] = hue[0] * r2 + hue[1] * g2 + hue[2] * b2;
+        data[i + 1] = hue[3] * r2 + hue[4] * g2 + hue[5] * b2;
+        data[i + 2] = hue[6] * r2 + hue[7] * g2 + hue[8] * b2;
+    }
+    return data;
+}
+
+// Draw image at width x height onto a scratch canvas with the colour shifts and tint applied.
+// The tint is painted source-atop, so transparent parts of the image stay transparent.
+export function renderAdjusted(image, width, height, adjustments) {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(Math.abs(width)));
+    canvas.height = Math.max(1, Math.round(Math.abs(height)));
+    const useFilter = supportsCanvasFilter();
+    const ctx = canvas.getContext("2d", { willReadFrequently: !useFilter });
+
+    if (hasColorShift(adjustments) && useFilter) ctx.filter = buildFilter(adjustments);
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    ctx.filter = "none";
+    if (hasColorShift(adjustments) && !useFilter) {
+        const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        applyColorShift(pixels.data, adjustments);
+        ctx.putImageData(pixels, 0, 0);
+    }
+
+    if (adjustments.tint) {
+        ctx.globalCompositeOperation = "source-atop";
+        ctx.globalAlpha = adjustments.tint.strength;
+        ctx.fillStyle = `rgb(${adjustments.tint.color.join(", ")})`;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    return canvas;
+}
+
+// Adjustments for one layout item: the layout-wide defaults (layout.adjustments for tiles,
+// layout.overlayAdjustments for overlays), then the item's own. A tile's tint colour comes from
+// item.tintColor (the target region colour) unless item.adjustments.tint sets one.
+export function resolveItemAdjustments(layout, item, isOverlay = false) {
+    const base = (isOverlay ? layout?.overlayAdjustments : layout?.adjustments) || {};
+    const own = item?.adjustments || {};
+    const merged = { ...base, ...own };
+    const tintColor = own.tint?.color ?? item?.tintColor ?? base.tint?.color ?? null;
+    const tintStrength = own.tint?.strength ?? base.tint?.strength ?? base.tintStrength ?? 0;
+    merged.tint = tintColor ? { color: tintColor, strength: tintStrength } : null;
+    delete merged.tintStrength;
+    return merged;
+}
@@ -0,0 +1,173 @@
+// colorScience.js
+// Colour conversions (sRGB <-> linear <-> XYZ <-> CIELAB, D65) and CIEDE2000 distance,
+// plus a helper that ranks candidate tiles against a target signature.
+
+// sRGB channel (0-255) to linear light (0-1)
+const SRGB_TO_LINEAR = (() => {
+    const table = new Float64Array(256);
+    for (let i = 0; i < 256; i++) {
+        const c = i / 255;
+        table[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+    return table;
+})();
+
+export function srgbToLinear(value) {
+    return SRGB_TO_LINEAR[Math.max(0, Math.min(255, Math.round(value)))];
+}
+
+// Linear light (0-1) to sRGB channel (0-255)
+export function linearToSrgb(value) {
+    const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return Math.max(0, Math.min(255, Math.round(c * 255)));
+}
+
+// D65 reference white
+const XN = 0.95047;
+const YN = 1.0;
+const ZN = 1.08883;
+
+function labF(t) {
+    return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+// Linear RGB (0-1) to CIELAB
+export function linearRgbToLab(r, g, b) {
+    const x = (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / XN;
+    const y = (0.2126729 * r + 0.7151522 * g + 0.0721750 * b) / YN;
+    const z = (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / ZN;
+
+    const fx = labF(x);
+    const fy = labF(y);
+    const fz = labF(z);
+
+    return {
+        l: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    };
+}
+
+// sRGB (0-255) to CIELAB
+export function rgbToLab(r, g, b) {
+    return linearRgbToLab(srgbToLinear(r), srgbToLinear(g), srgbToLinear(b));
+}
+
+const RAD = Math.PI / 180;
+const POW25_7 = Math.pow(25, 7);
+
+// CIEDE2000 colour difference between two CIELAB colours
+export function deltaE2000(lab1, lab2) {
+    const { l: L1, a: a1, b: b1 } = lab1;
+    const { l: L2, a: a2, b: b2 } = lab2;
+
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + POW25_7)));
+
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+
+    const hueAngle = (b, ap) => {
+        if (b === 0 && ap === 0) return 0;
+        const h = Math.atan2(b, ap) / RAD;
+        return h >= 0 ? h : h + 360;
+    };
+    const h1p = hueAngle(b1, a1p);
+    const h2p = hueAngle(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * RAD);
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) hbarp = (h1p + h2p) / 2;
+        else if (h1p + h2p < 360) hbarp = (h1p + h2p + 360) / 2;
+        else hbarp = (h1p + h2p - 360) / 2;
+    }
+
+    const T = 1
+        - 0.17 * Math.cos((hbarp - 30) * RAD)
+        + 0.24 * Math.cos((2 * hbarp) * RAD)
+        + 0.32 * Math.cos((3 * hbarp + 6) * RAD)
+        - 0.20 * Math.cos((4 * hbarp - 63) * RAD);
+
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Cbarp7 = Math.pow(Cbarp, 7);
+    const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + POW25_7));
+    const Lm50 = Math.pow(Lbarp - 50, 2);
+    const Sl = 1 + (0.015 * Lm50) / Math.sqrt(20 + Lm50);
+    const Sc = 1 + 0.045 * Cbarp;
+    const Sh = 1 + 0.015 * Cbarp * T;
+    const Rt = -Math.sin((2 * dTheta) * RAD) * Rc;
+
+    const l = dLp / Sl;
+    const c = dCp / Sc;
+    const h = dHp / Sh;
+    return Math.sqrt(l * l + c * c + h * h + Rt * c * h);
+}
+
+// Accept a region in either signature format ({ lab } or plain { r, g, b })
+function regionLab(region) {
+    if (region.lab) return region.lab;
+    if (region.l !== undefined && region.a !== undefined) return region;
+    return rgbToLab(region.r, region.g, region.b);
+}
+
+// Mean colour of a whole signature, averaged in linear light
+function overallLab(signature) {
+    let r = 0, g = 0, b = 0;
+    for (const region of signature) {
+        r += srgbToLinear(region.r);
+        g += srgbToLinear(region.g);
+        b += srgbToLinear(region.b);
+    }
+    const n = signature.length || 1;
+    return linearRgbToLab(r / n, g / n, b / n);
+}
+
+// Rank candidate tiles by mean CIEDE2000 distance to the target.
+// target: a signature array (compared region by region) or a single colour ({ r, g, b } or { lab }).
+// candidates: [{ id, signature }]. options: { limit, exclude: [ids] }.
+// Returns [{ id, distance }] best first.
+export function rankCandidates(target, candidates, options = {}) {
+    const { limit = 10, exclude = [] } = options || {};
+    const excluded = new Set(exclude);
+    const targetRegions = Array.isArray(target) ? target.map(regionLab) : null;
+    const targetColour = targetRegions ? null : regionLab(target);
+
+    const ranked = [];
+    for (const candidate of candidates) {
+        if (excluded.has(candidate.id) || !candidate.signature || candidate.signature.length === 0) continue;
+
+        let distance;
+        if (targetRegions && candidate.signature.length === targetRegions.length) {
+            distance = 0;
+            for (let i = 0; i < targetRegions.length; i++) {
+                distance += deltaE2000(targetRegions[i], regionLab(candidate.signature[i]));
+            }
+            distance /= targetRegions.length;
+        } else {
+            const colour = targetColour || overallLab(target);
+            distance = deltaE2000(colour, overallLab(candidate.signature));
+        }
+        ranked.push({ id: candidate.id, distance });
+    }
+
+    ranked.sort((x, y) => x.distance - y.distance);
+    return limit > 0 ? ranked.slice(0, limit) : ranked;
+}
@@ -0,0 +1,27 @@
+// crc32.js
+// CRC-32 (IEEE 802.3) as used by ZIP and PNG, with incremental updates for streamed data.
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Continue a running CRC with more bytes; start from 0
+export function crc32Update(crc, bytes) {
+    let c = (crc ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+export function crc32(bytes) {
+    return crc32Update(0, bytes);
+}
@@ -0,0 +1,17 @@
+// dotNetCallback.js
+
+// Deliver a notification to a DotNetObjectReference (by method name) or a plain JS callback.
+// Failures are logged and swallowed so a broken listener never interrupts the caller.
+export function notify(target, methodName, payload) {
+    if (!target) return;
+    try {
+        if (typeof target.invokeMethodAsync === "function") {
+            target.invokeMethodAsync(methodName, payload)
+                .catch(error => console.warn(`${methodName} callback failed:`, error));
+        } else if (typeof target === "function") {
+            target(payload);
+        }
+    } catch (error) {
+        console.warn(`${methodName} callback failed:`, error);
+    }
+}
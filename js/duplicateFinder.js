@@ -0,0 +1,133 @@
+// duplicateFinder.js
+// Duplicate and near-duplicate detection over the library, using the perceptual hashes stored
+// on ImageData (PHash, DHash). Groups feed the gallery's duplicate view, and mosaic building
+// can keep one photo per group so bursts do not repeat across the mosaic.
+
+import * as db from "./indexedDbAccessor.js";
+import { imageProcessor } from "./imageProcessor.js";
+import { notify } from "./dotNetCallback.js";
+import { groupByHash, hammingDistance } from "./perceptualHash.js";
+import { releaseObjectUrl } from "./objectUrlRegistry.js";
+
+const SCAN_BATCH_SIZE = 500;
+
+// Bits that may differ for two photos to count as near-duplicates. 0-4 is the same picture
+// recompressed or resized; up to about 10 catches burst shots.
+const DEFAULT_THRESHOLD = 8;
+
+async function readHashedImages(hashField) {
+    const images = [];
+    let afterKey = null;
+    for (;;) {
+        const { items, next } = await db.getBatchAfter("ImageData", afterKey, SCAN_BATCH_SIZE);
+        for (const record of items) {
+            if (record[hashField]) images.push(record);
+        }
+        if (next === null) break;
+        afterKey = next;
+    }
+    return images;
+}
+
+// The photo to keep from a group: most pixels, then largest file, then oldest capture
+function compareKeepers(a, b) {
+    return (b.ImageWidth * b.ImageHeight || 0) - (a.ImageWidth * a.ImageHeight || 0)
+        || (b.FileSize || 0) - (a.FileSize || 0)
+        || String(a.CaptureDate || a.UploadDate || "").localeCompare(String(b.CaptureDate || b.UploadDate || ""));
+}
+
+function describeGroups(groups, byId, hashField) {
+    return groups.map(ids => {
+        const members = ids.map(id => byId.get(id)).sort(compareKeepers);
+        const keeper = members[0];
+        return {
+            keepId: keeper.id,
+            images: members.map(record => ({
+                id: record.id,
+                fileName: record.ImageName ?? null,
+                width: record.ImageWidth ?? null,
+                height: record.ImageHeight ?? null,
+                captureDate: record.CaptureDate ?? null,
+                distance: hammingDistance(keeper[hashField], record[hashField])
+            }))
+        };
+    });
+}
+
+// Find groups of near-duplicate photos in the library.
+// options: { threshold (bits, default 8), hash: "PHash" | "DHash", imageIds: limit to these }.
+// Returns [{ keepId, images: [{ id, fileName, width, height, captureDate, distance }] }], largest
+// group first; the suggested keeper is listed first with distance 0.
+export async function findDuplicateGroups(options = {}) {
+    const { threshold = DEFAULT_THRESHOLD, hash = "PHash", imageIds = null } = options || {};
+    let images = await readHashedImages(hash);
+    if (Array.isArray(imageIds)) {
+        const wanted = new Set(imageIds);
+        images = images.filter(record => wanted.has(record.id));
+    }
+
+    const byId = new Map(images.map(record => [record.id, record]));
+    const groups = groupByHash(images.map(record => ({ id: record.id, hash: record[hash] })), threshold);
+    console.log(`Found ${groups.length} duplicate groups among ${images.length} hashed images`);
+    return describeGroups(groups, byId, hash);
+}
+
+// Reduce a set of image ids to one per near-duplicate group (the suggested keeper), preserving
+// the input order. Images without a hash are kept. Used when building a mosaic.
+export async function selectOnePerGroup(imageIds, options = {}) {
+    const groups = await findDuplicateGroups({ ...options, imageIds });
+    const dropped = new Set();
+    for (const group of groups) {
+        for (const image of group.images) {
+            if (image.id !== group.keepId) dropped.add(image.id);
+        }
+    }
+    return imageIds.filter(id => !dropped.has(id));
+}
+
+// Compute hashes for images imported before perceptual hashing existed, from a stored thumbnail.
+// options: { thumbnailField: which size to hash (default: the first Thumb* field present) }.
+// progress: DotNetObjectReference exposing OnHashProgress, or a JS callback.
+export async function backfillPerceptualHashes(options = {}, progress = null) {
+    const { thumbnailField = null } = options || {};
+    let afterKey = null;
+    let processed = 0;
+    let updated = 0;
+    const failures = [];
+
+    for (;;) {
+        const { items: batch, next } = await db.getBatchAfter("ImageData", afterKey, SCAN_BATCH_SIZE);
+        const pending = batch.filter(record => !record.PHash);
+        const changed = [];
+
+        for (const record of pending) {
+            const field = thumbnailField ?? Object.keys(record).find(key => key.startsWith("Thumb") && typeof record[key] === "string");
+            const url = field ? await db.getImageObjectUrl(record[field]) : null;
+            if (!url) {
+                failures.push({ id: record.id, message: "No thumbnail to hash" });
+                continue;
+            }
+            try {
+                const hashes = await imageProcessor.generatePerceptualHash(url);
+                changed.push({ id: record.id, fields: { PHash: hashes.pHash, DHash: hashes.dHash } });
+            } catch (error) {
+                failures.push({ id: record.id, message: error?.message || String(error) });
+            } finally {
+                releaseObjectUrl(url);
+            }
+        }
+
+        // Only the hashes are written, onto the stored record, so edits made while hashing survive
+        if (changed.length > 0) {
+            updated += (await db.patchRecords("ImageData", changed)).length;
+        }
+        processed += batch.length;
+        notify(progress, "OnHashProgress", { processed, updated, failed: failures.length });
+
+        if (next === null) break;
+        afterKey = next;
+    }
+
+    console.log(`Perceptual hashes added to ${updated} images (${failures.length} failed)`);
+    return { processed, updated, failures };
+}
@@ -0,0 +1,175 @@
+// exifReader.js
+// Minimal EXIF reader for uploads: orientation, capture date, camera and GPS.
+// Handles JPEG (APP1) and ISO-BMFF containers (HEIC/AVIF) that embed an Exif item.
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_MAKE = 0x010F;
+const TAG_MODEL = 0x0110;
+const TAG_DATETIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATETIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const TAG_LENS_MODEL = 0xA434;
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const HEIF_BRANDS = ["heic", "heix", "heim", "heis", "hevc", "hevx", "mif1", "msf1"];
+const AVIF_BRANDS = ["avif", "avis"];
+
+function ascii(bytes, start, length) {
+    let out = "";
+    for (let i = start; i < start + length && i < bytes.length; i++) out += String.fromCharCode(bytes[i]);
+    return out;
+}
+
+// Identify the container from its magic bytes: "jpeg", "png", "webp", "gif", "heic", "avif" or null
+export function sniffImageType(bytes) {
+    if (!bytes || bytes.length < 12) return null;
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) return "jpeg";
+    if (bytes[0] === 0x89 && ascii(bytes, 1, 3) === "PNG") return "png";
+    if (ascii(bytes, 0, 4) === "RIFF" && ascii(bytes, 8, 4) === "WEBP") return "webp";
+    if (ascii(bytes, 0, 3) === "GIF") return "gif";
+    if (ascii(bytes, 4, 4) === "ftyp") {
+        const boxSize = Math.min(bytes.length, (bytes[0] << 24 | bytes[1] << 16 | bytes[2] << 8 | bytes[3]) >>> 0);
+        const brands = [ascii(bytes, 8, 4)];
+        for (let i = 16; i + 4 <= boxSize; i += 4) brands.push(ascii(bytes, i, 4));
+        if (brands.some(b => AVIF_BRANDS.includes(b))) return "avif";
+        if (brands.some(b => HEIF_BRANDS.includes(b))) return "heic";
+    }
+    return null;
+}
+
+// Locate the TIFF header of the EXIF block
+function findTiffStart(bytes, type) {
+    if (type === "jpeg") {
+        let pos = 2;
+        while (pos + 4 <= bytes.length && bytes[pos] === 0xFF) {
+            const marker = bytes[pos + 1];
+            const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+            if (marker === 0xDA) break; // start of scan: no metadata after this
+            if (marker === 0xE1 && ascii(bytes, pos + 4, 6) === "Exif\0\0") return pos + 10;
+            pos += 2 + length;
+        }
+        return -1;
+    }
+
+    // HEIC/AVIF: the Exif item payload carries the usual "Exif\0\0" prefix
+    for (let i = 0; i + 10 < bytes.length; i++) {
+        if (bytes[i] === 0x45 && ascii(bytes, i, 6) === "Exif\0\0") {
+            const tiff = ascii(bytes, i + 6, 2);
+            if (tiff === "II" || tiff === "MM") return i + 6;
+        }
+    }
+    return -1;
+}
+
+function readIfd(view, tiffStart, offset, little) {
+    const entries = new Map();
+    const start = tiffStart + offset;
+    if (start + 2 > view.byteLength) return entries;
+
+    const count = view.getUint16(start, little);
+    for (let i = 0; i < count; i++) {
+        const entry = start + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+
+        const tag = view.getUint16(entry, little);
+        const type = view.getUint16(entry + 2, little);
+        const n = view.getUint32(entry + 4, little);
+        const size = (TYPE_SIZES[type] || 1) * n;
+        const valueOffset = size > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8;
+        if (valueOffset + size > view.byteLength) continue;
+
+        entries.set(tag, readValue(view, type, n, valueOffset, little));
+    }
+    return entries;
+}
+
+function readValue(view, type, count, offset, little) {
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        switch (type) {
+            case 1: case 7: values.push(view.getUint8(offset + i)); break;
+            case 2: values.push(view.getUint8(offset + i)); break;
+            case 3: values.push(view.getUint16(offset + i * 2, little)); break;
+            case 4: values.push(view.getUint32(offset + i * 4, little)); break;
+            case 9: values.push(view.getInt32(offset + i * 4, little)); break;
+            case 5: {
+                const den = view.getUint32(offset + i * 8 + 4, little);
+                values.push(den ? view.getUint32(offset + i * 8, little) / den : 0);
+                break;
+            }
+            case 10: {
+                const den = view.getInt32(offset + i * 8 + 4, little);
+                values.push(den ? view.getInt32(offset + i * 8, little) / den : 0);
+                break;
+            }
+            default: values.push(null);
+        }
+    }
+    if (type === 2) {
+        return String.fromCharCode(...values).replace(/\0+$/, "").trim();
+    }
+    return count === 1 ? values[0] : values;
+}
+
+// "YYYY:MM:DD HH:MM:SS" (+ optional "+HH:MM") to ISO 8601
+function exifDateToIso(value, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || "");
+    if (!match || match[1] === "0000") return null;
+    const iso = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+    return /^[+-]\d{2}:\d{2}$/.test(offset || "") ? iso + offset : iso;
+}
+
+function gpsCoordinate(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3) return null;
+    const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === "S" || ref === "W" ? -value : value;
+}
+
+// Read EXIF metadata from the start of an image file (the first 256 KB is plenty).
+// Returns { type, orientation, captureDate, make, model, lensModel, gps } with nulls when absent.
+export function readExif(bytes) {
+    const type = sniffImageType(bytes);
+    const result = {
+        type,
+        orientation: 1,
+        captureDate: null,
+        make: null,
+        model: null,
+        lensModel: null,
+        gps: null
+    };
+
+    try {
+        const tiffStart = findTiffStart(bytes, type);
+        if (tiffStart < 0) return result;
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const little = ascii(bytes, tiffStart, 2) === "II";
+        const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, little), little);
+        const exif = ifd0.has(TAG_EXIF_IFD) ? readIfd(view, tiffStart, ifd0.get(TAG_EXIF_IFD), little) : new Map();
+
+        const orientation = ifd0.get(TAG_ORIENTATION);
+        result.orientation = orientation >= 1 && orientation <= 8 ? orientation : 1;
+        result.captureDate = exifDateToIso(exif.get(TAG_DATETIME_ORIGINAL) || ifd0.get(TAG_DATETIME), exif.get(TAG_OFFSET_TIME_ORIGINAL));
+        result.make = ifd0.get(TAG_MAKE) || null;
+        result.model = ifd0.get(TAG_MODEL) || null;
+        result.lensModel = exif.get(TAG_LENS_MODEL) || null;
+
+        if (ifd0.has(TAG_GPS_IFD)) {
+            const gps = readIfd(view, tiffStart, ifd0.get(TAG_GPS_IFD), little);
+            const latitude = gpsCoordinate(gps.get(2), gps.get(1));
+            const longitude = gpsCoordinate(gps.get(4), gps.get(3));
+            if (latitude !== null && longitude !== null) {
+                const altitude = typeof gps.get(6) === "number" ? gps.get(6) * (gps.get(5) === 1 ? -1 : 1) : null;
+                result.gps = { latitude, longitude, altitude };
+            }
+        }
+    } catch (error) {
+        console.warn("Failed to read EXIF metadata:", error);
+    }
+
+    return result;
+}
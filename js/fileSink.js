@@ -0,0 +1,75 @@
+// fileSink.js
+// Destinations for large generated files. With the File System Access API the bytes are
+// written straight to disk as they are produced; otherwise they are collected as Blob parts
+// (which browsers can page out) and handed over as a normal download when closed.
+
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser time to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+function createBlobSink(fileName, mimeType, download) {
+    const parts = [];
+    let size = 0;
+    return {
+        streaming: false,
+        async write(data) {
+            // Wrap immediately so callers may reuse their buffers
+            parts.push(data instanceof Blob ? data : new Blob([data]));
+            size += data.size ?? data.byteLength;
+        },
+        async close() {
+            const blob = new Blob(parts, { type: mimeType });
+            parts.length = 0;
+            if (download) downloadBlob(blob, fileName);
+            return { fileName, size, blob };
+        },
+        async abort() {
+            parts.length = 0;
+        }
+    };
+}
+
+// options: { usePicker (default true), download (default true) }
+export async function createFileSink(fileName, mimeType, options = {}) {
+    const { usePicker = true, download = true } = options || {};
+    const extension = fileName.includes(".") ? fileName.substring(fileName.lastIndexOf(".")) : "";
+
+    if (usePicker && download && typeof window !== "undefined" && typeof window.showSaveFilePicker === "function") {
+        try {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: fileName,
+                types: extension ? [{ accept: { [mimeType]: [extension] } }] : undefined
+            });
+            const writable = await handle.createWritable();
+            let size = 0;
+            return {
+                streaming: true,
+                async write(data) {
+                    await writable.write(data);
+                    size += data.size ?? data.byteLength;
+                },
+                async close() {
+                    await writable.close();
+                    return { fileName: handle.name, size, blob: null };
+                },
+                async abort() {
+                    await writable.abort();
+                }
+            };
+        } catch (error) {
+            if (error?.name === "AbortError") throw error; // user dismissed the picker
+            console.warn("Save picker unavailable, falling back to download:", error);
+        }
+    }
+
+    return createBlobSink(fileName, mimeType, download);
+}
@@ -0,0 +1,112 @@
+// fontLoader.js
+// Caption and title fonts for drawing text onto canvases. Canvas text silently falls back to a
+// default font when the face has not been downloaded yet, so everything that draws text waits
+// for loadFont first. The files are bundled in /fonts (woff2, latin subset) and registered
+// with the FontFace API on first use; an installed copy of the font is preferred.
+
+// family -> faces the app ships. file is relative to /fonts. Droid Serif is no longer
+// distributed; it is drawn with Noto Serif, its successor, unless the font is installed.
+const FONT_CATALOG = {
+    "Roboto": [{ weight: 400, file: "roboto-400.woff2" }, { weight: 700, file: "roboto-700.woff2" }],
+    "Roboto Slab": [{ weight: 400, file: "roboto-slab-400.woff2" }, { weight: 700, file: "roboto-slab-700.woff2" }],
+    "Dosis": [{ weight: 400, file: "dosis-400.woff2" }, { weight: 700, file: "dosis-700.woff2" }],
+    "Poiret One": [{ weight: 400, file: "poiret-one-400.woff2" }],
+    "PT Sans Narrow": [{ weight: 400, file: "pt-sans-narrow-400.woff2" }, { weight: 700, file: "pt-sans-narrow-700.woff2" }],
+    "Ubuntu": [{ weight: 400, file: "ubuntu-400.woff2" }, { weight: 700, file: "ubuntu-700.woff2" }],
+    "Lobster": [{ weight: 400, file: "lobster-400.woff2" }],
+    "Gloria Hallelujah": [{ weight: 400, file: "gloria-hallelujah-400.woff2" }],
+    "Shadows Into Light": [{ weight: 400, file: "shadows-into-light-400.woff2" }],
+    "Droid Serif": [{ weight: 400, file: "noto-serif-400.woff2" }, { weight: 700, file: "noto-serif-700.woff2" }]
+};
+
+export const CAPTION_FONTS = Object.keys(FONT_CATALOG);
+export const DEFAULT_FONT = "Roboto";
+
+// Give up on a font download after this long and draw with the fallback
+const LOAD_TIMEOUT_MS = 10000;
+
+const loads = new Map(); // "family|weight" -> Promise<boolean>
+
+function normalizeWeight(weight) {
+    if (weight === "bold") return 700;
+    if (weight == null || weight === "normal") return 400;
+    return Number(weight) || 400;
+}
+
+// The shipped face closest to the requested weight; the browser synthesises bold from regular
+function pickFace(family, weight) {
+    const faces = FONT_CATALOG[family];
+    if (!faces) return null;
+    return faces.reduce((best, face) => Math.abs(face.weight - weight) < Math.abs(best.weight - weight) ? face : best);
+}
+
+function fontUrl(file) {
+    return new URL(`../fonts/${file}`, import.meta.url).href;
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Make sure a family is ready to draw with. Unknown families are left to the page (e.g. a
+// font from css/fonts.css) and only awaited through document.fonts. Resolves true when the
+// face is available, false when text would use a fallback font; never rejects.
+export function loadFont(family, weight = 400) {
+    const numericWeight = normalizeWeight(weight);
+    const key = `${family}|${numericWeight}`;
+    if (loads.has(key)) return loads.get(key);
+
+    const face = pickFace(family, numericWeight);
+    const spec = `${numericWeight} 16px "${family}"`;
+    const promise = (async () => {
+        try {
+            if (face && typeof FontFace !== "undefined") {
+                const fontFace = new FontFace(family,
+                    `local("${family}"), url("${fontUrl(face.file)}") format("woff2")`,
+                    { weight: String(face.weight), style: "normal", display: "swap" });
+                document.fonts.add(fontFace);
+                await withTimeout(fontFace.load(), LOAD_TIMEOUT_MS);
+            } else {
+                await withTimeout(document.fonts.load(spec), LOAD_TIMEOUT_MS);
+            }
+            return document.fonts.check(spec);
+        } catch (error) {
+            console.warn(`Font ${family} (${numericWeight}) could not be loaded; the browser's fallback font will be used`, error);
+            // Allow a retry later, e.g. once the app is back online
+            loads.delete(key);
+            return false;
+        }
+    })();
+
+    loads.set(key, promise);
+    return promise;
+}
+
+// Load several families at once. fonts: ["Dosis", { family, weight }, ...].
+// Returns { family: loaded } for each.
+export async function ensureFontsLoaded(fonts = CAPTION_FONTS) {
+    const results = {};
+    await Promise.all(fonts.map(async (font) => {
+        const family = typeof font === "string" ? font : font.family;
+        results[family] = await loadFont(family, typeof font === "string" ? 400 : font.weight);
+    }));
+    return results;
+}
+
+export function isFontLoaded(family, weight = 400) {
+    return document.fonts.check(`${normalizeWeight(weight)} 16px "${family}"`);
+}
+
+// Families the app offers, with the weights shipped for each
+export function getCaptionFonts() {
+    return CAPTION_FONTS.map(family => ({ family, weights: FONT_CATALOG[family].map(face => face.weight) }));
+}
+
+// CSS font shorthand for a canvas context
+export function fontSpec(family, sizePx, weight = 400, style = "normal") {
+    return `${style} ${normalizeWeight(weight)} ${sizePx}px "${family}"`;
+}
@@ -0,0 +1,116 @@
+// iccProfile.js
+// Builds an ICC v2 display profile for sRGB (IEC 61966-2.1) at runtime, so exported
+// documents can embed it without shipping a binary profile file.
+
+const D50 = [0.9642, 1.0, 0.8249];
+const D65_WHITE = [0.9505, 1.0, 1.0891];
+
+// sRGB primaries adapted to D50 (Bradford), as in the reference profile
+const RED = [0.4361, 0.2225, 0.0139];
+const GREEN = [0.3851, 0.7169, 0.0971];
+const BLUE = [0.1431, 0.0606, 0.7141];
+
+const TRC_ENTRIES = 1024;
+
+function ascii(text) {
+    return Array.from(text, c => c.charCodeAt(0) & 0x7F);
+}
+
+function s15Fixed16(view, offset, value) {
+    view.setInt32(offset, Math.round(value * 65536));
+}
+
+function xyzTag(xyz) {
+    const view = new DataView(new ArrayBuffer(20));
+    ascii("XYZ ").forEach((c, i) => view.setUint8(i, c));
+    xyz.forEach((v, i) => s15Fixed16(view, 8 + i * 4, v));
+    return new Uint8Array(view.buffer);
+}
+
+function textTag(text) {
+    const bytes = new Uint8Array(8 + text.length + 1);
+    bytes.set(ascii("text"), 0);
+    bytes.set(ascii(text), 8);
+    return bytes;
+}
+
+function descTag(text) {
+    // ascii description, then empty Unicode and ScriptCode sections (67-byte ScriptCode buffer)
+    const bytes = new Uint8Array(12 + text.length + 1 + 8 + 3 + 67);
+    const view = new DataView(bytes.buffer);
+    bytes.set(ascii("desc"), 0);
+    view.setUint32(8, text.length + 1);
+    bytes.set(ascii(text), 12);
+    return bytes;
+}
+
+function curveTag() {
+    const view = new DataView(new ArrayBuffer(12 + TRC_ENTRIES * 2));
+    ascii("curv").forEach((c, i) => view.setUint8(i, c));
+    view.setUint32(8, TRC_ENTRIES);
+    for (let i = 0; i < TRC_ENTRIES; i++) {
+        const v = i / (TRC_ENTRIES - 1);
+        const linear = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+        view.setUint16(12 + i * 2, Math.round(linear * 65535));
+    }
+    return new Uint8Array(view.buffer);
+}
+
+let cached = null;
+
+// Returns the profile bytes (built once per page load)
+export function buildSrgbIccProfile() {
+    if (cached) return cached;
+
+    const trc = curveTag();
+    const tags = [
+        ["desc", descTag("sRGB IEC61966-2.1")],
+        ["cprt", textTag("No copyright, use freely")],
+        ["wtpt", xyzTag(D65_WHITE)],
+        ["rXYZ", xyzTag(RED)],
+        ["gXYZ", xyzTag(GREEN)],
+        ["bXYZ", xyzTag(BLUE)],
+        ["rTRC", trc],
+        ["gTRC", trc],
+        ["bTRC", trc]
+    ];
+
+    // Lay out tag data after the header and tag table; identical data is stored once
+    const tableSize = 4 + tags.length * 12;
+    let offset = 128 + tableSize;
+    const placed = new Map();
+    const entries = [];
+    for (const [signature, data] of tags) {
+        if (!placed.has(data)) {
+            placed.set(data, offset);
+            offset += data.length;
+            offset += (4 - (offset % 4)) % 4; // tag data is 4-byte aligned
+        }
+        entries.push({ signature, offset: placed.get(data), size: data.length });
+    }
+
+    const bytes = new Uint8Array(offset);
+    const view = new DataView(bytes.buffer);
+    const now = new Date();
+
+    view.setUint32(0, offset);                       // profile size
+    view.setUint32(8, 0x02100000);                   // version 2.1
+    bytes.set(ascii("mntr"), 12);                    // display device
+    bytes.set(ascii("RGB "), 16);
+    bytes.set(ascii("XYZ "), 20);
+    [now.getUTCFullYear(), now.getUTCMonth() + 1, now.getUTCDate(), now.getUTCHours(), now.getUTCMinutes(), now.getUTCSeconds()]
+        .forEach((v, i) => view.setUint16(24 + i * 2, v));
+    bytes.set(ascii("acsp"), 36);
+    D50.forEach((v, i) => s15Fixed16(view, 68 + i * 4, v)); // PCS illuminant
+
+    view.setUint32(128, entries.length);
+    entries.forEach((entry, i) => {
+        bytes.set(ascii(entry.signature), 132 + i * 12);
+        view.setUint32(136 + i * 12, entry.offset);
+        view.setUint32(140 + i * 12, entry.size);
+    });
+    for (const [data, at] of placed) bytes.set(data, at);
+
+    cached = bytes;
+    return bytes;
+}
@@ -0,0 +1,69 @@
+// imageEncoder.js
+// Output format settings for everything that encodes an image (thumbnails, crops, resizes,
+// canvas snapshots). Canvas encoders quietly return PNG for a type they do not support, so the
+// MIME type of a result is always read back from the bytes rather than assumed.
+//
+// encoder options: { format: "png" | "jpeg" | "webp" | "avif" (or a MIME type), quality: 0..1,
+//   lossless: true for an exact copy of the pixels }
+
+import { sniffImageType } from "./exifReader.js";
+
+export const ENCODER_FORMATS = {
+    png: "image/png",
+    jpeg: "image/jpeg",
+    webp: "image/webp",
+    avif: "image/avif"
+};
+
+export const DEFAULT_ENCODER = { format: "webp", quality: 0.75, lossless: false };
+
+// Tried in order when the requested format cannot be encoded; PNG always can
+const FALLBACKS = {
+    avif: ["webp", "png"],
+    webp: ["png"],
+    jpeg: ["png"],
+    png: []
+};
+
+function normalizeFormat(format) {
+    const name = String(format || "").toLowerCase().replace(/^image\//, "");
+    if (name === "jpg") return "jpeg";
+    return ENCODER_FORMATS[name] ? name : null;
+}
+
+// Merge per-call options over defaults into { format, type, quality, lossless } for encode().
+// Lossless WebP and AVIF are requested with quality 1 (what browsers map to their lossless
+// modes); JPEG has no lossless mode, so lossless JPEG becomes PNG. With capabilities from
+// probeEncoders, an unsupported format is swapped for the next one in FALLBACKS.
+export function resolveEncoder(options = null, defaults = DEFAULT_ENCODER, capabilities = null) {
+    const requested = options?.format ?? options?.type ?? defaults.format;
+    let format = normalizeFormat(requested);
+    if (!format) throw new Error(`Unsupported image format: ${requested}`);
+    const lossless = !!(options?.lossless ?? defaults.lossless);
+    if (lossless && format === "jpeg") format = "png";
+
+    if (capabilities && !capabilities[format]) {
+        const fallback = FALLBACKS[format].find(candidate => capabilities[candidate] || candidate === "png");
+        console.warn(`This browser cannot encode ${format}; using ${fallback}`);
+        format = fallback;
+    }
+
+    const quality = format === "png"
+        ? undefined
+        : lossless ? 1 : Math.min(Math.max(Number(options?.quality ?? defaults.quality), 0), 1);
+    return { format, type: ENCODER_FORMATS[format], quality, lossless: lossless || format === "png" };
+}
+
+// MIME type of encoded bytes, or fallback when the container is not recognised
+export function mimeTypeOfBytes(bytes, fallback = null) {
+    const kind = sniffImageType(bytes);
+    if (kind === "heic") return "image/heic";
+    if (kind === "gif") return "image/gif";
+    return ENCODER_FORMATS[kind] ?? fallback;
+}
+
+// Same for a Blob; only the first bytes are read
+export async function mimeTypeOfBlob(blob, fallback = null) {
+    const head = new Uint8Array(await blob.slice(0, 64).arrayBuffer());
+    return mimeTypeOfBytes(head, fallback || blob.type || null);
+}
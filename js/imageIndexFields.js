@@ -0,0 +1,115 @@
+// imageIndexFields.js
+// Derived ImageData fields that exist only so the gallery can filter and sort through
+// IndexedDB indexes. Index keys cannot be booleans or nested values, so each field is
+// a flat string, number or array of strings.
+
+const ORIENTATION_SQUARE_TOLERANCE = 0.05;
+const GREY_SATURATION = 0.15;
+
+// Hue families, by upper bound of the hue angle in degrees
+const HUE_FAMILIES = [
+    [15, "red"],
+    [45, "orange"],
+    [70, "yellow"],
+    [165, "green"],
+    [200, "cyan"],
+    [255, "blue"],
+    [290, "purple"],
+    [340, "pink"],
+    [360, "red"]
+];
+
+// "landscape", "portrait" or "square" (within 5%); null when the size is unknown
+export function orientationOf(width, height) {
+    if (!width || !height) return null;
+    const ratio = width / height;
+    if (Math.abs(ratio - 1) <= ORIENTATION_SQUARE_TOLERANCE) return "square";
+    return ratio > 1 ? "landscape" : "portrait";
+}
+
+// Name the colour family of an RGB value: a hue family, or black/white/grey for unsaturated colours
+export function colorFamilyOf(r, g, b) {
+    const max = Math.max(r, g, b) / 255;
+    const min = Math.min(r, g, b) / 255;
+    const lightness = (max + min) / 2;
+    const delta = max - min;
+    const saturation = delta === 0 ? 0 : delta / (1 - Math.abs(2 * lightness - 1));
+
+    if (saturation < GREY_SATURATION || lightness < 0.1 || lightness > 0.92) {
+        if (lightness < 0.2) return "black";
+        if (lightness > 0.85) return "white";
+        return "grey";
+    }
+
+    let hue;
+    const rn = r / 255, gn = g / 255, bn = b / 255;
+    if (max === rn) hue = ((gn - bn) / delta) % 6;
+    else if (max === gn) hue = (bn - rn) / delta + 2;
+    else hue = (rn - gn) / delta + 4;
+    hue = (hue * 60 + 360) % 360;
+
+    return HUE_FAMILIES.find(([limit]) => hue < limit)[1];
+}
+
+// [r, g, b] of a colour serialised by JS ({ r, g, b }) or .NET ({ R, G, B }), or null
+function rgbOf(color) {
+    if (!color || typeof color !== "object") return null;
+    const rgb = [color.r ?? color.R, color.g ?? color.G, color.b ?? color.B];
+    return rgb.every(value => typeof value === "number") ? rgb : null;
+}
+
+// Colour family of a stored signature (sRGB region array or Lab signature with a dominant colour).
+// .NET may hand ImageSignature over as a JSON string, with PascalCase names.
+export function dominantColorOf(signature) {
+    if (typeof signature === "string") {
+        try {
+            signature = JSON.parse(signature);
+        } catch {
+            return null;
+        }
+    }
+    if (!signature || typeof signature !== "object") return null;
+    const dominant = rgbOf(signature.dominant ?? signature.Dominant);
+    if (dominant) return colorFamilyOf(...dominant);
+
+    const regions = Array.isArray(signature) ? signature
+        : [signature.regions, signature.Regions, signature.SegmentColours].find(Array.isArray) ?? null;
+    if (!regions || regions.length === 0) {
+        const own = rgbOf(signature);
+        return own ? colorFamilyOf(...own) : null;
+    }
+
+    // Vote per region so one large flat area does not get averaged into a muddy colour
+    const votes = new Map();
+    for (const region of regions) {
+        const rgb = rgbOf(region);
+        if (!rgb) continue;
+        const family = colorFamilyOf(...rgb);
+        votes.set(family, (votes.get(family) || 0) + 1);
+    }
+    return votes.size > 0 ? [...votes.entries()].sort((a, b) => b[1] - a[1])[0][0] : null;
+}
+
+// Fill in the indexed fields of an ImageData record from the .NET model's fields
+// (ImageWidth, ImageHeight, ImageSignature). Existing Tags and UsedInMosaic values are kept.
+export function deriveIndexFields(record) {
+    return {
+        Orientation: orientationOf(record.ImageWidth, record.ImageHeight),
+        DominantColor: dominantColorOf(record.ImageSignature),
+        Tags: Array.isArray(record.Tags) ? record.Tags : [],
+        UsedInMosaic: record.UsedInMosaic ? 1 : 0
+    };
+}
+
+// A record about to be written, with its index fields. .NET's model has none of them, so a
+// record it re-saves keeps what the stored copy had wherever the fields cannot be derived.
+export function withIndexFields(record, stored = null) {
+    const derived = deriveIndexFields(record);
+    return {
+        ...record,
+        Orientation: derived.Orientation ?? stored?.Orientation ?? null,
+        DominantColor: derived.DominantColor ?? stored?.DominantColor ?? null,
+        Tags: Array.isArray(record.Tags) ? record.Tags : Array.isArray(stored?.Tags) ? stored.Tags : [],
+        UsedInMosaic: (record.UsedInMosaic ?? stored?.UsedInMosaic) ? 1 : 0
+    };
+}
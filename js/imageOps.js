@@ -0,0 +1,590 @@
+// imageOps.js
+// Image operations shared by the worker pool and the main-thread fallback.
+// Everything here works with OffscreenCanvas/ImageBitmap when available and with
+// DOM canvases/images otherwise, so the same code runs in either context.
+
+import { srgbToLinear, linearToSrgb, linearRgbToLab, rgbToLab } from "./colorScience.js";
+import { readExif } from "./exifReader.js";
+import { ENCODER_FORMATS, mimeTypeOfBytes } from "./imageEncoder.js";
+import { normalizeResampleMethod, resampleLanczos, resampleArea } from "./resample.js";
+import { computePHash, computeDHash, toGrayscale, PHASH_SIZE, DHASH_WIDTH, DHASH_HEIGHT } from "./perceptualHash.js";
+
+export class JobCancelledError extends Error {
+    constructor(jobId) {
+        super(`Image job ${jobId} was cancelled`);
+        this.name = "AbortError";
+        this.jobId = jobId;
+    }
+}
+
+const hasOffscreen = typeof OffscreenCanvas !== "undefined";
+
+// Create a drawing surface of the given size
+export function createSurface(width, height) {
+    if (hasOffscreen) {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// 2x1 JPEG tagged with EXIF orientation 6; browsers that honour the tag decode it as 1x2
+const ORIENTATION_PROBE = "/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/2wCEAAEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAf/AABEIAAEAAgMBEQACEQEDEQH/xABKAAEAAAAAAAAAAAAAAAAAAAALEAEAAAAAAAAAAAAAAAAAAAAAAQEAAAAAAAAAAAAAAAAAAAAAEQEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwA/8H//2Q==";
+
+// Bytes read from the start of a file to find EXIF metadata
+const METADATA_HEAD_BYTES = 256 * 1024;
+
+// Modules used when the browser cannot decode a format natively. Each must export
+// decode(Uint8Array) resolving to { width, height, data } with RGBA pixels.
+const FALLBACK_DECODERS = {
+    heic: new URL("./vendor/heifDecoder.js", import.meta.url).href,
+    avif: new URL("./vendor/avifDecoder.js", import.meta.url).href
+};
+
+let orientationProbe = null;
+
+// Whether the browser already rotates images according to their EXIF orientation
+function browserAppliesOrientation() {
+    if (!orientationProbe) {
+        const bytes = Uint8Array.from(atob(ORIENTATION_PROBE), c => c.charCodeAt(0));
+        orientationProbe = decodeNative(new Blob([bytes], { type: "image/jpeg" }))
+            .then(decoded => {
+                decoded.close();
+                return decoded.width === 1 && decoded.height === 2;
+            })
+            .catch(() => true);
+    }
+    return orientationProbe;
+}
+
+async function decodeNative(blob) {
+    if (typeof createImageBitmap === "function") {
+        const bitmap = await createImageBitmap(blob, { imageOrientation: "from-image" });
+        return { image: bitmap, width: bitmap.width, height: bitmap.height, close: () => bitmap.close() };
+    }
+
+    // Main-thread fallback for browsers without createImageBitmap
+    const url = URL.createObjectURL(blob);
+    try {
+        const img = await new Promise((resolve, reject) => {
+            const el = new Image();
+            el.onload = () => resolve(el);
+            el.onerror = () => reject(new Error("Failed to load image"));
+            el.src = url;
+        });
+        return { image: img, width: img.width, height: img.height, close: () => { } };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+async function decodeWithFallback(blob, type) {
+    const moduleUrl = FALLBACK_DECODERS[type];
+    let decoder;
+    try {
+        decoder = await import(moduleUrl);
+    } catch {
+        throw new Error(`This browser cannot decode ${type.toUpperCase()} images`);
+    }
+
+    const { width, height, data } = await decoder.decode(new Uint8Array(await blob.arrayBuffer()));
+    const surface = createSurface(width, height);
+    const ctx = context(surface);
+    ctx.putImageData(new ImageData(new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength), width, height), 0, 0);
+    return { image: surface, width, height, close: () => { }, viaFallback: true };
+}
+
+// Redraw an image upright according to an EXIF orientation (2-8)
+function applyOrientation(decoded, orientation) {
+    const { width, height } = decoded;
+    const swap = orientation >= 5;
+    const surface = createSurface(swap ? height : width, swap ? width : height);
+    const ctx = context(surface);
+
+    switch (orientation) {
+        case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+        case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+        case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+        case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+        case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+    }
+    ctx.drawImage(decoded.image, 0, 0);
+    decoded.close();
+
+    return { ...decoded, image: surface, width: surface.width, height: surface.height, close: () => { } };
+}
+
+// Load a URL, Blob or byte array into something drawImage accepts, upright per its EXIF
+// orientation. HEIC falls back to a WASM decoder module when the browser can't decode it.
+// Returns { image, width, height, close, metadata, viaFallback }.
+export async function decode(source) {
+    let blob = source;
+    if (typeof source === "string") {
+        const response = await fetch(source);
+        if (!response.ok) throw new Error("Failed to load image");
+        blob = await response.blob();
+    } else if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+        blob = new Blob([source]);
+    }
+
+    const metadata = readExif(new Uint8Array(await blob.slice(0, METADATA_HEAD_BYTES).arrayBuffer()));
+
+    let decoded;
+    try {
+        decoded = await decodeNative(blob);
+    } catch {
+        if (!FALLBACK_DECODERS[metadata.type]) {
+            throw new Error(metadata.type ? `This browser cannot decode ${metadata.type.toUpperCase()} images` : "Failed to load image");
+        }
+        decoded = await decodeWithFallback(blob, metadata.type);
+    }
+    decoded.metadata = metadata;
+
+    // HEIF containers carry their own rotation (irot/imir) which decoders already apply
+    const usesExifOrientation = metadata.type !== "heic" && metadata.type !== "avif";
+    if (usesExifOrientation && metadata.orientation > 1 && !(await browserAppliesOrientation())) {
+        decoded = applyOrientation(decoded, metadata.orientation);
+    }
+
+    return decoded;
+}
+
+// Encode a surface to bytes. A type the browser cannot encode comes back as PNG; see
+// mimeTypeOfBytes for what was produced.
+export async function encode(surface, type, quality) {
+    let blob;
+    if (typeof surface.convertToBlob === "function") {
+        blob = await surface.convertToBlob({ type, quality });
+    } else {
+        blob = await new Promise(resolve => surface.toBlob(resolve, type, quality));
+    }
+    if (!blob) throw new Error("Failed to encode image");
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+let encoderSupport = null;
+
+// Which formats this context can encode: { png, jpeg, webp, avif }
+export async function probeEncoders() {
+    if (encoderSupport) return encoderSupport;
+    const support = {};
+    for (const [format, type] of Object.entries(ENCODER_FORMATS)) {
+        try {
+            const surface = createSurface(2, 2);
+            context(surface).fillRect(0, 0, 2, 2);
+            support[format] = mimeTypeOfBytes(await encode(surface, type, 0.8)) === type;
+        } catch {
+            support[format] = false;
+        }
+    }
+    encoderSupport = support;
+    return support;
+}
+
+function context(surface) {
+    return surface.getContext("2d", { willReadFrequently: true });
+}
+
+// Successive halvings of an image, made on demand and shared by every size cut from it
+export function createPyramid(image, width, height) {
+    return { levels: [{ image, width, height }] };
+}
+
+// Smallest pyramid level that still covers width x height
+function pyramidLevel(pyramid, width, height) {
+    for (let index = 0; ; index++) {
+        const level = pyramid.levels[index];
+        const halfWidth = Math.floor(level.width / 2);
+        const halfHeight = Math.floor(level.height / 2);
+        if (halfWidth < width || halfHeight < height) return level;
+        if (!pyramid.levels[index + 1]) {
+            const surface = createSurface(halfWidth, halfHeight);
+            const ctx = context(surface);
+            ctx.imageSmoothingQuality = "high";
+            ctx.drawImage(level.image, 0, 0, halfWidth, halfHeight);
+            pyramid.levels.push({ image: surface, width: halfWidth, height: halfHeight });
+        }
+    }
+}
+
+function pixelsOf(level) {
+    const surface = level.image.getContext ? level.image : drawScaled(level.image, level.width, level.height);
+    return context(surface).getImageData(0, 0, level.width, level.height).data;
+}
+
+// Draw `image` scaled to exactly width x height. method is a resample.js method; "fast" is a
+// single drawImage. image may be a pyramid from createPyramid, to reuse its halvings.
+export function drawScaled(image, width, height, method = "fast") {
+    const resampleMethod = normalizeResampleMethod(method);
+    const surface = createSurface(width, height);
+    const ctx = context(surface);
+    if (resampleMethod === "fast") {
+        ctx.drawImage(image.levels ? image.levels[0].image : image, 0, 0, width, height);
+        return surface;
+    }
+
+    const pyramid = image.levels ? image : createPyramid(image, image.width, image.height);
+    const level = pyramidLevel(pyramid, width, height);
+    // Enlarging gains nothing from the filters
+    if (resampleMethod === "halving" || level.width < width || level.height < height) {
+        ctx.imageSmoothingQuality = "high";
+        ctx.drawImage(level.image, 0, 0, width, height);
+        return surface;
+    }
+
+    const resample = resampleMethod === "lanczos" ? resampleLanczos : resampleArea;
+    const pixels = resample(pixelsOf(level), level.width, level.height, width, height);
+    ctx.putImageData(new ImageData(pixels, width, height), 0, 0);
+    return surface;
+}
+
+// Fit inside width x height keeping the aspect ratio
+export function drawConstrained(image, sourceWidth, sourceHeight, width, height, method = "fast") {
+    const thumbAspectRatio = width / height;
+    const aspectRatio = sourceWidth / sourceHeight;
+
+    let newWidth, newHeight;
+    if (aspectRatio > thumbAspectRatio) {
+        // Image is wider than the target aspect ratio
+        newWidth = width;
+        newHeight = Math.ceil(width / aspectRatio);
+    } else {
+        // Image is taller than the target aspect ratio
+        newWidth = Math.floor(aspectRatio * height);
+        newHeight = height;
+    }
+
+    return drawScaled(image, newWidth, newHeight, method);
+}
+
+// Cover width x height and cut off the overflow at the anchor
+export function drawCropped(image, sourceWidth, sourceHeight, width, height, anchorPosition = "center", method = "fast") {
+    const anchor = (anchorPosition || "center").toLowerCase();
+    let destX = 0;
+    let destY = 0;
+
+    const nPercentW = width / sourceWidth;
+    const nPercentH = height / sourceHeight;
+    let nPercent;
+
+    if (nPercentH < nPercentW) {
+        nPercent = nPercentW;
+        switch (anchor) {
+            case "top":
+                destY = 0;
+                break;
+            case "bottom":
+                destY = Math.floor(height - (sourceHeight * nPercent));
+                break;
+            default: // 'center'
+                destY = Math.floor((height - (sourceHeight * nPercent)) / 2);
+                break;
+        }
+    } else {
+        nPercent = nPercentH;
+        switch (anchor) {
+            case "left":
+                destX = 0;
+                break;
+            case "right":
+                destX = Math.floor(width - (sourceWidth * nPercent));
+                break;
+            default: // 'center'
+                destX = Math.floor((width - (sourceWidth * nPercent)) / 2);
+                break;
+        }
+    }
+
+    const destWidth = Math.floor(sourceWidth * nPercent);
+    const destHeight = Math.floor(sourceHeight * nPercent);
+
+    const surface = createSurface(width, height);
+    const ctx = context(surface);
+    ctx.clearRect(0, 0, width, height);
+    if (normalizeResampleMethod(method) === "fast") {
+        ctx.drawImage(image, destX, destY, destWidth, destHeight);
+    } else {
+        ctx.drawImage(drawScaled(image, destWidth, destHeight, method), destX, destY);
+    }
+    return surface;
+}
+
+// Longest side, in pixels, sampled per region for perceptual signatures
+const LAB_SAMPLES_PER_REGION = 64;
+
+// Average colour per region. colorSpace "lab" averages in linear light and adds CIELAB,
+// per-region variance and the dominant colour; "srgb" keeps the plain sRGB average.
+export function computeSignature(image, width, height, regionsX, regionsY, job, colorSpace = "srgb") {
+    if (colorSpace === "lab") {
+        return computeLabSignature(image, width, height, regionsX, regionsY, job);
+    }
+
+    const surface = drawScaled(image, width, height);
+    const ctx = context(surface);
+
+    const regionWidth = Math.floor(width / regionsX);
+    const regionHeight = Math.floor(height / regionsY);
+    const signature = [];
+
+    for (let y = 0; y < regionsY; y++) {
+        job.checkCancelled();
+        for (let x = 0; x < regionsX; x++) {
+            const data = ctx.getImageData(x * regionWidth, y * regionHeight, regionWidth, regionHeight).data;
+
+            // Average color in region
+            let r = 0, g = 0, b = 0;
+            for (let i = 0; i < data.length; i += 4) {
+                r += data[i];
+                g += data[i + 1];
+                b += data[i + 2];
+            }
+
+            const pixelCount = data.length / 4;
+            signature.push({
+                r: Math.floor(r / pixelCount),
+                g: Math.floor(g / pixelCount),
+                b: Math.floor(b / pixelCount)
+            });
+        }
+        job.progress(y + 1, regionsY);
+    }
+
+    return signature;
+}
+
+function computeLabSignature(image, width, height, regionsX, regionsY, job) {
+    // Sample at a bounded size; the region statistics do not need every source pixel
+    const sampleWidth = Math.min(width, regionsX * LAB_SAMPLES_PER_REGION);
+    const sampleHeight = Math.min(height, regionsY * LAB_SAMPLES_PER_REGION);
+    const ctx = context(drawScaled(image, sampleWidth, sampleHeight));
+
+    const regionWidth = Math.max(1, Math.floor(sampleWidth / regionsX));
+    const regionHeight = Math.max(1, Math.floor(sampleHeight / regionsY));
+    const histogram = new Uint32Array(4096);
+    const signature = [];
+
+    for (let y = 0; y < regionsY; y++) {
+        job.checkCancelled();
+        for (let x = 0; x < regionsX; x++) {
+            const data = ctx.getImageData(x * regionWidth, y * regionHeight, regionWidth, regionHeight).data;
+            const pixelCount = data.length / 4;
+
+            let lr = 0, lg = 0, lb = 0;
+            let sumL = 0, sumA = 0, sumB = 0;
+            let sqL = 0, sqA = 0, sqB = 0;
+            histogram.fill(0);
+
+            for (let i = 0; i < data.length; i += 4) {
+                const rl = srgbToLinear(data[i]);
+                const gl = srgbToLinear(data[i + 1]);
+                const bl = srgbToLinear(data[i + 2]);
+                lr += rl;
+                lg += gl;
+                lb += bl;
+
+                const lab = linearRgbToLab(rl, gl, bl);
+                sumL += lab.l; sqL += lab.l * lab.l;
+                sumA += lab.a; sqA += lab.a * lab.a;
+                sumB += lab.b; sqB += lab.b * lab.b;
+
+                // 4 bits per channel is coarse enough to find a dominant colour
+                histogram[((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4)]++;
+            }
+
+            lr /= pixelCount;
+            lg /= pixelCount;
+            lb /= pixelCount;
+
+            let bin = 0;
+            for (let i = 1; i < histogram.length; i++) {
+                if (histogram[i] > histogram[bin]) bin = i;
+            }
+            const dominant = {
+                r: ((bin >> 8) << 4) + 8,
+                g: (((bin >> 4) & 15) << 4) + 8,
+                b: ((bin & 15) << 4) + 8
+            };
+
+            const meanL = sumL / pixelCount;
+            const meanA = sumA / pixelCount;
+            const meanB = sumB / pixelCount;
+
+            signature.push({
+                r: linearToSrgb(lr),
+                g: linearToSrgb(lg),
+                b: linearToSrgb(lb),
+                lab: linearRgbToLab(lr, lg, lb),
+                variance: {
+                    l: Math.max(0, sqL / pixelCount - meanL * meanL),
+                    a: Math.max(0, sqA / pixelCount - meanA * meanA),
+                    b: Math.max(0, sqB / pixelCount - meanB * meanB)
+                },
+                dominant: {
+                    ...dominant,
+                    lab: rgbToLab(dominant.r, dominant.g, dominant.b),
+                    share: histogram[bin] / pixelCount
+                }
+            });
+        }
+        job.progress(y + 1, regionsY);
+    }
+
+    return signature;
+}
+
+// Perceptual hashes ({ pHash, dHash }) of an image. Large images are first reduced to 256px
+// so the final tiny downscale averages pixels instead of skipping them.
+export function computePerceptualHashes(image, width, height) {
+    const source = Math.max(width, height) > 256 ? drawScaled(image, 256, 256) : image;
+    const grayAt = (w, h) => toGrayscale(context(drawScaled(source, w, h)).getImageData(0, 0, w, h).data);
+    return {
+        pHash: computePHash(grayAt(PHASH_SIZE, PHASH_SIZE)),
+        dHash: computeDHash(grayAt(DHASH_WIDTH, DHASH_HEIGHT))
+    };
+}
+
+// Extract RGB bytes (alpha dropped)
+export function extractRgb(image, width, height) {
+    const surface = drawScaled(image, width, height);
+    const rgbaData = context(surface).getImageData(0, 0, width, height).data;
+
+    const rgbData = new Uint8Array((rgbaData.length / 4) * 3);
+    let rgbIndex = 0;
+    for (let i = 0; i < rgbaData.length; i += 4) {
+        rgbData[rgbIndex++] = rgbaData[i];     // Red
+        rgbData[rgbIndex++] = rgbaData[i + 1]; // Green
+        rgbData[rgbIndex++] = rgbaData[i + 2]; // Blue
+    }
+    return rgbData;
+}
+
+// Run `work` against a decoded source, always releasing the decoded image
+async function withDecoded(source, job, work) {
+    const decoded = await decode(source);
+    try {
+        job.checkCancelled();
+        return await work(decoded);
+    } finally {
+        decoded.close();
+    }
+}
+
+// Operations addressable by name from the worker protocol. Each receives the job's
+// argument object and a job handle with checkCancelled() and progress(done, total).
+export const operations = {
+    getDimensions: ({ source }, job) => withDecoded(source, job, ({ width, height }) => ({ width, height })),
+
+    probeEncoders: () => probeEncoders(),
+
+    // Upright dimensions and metadata of an upload. Images the browser can only decode through
+    // the fallback decoder are re-encoded so they can be shown in an <img>.
+    inspect: ({ source, type, quality }, job) => withDecoded(source, job, async (decoded) => ({
+        width: decoded.width,
+        height: decoded.height,
+        metadata: decoded.metadata,
+        transcoded: decoded.viaFallback ? await encode(decoded.image, type, quality) : null
+    })),
+
+    // resample: method from resample.js for the operations that shrink images
+    resize: ({ source, width, height, resample, type, quality }, job) => withDecoded(source, job, ({ image }) =>
+        encode(drawScaled(image, width, height, resample), type, quality)),
+
+    constrainProportions: ({ source, width, height, resample, type, quality }, job) => withDecoded(source, job, (decoded) =>
+        encode(drawConstrained(decoded.image, decoded.width, decoded.height, width, height, resample), type, quality)),
+
+    crop: ({ source, width, height, anchorPosition, resample, type, quality }, job) => withDecoded(source, job, (decoded) =>
+        encode(drawCropped(decoded.image, decoded.width, decoded.height, width, height, anchorPosition, resample), type, quality)),
+
+    resizeWithoutBorder: ({ source, width, height, resample, type, quality }, job) => withDecoded(source, job, (decoded) => {
+        const thumbAspectRatio = width / height;
+        const imageAspectRatio = decoded.width / decoded.height;
+
+        // Shrink so the shorter side fits, then crop the longer side at the centre
+        const shrunken = thumbAspectRatio > imageAspectRatio
+            ? drawConstrained(decoded.image, decoded.width, decoded.height, width, Math.floor((width / decoded.width) * decoded.height), resample)
+            : drawConstrained(decoded.image, decoded.width, decoded.height, Math.floor((height / decoded.height) * decoded.width), height, resample);
+        job.checkCancelled();
+        return encode(drawCropped(shrunken, shrunken.width, shrunken.height, width, height, "center"), type, quality);
+    }),
+
+    reencode: ({ source, type, quality }, job) => withDecoded(source, job, (decoded) =>
+        encode(drawScaled(decoded.image, decoded.width, decoded.height), type, quality)),
+
+    // Every size is cut from one pyramid, so each halving is done once for all of them
+    thumbnails: ({ source, sizes, resample, type, quality }, job) => withDecoded(source, job, async ({ image, width, height }) => {
+        const pyramid = createPyramid(image, width, height);
+        const thumbnails = {};
+        for (let i = 0; i < sizes.length; i++) {
+            job.checkCancelled();
+            const size = sizes[i];
+            thumbnails[size.name] = await encode(drawScaled(pyramid, size.width, size.height, resample), type, quality);
+            job.progress(i + 1, sizes.length);
+        }
+        return thumbnails;
+    }),
+
+    // Everything an upload needs from one decode: dimensions, thumbnails, signature and perceptual hashes
+    analyze: ({ source, sizes, regionsX, regionsY, colorSpace, resample, type, quality }, job) => withDecoded(source, job, async (decoded) => {
+        const steps = sizes.length + 1;
+        const pyramid = createPyramid(decoded.image, decoded.width, decoded.height);
+        const thumbnails = {};
+        for (let i = 0; i < sizes.length; i++) {
+            job.checkCancelled();
+            const size = sizes[i];
+            thumbnails[size.name] = await encode(drawScaled(pyramid, size.width, size.height, resample), type, quality);
+            job.progress(i + 1, steps);
+        }
+        const signature = computeSignature(decoded.image, decoded.width, decoded.height, regionsX, regionsY,
+            { checkCancelled: job.checkCancelled, progress: () => { } }, colorSpace);
+        const hashes = computePerceptualHashes(decoded.image, decoded.width, decoded.height);
+        job.progress(steps, steps);
+        return { width: decoded.width, height: decoded.height, metadata: decoded.metadata, thumbnails, signature, hashes };
+    }),
+
+    signature: ({ source, regionsX, regionsY, colorSpace }, job) => withDecoded(source, job, (decoded) =>
+        computeSignature(decoded.image, decoded.width, decoded.height, regionsX, regionsY, job, colorSpace)),
+
+    perceptualHash: ({ source }, job) => withDecoded(source, job, (decoded) =>
+        computePerceptualHashes(decoded.image, decoded.width, decoded.height)),
+
+    pixels: ({ source }, job) => withDecoded(source, job, (decoded) => ({
+        width: decoded.width,
+        height: decoded.height,
+        pixelData: extractRgb(decoded.image, decoded.width, decoded.height)
+    })),
+
+    encodeRgb: async ({ rgbData, width, height, type, quality }, job) => {
+        const surface = createSurface(width, height);
+        const ctx = context(surface);
+        const imageData = ctx.createImageData(width, height);
+        const data = imageData.data;
+
+        // Convert RGB to RGBA (add alpha channel)
+        let rgbIndex = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = rgbData[rgbIndex++];
+            data[i + 1] = rgbData[rgbIndex++];
+            data[i + 2] = rgbData[rgbIndex++];
+            data[i + 3] = 255;
+        }
+        ctx.putImageData(imageData, 0, 0);
+        job.checkCancelled();
+        return encode(surface, type, quality);
+    }
+};
+
+// Collect the ArrayBuffers in a result so they can be transferred instead of copied
+export function collectTransferables(value, list = []) {
+    if (value instanceof Uint8Array || value instanceof Uint8ClampedArray) {
+        if (!list.includes(value.buffer)) list.push(value.buffer);
+    } else if (Array.isArray(value)) {
+        for (const item of value) collectTransferables(item, list);
+    } else if (value && typeof value === "object") {
+        for (const item of Object.values(value)) collectTransferables(item, list);
+    }
+    return list;
+}
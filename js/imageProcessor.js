@@ -1,363 +1,128 @@
 // imageProcessor.js
 
+import { runImageJob, cancelImageJob } from './imageWorkerPool.js';
+import { notify } from './dotNetCallback.js';
+import { rankCandidates } from './colorScience.js';
+import { createObjectUrl, releaseObjectUrl, createUrlScope, disposeUrlScope, getLiveObjectUrls } from './objectUrlRegistry.js';
+import { loadFont, fontSpec, DEFAULT_FONT } from './fontLoader.js';
+import { DEFAULT_ENCODER, resolveEncoder, mimeTypeOfBytes } from './imageEncoder.js';
+import { normalizeResampleMethod } from './resample.js';
+import { normalizeAdjustments, hasColorShift, supportsCanvasFilter, buildFilter, renderAdjusted } from './colorAdjust.js';
+
 // Export an object with all the functions directly
 export const imageProcessor = {
-    // Global default quality for WebP thumbnails
-    _webpQuality: 0.75,
-
-    // Load image from array buffer
-    getUrlFromImageByteArray: async function (imageData) {
-        return new Promise((resolve, reject) => {
-            const blob = new Blob([imageData]);
-            const url = URL.createObjectURL(blob);
-            const img = new Image();
-
-            img.onload = () => {
-                resolve({
-                    width: img.width,
-                    height: img.height,
-                    url: url
-                });
-            };
-
-            img.onerror = () => reject(new Error("Failed to load image"));
-            img.src = url;
-        });
+    // Encoder settings for calls that do not pass their own (see imageEncoder.js)
+    _encoder: { ...DEFAULT_ENCODER },
+    _encoderCapabilities: null,
+
+    // Load image from array buffer. Returns upright dimensions, an object URL the browser can
+    // display (HEIC and AVIF are transcoded when the browser cannot show them) and the EXIF metadata
+    // of the upload.
+    // options.scope (from createUrlScope) ties the URL to a component; otherwise call cleanup.
+    getUrlFromImageByteArray: async function (imageData, options = null) {
+        const info = await this._run('inspect', { source: imageData }, options);
+        const blob = info.transcoded
+            ? new Blob([info.transcoded], { type: mimeTypeOfBytes(info.transcoded, 'image/png') })
+            : new Blob([imageData]);
+        return {
+            width: info.width,
+            height: info.height,
+            url: createObjectUrl(blob, options?.scope ?? null),
+            metadata: info.metadata
+        };
     },
-    resizeWithoutBorder: async function (imageUrl, width, height) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const img = new Image();
-                img.onload = async () => {
-                    const thumbAspectRatio = width / height;
-                    const imageAspectRatio = img.width / img.height;
-
-                    let shrunkenImageUrl;
-                    let shrunkenImageData;
-
-                    if (thumbAspectRatio > imageAspectRatio) {
-                        // Image is taller relative to target - fit by width
-                        const newHeight = Math.floor((width / img.width) * img.height);
-                        shrunkenImageData = await this.constrainProportions(imageUrl, width, newHeight);
-                    } else {
-                        // Image is wider relative to target - fit by height
-                        const newWidth = Math.floor((height / img.height) * img.width);
-                        shrunkenImageData = await this.constrainProportions(imageUrl, newWidth, height);
-                    }
-
-                    // Convert byte array back to URL for cropping (as WebP)
-                    const blob = new Blob([shrunkenImageData], { type: 'image/webp' });
-                    shrunkenImageUrl = URL.createObjectURL(blob);
-
-                    // Now crop to exact dimensions (center anchor)
-                    const croppedData = await this.crop(shrunkenImageUrl, width, height, 'center');
-
-                    // Clean up temporary URL
-                    URL.revokeObjectURL(shrunkenImageUrl);
-
-                    resolve(croppedData);
-                };
-                img.onerror = () => reject(new Error("Failed to load image"));
-                img.src = imageUrl;
-            } catch (error) {
-                reject(error);
-            }
+    // Options accepted by the worker-backed calls below:
+    // { jobId, signal, progress, format, quality, lossless, resample } where progress is a JS
+    // callback or a DotNetObjectReference exposing OnImageJobProgress({ jobId, done, total }),
+    // format ('png' | 'jpeg' | 'webp' | 'avif'), quality (0..1) and lossless override the encoder
+    // defaults for calls that return images, and resample ('lanczos' (default) | 'area' |
+    // 'halving' | 'fast', see resample.js) picks how images are shrunk. Cancel by jobId with cancel().
+    _run: async function (op, args, options = null, transfer = []) {
+        const { jobId = null, signal = null, progress = null } = options || {};
+        const encoder = resolveEncoder(options, this._encoder, await this.getEncoderCapabilities());
+        const resample = normalizeResampleMethod(options?.resample);
+        return runImageJob(op, { type: encoder.type, quality: encoder.quality, resample, ...args }, {
+            jobId,
+            signal,
+            transfer,
+            onProgress: progress ? (e) => notify(progress, 'OnImageJobProgress', e) : null
         });
     },
-    constrainProportions: async function (imageUrl, width, height) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => {
-                const sourceWidth = img.width;
-                const sourceHeight = img.height;
-
-                const thumbAspectRatio = width / height;
-                const aspectRatio = sourceWidth / sourceHeight;
-
-                let newWidth, newHeight;
-
-                if (aspectRatio > thumbAspectRatio) {
-                    // Image is wider than the target aspect ratio
-                    newWidth = width;
-                    newHeight = Math.ceil(width / aspectRatio);
-                } else {
-                    // Image is taller than the target aspect ratio
-                    newWidth = Math.floor(aspectRatio * height);
-                    newHeight = height;
-                }
-
-                const canvas = document.createElement('canvas');
-                canvas.width = newWidth;
-                canvas.height = newHeight;
-
-                const ctx = canvas.getContext('2d', { willReadFrequently: true });
-                ctx.drawImage(img, 0, 0, newWidth, newHeight);
-
-                canvas.toBlob(blob => {
-                    const reader = new FileReader();
-                    reader.onloadend = () => {
-                        resolve(new Uint8Array(reader.result));
-                    };
-                    reader.onerror = () => reject(new Error("Failed to read resized image"));
-                    reader.readAsArrayBuffer(blob);
-                }, 'image/webp', this._webpQuality);
-            };
-            img.onerror = () => reject(new Error("Failed to load image"));
-            img.src = imageUrl;
-        });
+    resizeWithoutBorder: async function (imageUrl, width, height, options = null) {
+        return this._run('resizeWithoutBorder', { source: imageUrl, width, height }, options);
     },
-    crop: async function (imageUrl, width, height, anchorPosition) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => {
-                const sourceWidth = img.width;
-                const sourceHeight = img.height;
-                let destX = 0;
-                let destY = 0;
-
-                const nPercentW = width / sourceWidth;
-                const nPercentH = height / sourceHeight;
-                let nPercent;
-
-                if (nPercentH < nPercentW) {
-                    nPercent = nPercentW;
-                    switch (anchorPosition.toLowerCase()) {
-                        case 'top':
-                            destY = 0;
-                            break;
-                        case 'bottom':
-                            destY = Math.floor(height - (sourceHeight * nPercent));
-                            break;
-                        default: // 'center'
-                            destY = Math.floor((height - (sourceHeight * nPercent)) / 2);
-                            break;
-                    }
-                } else {
-                    nPercent = nPercentH;
-                    switch (anchorPosition.toLowerCase()) {
-                        case 'left':
-                            destX = 0;
-                            break;
-                        case 'right':
-                            destX = Math.floor(width - (sourceWidth * nPercent));
-                            break;
-                        default: // 'center'
-                            destX = Math.floor((width - (sourceWidth * nPercent)) / 2);
-                            break;
-                    }
-                }
-
-                const destWidth = Math.floor(sourceWidth * nPercent);
-                const destHeight = Math.floor(sourceHeight * nPercent);
-
-                // Create canvas with target dimensions
-                const canvas = document.createElement('canvas');
-                canvas.width = width;
-                canvas.height = height;
-
-                const ctx = canvas.getContext('2d', { willReadFrequently: true });
-                // Fill with transparent background
-                ctx.clearRect(0, 0, width, height);
-
-                // Draw the scaled image at the calculated position
-                ctx.drawImage(img, destX, destY, destWidth, destHeight);
-
-                canvas.toBlob(blob => {
-                    const reader = new FileReader();
-                    reader.onloadend = () => {
-                        resolve(new Uint8Array(reader.result));
-                    };
-                    reader.onerror = () => reject(new Error("Failed to read cropped image"));
-                    reader.readAsArrayBuffer(blob);
-                }, 'image/webp', this._webpQuality);
-            };
-            img.onerror = () => reject(new Error("Failed to load image"));
-            img.src = imageUrl;
-        });
+    constrainProportions: async function (imageUrl, width, height, options = null) {
+        return this._run('constrainProportions', { source: imageUrl, width, height }, options);
     },
-    getArrayFromImageUrl: async function (imageUrl) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => {
-                const canvas = document.createElement('canvas');
-                canvas.width = img.width;
-                canvas.height = img.height;
-
-                const ctx = canvas.getContext('2d', { willReadFrequently: true });
-                ctx.drawImage(img, 0, 0);
-
-                canvas.toBlob(blob => {
-                    const reader = new FileReader();
-                    reader.onloadend = () => {
-                        resolve(new Uint8Array(reader.result));
-                    };
-                    reader.onerror = () => reject(new Error("Failed to read image as byte array"));
-                    reader.readAsArrayBuffer(blob);
-                }, 'image/webp', this._webpQuality);
-            };
-            img.onerror = () => reject(new Error("Failed to load image"));
-            img.src = imageUrl;
-        });
+    crop: async function (imageUrl, width, height, anchorPosition, options = null) {
+        return this._run('crop', { source: imageUrl, width, height, anchorPosition }, options);
+    },
+    getArrayFromImageUrl: async function (imageUrl, options = null) {
+        return this._run('reencode', { source: imageUrl }, options);
     },
     // Resize image and return as byte array
-    resizeImage: async function (imageUrl, width, height) {
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.onload = () => {
-                const canvas = document.createElement('canvas');
-                canvas.width = width;
-                canvas.height = height;
-
-                const ctx = canvas.getContext('2d', { willReadFrequently: true });
-                ctx.drawImage(img, 0, 0, width, height);
-
-                // Convert to WebP blob
-                canvas.toBlob(blob => {
-                    const reader = new FileReader();
-                    reader.onloadend = () => {
-                        // Return as ArrayBuffer
-                        resolve(new Uint8Array(reader.result));
-                    };
-                    reader.readAsArrayBuffer(blob);
-                }, 'image/webp', this._webpQuality);
-            };
-            img.src = imageUrl;
-        });
+    resizeImage: async function (imageUrl, width, height, options = null) {
+        return this._run('resize', { source: imageUrl, width, height }, options);
     },
-    // Generate multiple thumbnails and return as array of byte arrays
-    generateThumbnails: async function (imageUrl, sizes) {
-        const thumbnails = {};
-
-        for (const size of sizes) {
-            const data = await this.resizeImage(imageUrl, size.width, size.height);
-            thumbnails[size.name] = data; // WebP bytes
+    // Generate multiple thumbnails and return as array of byte arrays. The sizes share one set of
+    // halvings, so each smaller size is cut from the intermediates made for the larger ones.
+    generateThumbnails: async function (imageUrl, sizes, options = null) {
+        return this._run('thumbnails', { source: imageUrl, sizes }, options);
+    },
+    // Calculate image signature (average color per region).
+    // options.colorSpace 'lab' averages in linear light and adds lab, variance and dominant per region.
+    generateImageSignature: async function (imageUrl, regionsX, regionsY, options = null) {
+        const colorSpace = options?.colorSpace ?? 'srgb';
+        return this._run('signature', { source: imageUrl, regionsX, regionsY, colorSpace }, options);
+    },
+    // 64-bit perceptual hashes ({ pHash, dHash } as hex) for duplicate detection
+    generatePerceptualHash: async function (imageUrl, options = null) {
+        return this._run('perceptualHash', { source: imageUrl }, options);
+    },
+    // Everything an upload needs from one decode: { width, height, metadata, thumbnails,
+    // signature, hashes }. sizes as for generateThumbnails; options.colorSpace as for
+    // generateImageSignature.
+    analyzeImage: async function (imageUrl, sizes, regionsX, regionsY, options = null) {
+        const colorSpace = options?.colorSpace ?? 'srgb';
+        return this._run('analyze', { source: imageUrl, sizes, regionsX, regionsY, colorSpace }, options);
+    },
+    // Rank candidate tiles ([{ id, signature }]) by CIEDE2000 distance to a target signature or colour
+    rankCandidates: function (target, candidates, options = null) {
+        return rankCandidates(target, candidates, options);
+    },
+    loadPixelData: async function (imageUrl, options = null) {
+        // pixelData is a Uint8Array with only RGB values (3 bytes per pixel)
+        return this._run('pixels', { source: imageUrl }, options);
+    },
+    createImageUrlFromRgbMetadata: async function (rgbData, width, height, options = null) {
+        const bytes = await this._run('encodeRgb', { rgbData, width, height }, options);
+        return createObjectUrl(new Blob([bytes], { type: mimeTypeOfBytes(bytes, 'image/png') }), options?.scope ?? null);
+    },
+    // Formats the browser can encode: { png, jpeg, webp, avif }. Probed once, where jobs run.
+    getEncoderCapabilities: function () {
+        if (!this._encoderCapabilities) {
+            this._encoderCapabilities = runImageJob('probeEncoders', {}).catch(error => {
+                console.warn('Encoder probe failed:', error);
+                this._encoderCapabilities = null;
+                return null;
+            });
         }
-
-        return thumbnails;
+        return this._encoderCapabilities;
     },
-    // Calculate image signature (average color per region)
-    generateImageSignature: async function (imageUrl, regionsX, regionsY) {
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.onload = () => {
-                const canvas = document.createElement('canvas');
-                canvas.width = img.width;
-                canvas.height = img.height;
-
-                const ctx = canvas.getContext('2d', { willReadFrequently: true });
-                ctx.drawImage(img, 0, 0);
-
-                const regionWidth = Math.floor(img.width / regionsX);
-                const regionHeight = Math.floor(img.height / regionsY);
-                const signature = [];
-
-                for (let y = 0; y < regionsY; y++) {
-                    for (let x = 0; x < regionsX; x++) {
-                        const data = ctx.getImageData(
-                            x * regionWidth,
-                            y * regionHeight,
-                            regionWidth,
-                            regionHeight
-                        ).data;
-
-                        // Average color in region
-                        let r = 0, g = 0, b = 0;
-                        for (let i = 0; i < data.length; i += 4) {
-                            r += data[i];
-                            g += data[i + 1];
-                            b += data[i + 2];
-                        }
-
-                        const pixelCount = data.length / 4;
-                        signature.push({
-                            r: Math.floor(r / pixelCount),
-                            g: Math.floor(g / pixelCount),
-                            b: Math.floor(b / pixelCount)
-                        });
-                    }
-                }
-
-                resolve(signature);
-            };
-            img.src = imageUrl;
-        });
+    // Change the encoder defaults ({ format, quality, lossless }); returns the new defaults
+    setEncoderDefaults: function (options) {
+        const encoder = { ...this._encoder, ...options };
+        resolveEncoder(encoder, DEFAULT_ENCODER);
+        this._encoder = encoder;
+        return { ...encoder };
     },
-    loadPixelData: async function (imageUrl) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => {
-                const canvas = document.createElement('canvas');
-                canvas.width = img.width;
-                canvas.height = img.height;
-
-                const ctx = canvas.getContext('2d', { willReadFrequently: true });
-                ctx.drawImage(img, 0, 0);
-
-                // Get RGBA pixel data
-                const imageData = ctx.getImageData(0, 0, img.width, img.height);
-                const rgbaData = imageData.data;
-
-                // Extract only RGB values (skip alpha)
-                const rgbData = new Uint8Array((rgbaData.length / 4) * 3);
-                let rgbIndex = 0;
-
-                for (let i = 0; i < rgbaData.length; i += 4) {
-                    rgbData[rgbIndex++] = rgbaData[i];     // Red
-                    rgbData[rgbIndex++] = rgbaData[i + 1]; // Green
-                    rgbData[rgbIndex++] = rgbaData[i + 2]; // Blue
-                    // Skip rgbaData[i + 3] (Alpha)
-                }
-
-                resolve({
-                    width: img.width,
-                    height: img.height,
-                    pixelData: rgbData // Uint8Array with only RGB values (3 bytes per pixel)
-                });
-            };
-            img.onerror = () => reject(new Error("Failed to load image"));
-            img.src = imageUrl;
-        });
+    // MIME type of encoded image bytes, e.g. before passing them to setImageBlob
+    getMimeType: function (bytes) {
+        return mimeTypeOfBytes(bytes);
     },
-    createImageUrlFromRgbMetadata: async function (rgbData, width, height) {
-        return new Promise((resolve, reject) => {
-            try {
-                // Create canvas with specified dimensions
-                const canvas = document.createElement('canvas');
-                canvas.width = width;
-                canvas.height = height;
-
-                const ctx = canvas.getContext('2d', { willReadFrequently: true });
-
-                // Create ImageData object
-                const imageData = ctx.createImageData(width, height);
-                const data = imageData.data;
-
-                // Convert RGB to RGBA (add alpha channel)
-                let rgbIndex = 0;
-                for (let i = 0; i < data.length; i += 4) {
-                    data[i] = rgbData[rgbIndex++];     // Red
-                    data[i + 1] = rgbData[rgbIndex++]; // Green
-                    data[i + 2] = rgbData[rgbIndex++]; // Blue
-                    data[i + 3] = 255;                 // Alpha (fully opaque)
-                }
-
-                // Put the image data on the canvas
-                ctx.putImageData(imageData, 0, 0);
-
-                // Convert canvas to blob and create URL (WebP)
-                canvas.toBlob(blob => {
-                    if (blob) {
-                        const url = URL.createObjectURL(blob);
-                        resolve(url);
-                    } else {
-                        reject(new Error("Failed to create blob from canvas"));
-                    }
-                }, 'image/webp', this._webpQuality);
-
-            } catch (error) {
-                reject(error);
-            }
-        });
+    // Cancel a job started with options.jobId
+    cancel: function (jobId) {
+        return cancelImageJob(jobId);
     },
     createCanvas: function (width, height, id) {
         // Remove existing canvas with same ID if it exists
@@ -388,7 +153,9 @@ export const imageProcessor = {
         console.log(`Canvas exists in DOM: ${document.getElementById(id) !== null}`);
 
     },
-    getImageUrlFromCanvas: async function (canvas) {
+    // options: { format, quality, lossless } as for the worker-backed calls. The data URL names
+    // the type actually produced.
+    getImageUrlFromCanvas: async function (canvas, options = null) {
         return new Promise((resolve, reject) => {
             try {
                 // If canvas is a string, get the canvas element by ID
@@ -400,8 +167,8 @@ export const imageProcessor = {
                     }
                     canvas = canvasElement;
                 }
-                // Convert to data URL (WebP)
-                const dataUrl = canvas.toDataURL('image/webp', this._webpQuality);
+                const encoder = resolveEncoder(options, this._encoder);
+                const dataUrl = canvas.toDataURL(encoder.type, encoder.quality);
                 resolve(dataUrl);
 
             } catch (error) {
@@ -409,7 +176,10 @@ export const imageProcessor = {
             }
         });
     },
-    placeImageOnCanvas: async function (canvas, imageUrl, x, y, width = null, height = null, opacity = null, contrastPercent = null) {
+    // adjustments: { brightness, contrast, saturation (percent), hue (degrees), tint: { color,
+    //   strength 0..1 }, blendMode ('multiply' | 'overlay' | 'soft-light' | ...) }; see colorAdjust.js.
+    // adjustments.contrast takes precedence over contrastPercent.
+    placeImageOnCanvas: async function (canvas, imageUrl, x, y, width = null, height = null, opacity = null, contrastPercent = null, adjustments = null) {
         // Handle both string ID and canvas element
         let canvasElement;
         if (typeof canvas === 'string') {
@@ -431,12 +201,18 @@ export const imageProcessor = {
             img.onload = () => {
                 const w = (width ?? img.width);
                 const h = (height ?? img.height);
+                const adjust = normalizeAdjustments(adjustments, contrastPercent);
+                // Tints, and colour shifts where ctx.filter is missing, are applied on a scratch canvas
+                const shift = hasColorShift(adjust);
+                const scratch = adjust.tint || (shift && !supportsCanvasFilter());
+                const source = scratch ? renderAdjusted(img, w, h, adjust) : img;
                 ctx.save();
                 if (opacity != null) ctx.globalAlpha = opacity;
-                if (contrastPercent != null) ctx.filter = `contrast(${contrastPercent}%)`;
-                ctx.drawImage(img, x, y, w, h);
+                if (adjust.blendMode) ctx.globalCompositeOperation = adjust.blendMode;
+                if (shift && !scratch) ctx.filter = buildFilter(adjust);
+                ctx.drawImage(source, x, y, w, h);
                 ctx.restore();
-                console.log(`Image placed at x:${x}, y:${y}, size:${w}x${h}, opacity:${opacity ?? 1}, contrast:${contrastPercent ?? 100}`);
+                console.log(`Image placed at x:${x}, y:${y}, size:${w}x${h}, opacity:${opacity ?? 1}, filter:${buildFilter(adjust)}, tint:${adjust.tint ? adjust.tint.strength : 0}, blend:${adjust.blendMode ?? 'source-over'}`);
                 resolve();
             };
 
@@ -453,8 +229,98 @@ export const imageProcessor = {
             }
         });
     },
-    cleanup: function (url) {
-        URL.revokeObjectURL(url);
+    // Draw text on a canvas once its font has loaded. x, y is the anchor point for align/baseline.
+    // options: { font, size (px), weight, style, color, align ('left' | 'center' | 'right'),
+    //   baseline ('top' | 'middle' | 'bottom' | 'alphabetic'), lineHeight (multiple of size),
+    //   opacity, shadow: { color, blur, offsetX, offsetY }, safeArea (px kept clear at every edge;
+    //   the text is shrunk to fit inside and moved in from the edges), allowFallback (draw with the
+    //   browser's fallback font when the face cannot be loaded; otherwise nothing is drawn and the
+    //   promise rejects) }.
+    // Multi-line text is split on '\n'. Resolves with the box drawn and whether the font loaded.
+    placeTextOnCanvas: async function (canvas, text, x, y, options = null) {
+        let canvasElement;
+        if (typeof canvas === 'string') {
+            canvasElement = document.getElementById(canvas);
+            if (!canvasElement) {
+                console.error(`Canvas with ID ${canvas} not found`);
+                return Promise.reject(new Error(`Canvas with ID ${canvas} not found`));
+            }
+        } else {
+            canvasElement = canvas;
+        }
+
+        const {
+            font = DEFAULT_FONT, size = 32, weight = 400, style = 'normal', color = '#ffffff',
+            align = 'left', baseline = 'alphabetic', lineHeight = 1.2, opacity = null,
+            shadow = null, safeArea = 0, allowFallback = false
+        } = options || {};
+        const lines = String(text ?? '').split('\n');
+        const fontLoaded = await loadFont(font, weight);
+        if (!fontLoaded && !allowFallback) {
+            throw new Error(`Font ${font} (${weight}) could not be loaded; no text was drawn`);
+        }
+
+        const ctx = canvasElement.getContext('2d');
+        ctx.save();
+        try {
+            // Shrink to the safe area: the widest line and the block height must fit inside it
+            const areaWidth = Math.max(1, canvasElement.width - safeArea * 2);
+            const areaHeight = Math.max(1, canvasElement.height - safeArea * 2);
+            ctx.font = fontSpec(font, size, weight, style);
+            const widest = Math.max(...lines.map(line => ctx.measureText(line).width), 1);
+            const fit = Math.min(1, areaWidth / widest, areaHeight / (size * (1 + lineHeight * (lines.length - 1))));
+            const fontSize = Math.floor(size * fit);
+            ctx.font = fontSpec(font, fontSize, weight, style);
+
+            const lineStep = fontSize * lineHeight;
+            const width = Math.max(...lines.map(line => ctx.measureText(line).width), 0);
+            const height = fontSize + lineStep * (lines.length - 1);
+
+            // Top-left of the block from the anchor, then pushed inside the safe area
+            let left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+            let top = baseline === 'top' ? y
+                : baseline === 'middle' ? y - height / 2
+                : baseline === 'bottom' ? y - height
+                : y - fontSize * 0.8; // alphabetic: roughly the ascent above the baseline
+            left = Math.min(Math.max(left, safeArea), canvasElement.width - safeArea - width);
+            top = Math.min(Math.max(top, safeArea), canvasElement.height - safeArea - height);
+
+            if (opacity != null) ctx.globalAlpha = opacity;
+            if (shadow) {
+                ctx.shadowColor = shadow.color ?? 'rgba(0, 0, 0, 0.6)';
+                ctx.shadowBlur = shadow.blur ?? 4;
+                ctx.shadowOffsetX = shadow.offsetX ?? 2;
+                ctx.shadowOffsetY = shadow.offsetY ?? 2;
+            }
+            ctx.fillStyle = color;
+            ctx.textBaseline = 'top';
+            ctx.textAlign = 'left';
+            lines.forEach((line, i) => {
+                const lineWidth = ctx.measureText(line).width;
+                const lineX = align === 'center' ? left + (width - lineWidth) / 2 : align === 'right' ? left + width - lineWidth : left;
+                ctx.fillText(line, lineX, top + i * lineStep);
+            });
+
+            console.log(`Text placed at x:${Math.round(left)}, y:${Math.round(top)}, font:${font} ${fontSize}px${fontLoaded ? '' : ' (fallback)'}`);
+            return { x: left, y: top, width, height, fontSize, fontLoaded };
+        } finally {
+            ctx.restore();
+        }
+    },
+    // Release a URL returned above; pass the scope it was created in, if any
+    cleanup: function (url, scope = null) {
+        releaseObjectUrl(url, scope);
+    },
+    // Object URL scopes for components: every URL created with the scope is revoked on dispose
+    createUrlScope: function (name = null) {
+        return createUrlScope(name);
+    },
+    disposeUrlScope: function (scope) {
+        return disposeUrlScope(scope);
+    },
+    // Live object URLs and their total size, for the debug view
+    getLiveObjectUrls: function () {
+        return getLiveObjectUrls();
     }
 }
 
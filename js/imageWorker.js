@@ -0,0 +1,48 @@
+// imageWorker.js
+// Module worker that runs imageOps operations off the main thread.
+// Protocol: { type: "run", jobId, op, args } and { type: "cancel", jobId } in;
+// { type: "progress" | "result" | "error", jobId, ... } out, after one { type: "ready" } once the
+// module and its imports have loaded.
+
+import { operations, collectTransferables, JobCancelledError } from "./imageOps.js";
+
+const cancelled = new Set();
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    if (message.type === "cancel") {
+        cancelled.add(message.jobId);
+        return;
+    }
+
+    if (message.type !== "run") return;
+
+    const { jobId, op, args } = message;
+    const job = {
+        checkCancelled: () => {
+            if (cancelled.has(jobId)) throw new JobCancelledError(jobId);
+        },
+        progress: (done, total) => self.postMessage({ type: "progress", jobId, done, total })
+    };
+
+    try {
+        const operation = operations[op];
+        if (!operation) throw new Error(`Unknown image operation: ${op}`);
+
+        const result = await operation(args, job);
+        job.checkCancelled();
+        self.postMessage({ type: "result", jobId, result }, collectTransferables(result));
+    } catch (error) {
+        self.postMessage({
+            type: "error",
+            jobId,
+            name: error?.name || "Error",
+            message: error?.message || String(error)
+        });
+    } finally {
+        cancelled.delete(jobId);
+    }
+};
+
+self.postMessage({ type: "ready" });
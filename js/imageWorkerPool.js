@@ -0,0 +1,249 @@
+// imageWorkerPool.js
+// Pool of image workers with a FIFO job queue, per-job progress and cancellation.
+// When the browser lacks module workers or OffscreenCanvas, jobs run on the main thread
+// through the same imageOps operations so callers never need to care.
+
+import { operations, JobCancelledError } from "./imageOps.js";
+
+const MAX_WORKERS = 4;
+
+let slots = null;          // [{ worker, job, ready }]
+let pipelineAvailable = null;
+let nextJobId = 1;
+const queue = [];
+const jobs = new Map();    // jobId -> job
+
+// Browsers without module workers (Firefox before 114) ignore the type option; they never read it
+function supportsModuleWorkers() {
+    let supported = false;
+    try {
+        // The invalid URL makes the constructor throw after it has read the options
+        new Worker("blob://", { get type() { supported = true; return "module"; } }).terminate();
+    } catch {
+        // expected
+    }
+    return supported;
+}
+
+// True when jobs can run in workers (module workers + OffscreenCanvas + createImageBitmap)
+export function isWorkerPipelineAvailable() {
+    if (pipelineAvailable === null) {
+        pipelineAvailable = typeof Worker !== "undefined"
+            && supportsModuleWorkers()
+            && typeof OffscreenCanvas !== "undefined"
+            && typeof OffscreenCanvas.prototype.convertToBlob === "function"
+            && typeof createImageBitmap === "function";
+    }
+    return pipelineAvailable;
+}
+
+function poolSize() {
+    const cores = (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+}
+
+// A worker that fails before it reports ready cannot load at all, so none will: stop using
+// workers and run the queue on the main thread. Jobs only go to ready workers, so none are lost.
+function fallBackToMainThread(reason) {
+    console.warn("Image workers failed to start, using the main thread:", reason);
+    pipelineAvailable = false;
+    slots?.forEach(slot => slot.worker.terminate());
+    slots = [];
+    for (const job of queue.splice(0)) runOnMainThread(job);
+}
+
+function createSlot() {
+    const slot = { worker: null, job: null, ready: false };
+    const worker = new Worker(new URL("./imageWorker.js", import.meta.url), { type: "module" });
+
+    worker.onmessage = (event) => handleMessage(slot, event.data);
+    worker.onerror = (event) => {
+        event.preventDefault?.();
+        if (!slot.ready) {
+            fallBackToMainThread(event.message || event);
+            return;
+        }
+        console.error("Image worker crashed:", event.message || event);
+        const job = slot.job;
+        slot.job = null;
+        if (job) settle(job, null, new Error(event.message || "Image worker crashed"));
+        // Replace the broken worker so the pool keeps its size
+        worker.terminate();
+        if (!slots) return;
+        const index = slots.indexOf(slot);
+        if (index >= 0) {
+            try {
+                slots[index] = createSlot();
+            } catch {
+                slots.splice(index, 1);
+            }
+        }
+        dispatch();
+    };
+
+    slot.worker = worker;
+    return slot;
+}
+
+function ensureSlots() {
+    if (slots) return slots;
+    slots = [];
+    try {
+        const size = poolSize();
+        for (let i = 0; i < size; i++) slots.push(createSlot());
+    } catch (error) {
+        console.warn("Image workers unavailable, using the main thread:", error);
+        slots.forEach(slot => slot.worker.terminate());
+        slots = [];
+        pipelineAvailable = false;
+    }
+    return slots;
+}
+
+function handleMessage(slot, message) {
+    if (message.type === "ready") {
+        slot.ready = true;
+        dispatch();
+        return;
+    }
+
+    const job = slot.job;
+    if (!job || job.id !== message.jobId) return;
+
+    if (message.type === "progress") {
+        if (!job.cancelled) job.onProgress?.({ jobId: job.id, done: message.done, total: message.total });
+        return;
+    }
+
+    slot.job = null;
+    if (message.type === "result") {
+        settle(job, message.result, null);
+    } else {
+        const error = message.name === "AbortError" ? new JobCancelledError(job.id) : new Error(message.message);
+        settle(job, null, error);
+    }
+    dispatch();
+}
+
+function settle(job, result, error) {
+    if (job.settled) return;
+    job.settled = true;
+    jobs.delete(job.id);
+    job.cleanup?.();
+    if (error) job.reject(error);
+    else job.resolve(result);
+}
+
+function dispatch() {
+    for (const slot of slots) {
+        if (queue.length === 0) return;
+        if (slot.job || !slot.ready) continue;
+
+        const job = queue.shift();
+        slot.job = job;
+        job.slot = slot;
+        slot.worker.postMessage({ type: "run", jobId: job.id, op: job.op, args: job.args }, job.transfer);
+    }
+}
+
+async function runOnMainThread(job) {
+    const handle = {
+        checkCancelled: () => {
+            if (job.cancelled) throw new JobCancelledError(job.id);
+        },
+        progress: (done, total) => {
+            if (!job.cancelled) job.onProgress?.({ jobId: job.id, done, total });
+        }
+    };
+
+    try {
+        const operation = operations[job.op];
+        if (!operation) throw new Error(`Unknown image operation: ${job.op}`);
+        const result = await operation(job.args, handle);
+        handle.checkCancelled();
+        settle(job, result, null);
+    } catch (error) {
+        settle(job, null, error);
+    }
+}
+
+// Queue an operation. options: { jobId, signal (AbortSignal), onProgress(e), transfer[] }.
+// Resolves with the operation result; rejects with an AbortError when cancelled.
+export function runImageJob(op, args, options = {}) {
+    const { jobId = null, signal = null, onProgress = null, transfer = [] } = options || {};
+
+    return new Promise((resolve, reject) => {
+        const job = {
+            id: jobId ?? `job-${nextJobId++}`,
+            op,
+            args,
+            transfer,
+            onProgress,
+            resolve,
+            reject,
+            cancelled: false,
+            settled: false,
+            slot: null,
+            cleanup: null
+        };
+
+        if (jobs.has(job.id)) {
+            reject(new Error(`Image job ${job.id} is already running`));
+            return;
+        }
+
+        if (signal) {
+            if (signal.aborted) {
+                reject(new JobCancelledError(job.id));
+                return;
+            }
+            const onAbort = () => cancelImageJob(job.id);
+            signal.addEventListener("abort", onAbort, { once: true });
+            job.cleanup = () => signal.removeEventListener("abort", onAbort);
+        }
+
+        jobs.set(job.id, job);
+
+        if (!isWorkerPipelineAvailable() || ensureSlots().length === 0) {
+            runOnMainThread(job);
+            return;
+        }
+
+        queue.push(job);
+        dispatch();
+    });
+}
+
+// Cancel a queued or running job. Returns false when the job is unknown or already finished.
+export function cancelImageJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return false;
+
+    job.cancelled = true;
+    const queued = queue.indexOf(job);
+    if (queued >= 0) {
+        queue.splice(queued, 1);
+    } else if (job.slot) {
+        // The slot stays busy until the worker acknowledges, then picks up the next job
+        job.slot.worker.postMessage({ type: "cancel", jobId: job.id });
+    }
+    settle(job, null, new JobCancelledError(job.id));
+    return true;
+}
+
+// Snapshot for diagnostics
+export function getPoolStatus() {
+    return {
+        workers: isWorkerPipelineAvailable() && slots ? slots.length : 0,
+        busy: slots ? slots.filter(s => s.job).length : 0,
+        queued: queue.length,
+        mainThread: !isWorkerPipelineAvailable()
+    };
+}
+
+// Stop all workers; queued and running jobs are cancelled
+export function shutdownPool() {
+    for (const job of [...jobs.values()]) cancelImageJob(job.id);
+    if (slots) slots.forEach(slot => slot.worker.terminate());
+    slots = null;
+}
@@ -0,0 +1,446 @@
+// importQueue.js
+// Batch import of photos into the library. Each file is decoded once in the image worker
+// pool, its thumbnails and colour signature are written to IndexedDbFile/ImageData, and a
+// checkpoint in ImportCheckpoint records which files are done so an interrupted import can
+// continue after a reload (the user selects or drops the same files again).
+
+import * as db from "./indexedDbAccessor.js";
+import { imageProcessor } from "./imageProcessor.js";
+import { notify } from "./dotNetCallback.js";
+import { checkImportFits, isQuotaExceededError, requestPersistentStorage } from "./storageManager.js";
+
+const CHECKPOINT_STORE = "ImportCheckpoint";
+const DEFAULT_CONCURRENCY = 2;
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|gif|bmp|avif|heic|heif)$/i;
+
+const imports = new Map(); // importId -> session
+
+function newId() {
+    return typeof crypto !== "undefined" && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+}
+
+function isImageFile(file) {
+    return (file.type && file.type.startsWith("image/")) || IMAGE_EXTENSIONS.test(file.name);
+}
+
+// Stable identity of a file across reloads
+function fileKey(file) {
+    return `${file.webkitRelativePath || file.relativePath || file.name}|${file.size}|${file.lastModified}`;
+}
+
+// ===== Collecting files =====
+
+function readDirectoryEntries(reader) {
+    return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+async function collectEntry(entry, path, out) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        file.relativePath = path + file.name;
+        out.push(file);
+    } else if (entry.isDirectory) {
+        const reader = entry.createReader();
+        // readEntries returns the directory in batches until it yields an empty one
+        for (;;) {
+            const batch = await readDirectoryEntries(reader);
+            if (batch.length === 0) break;
+            for (const child of batch) await collectEntry(child, `${path}${entry.name}/`, out);
+        }
+    }
+}
+
+// Accepts a FileList, File[], DataTransfer (drop, including folders) or a file input id
+export async function collectFiles(source) {
+    if (typeof source === "string") {
+        const input = document.getElementById(source);
+        if (!input || !input.files) throw new Error(`File input ${source} not found`);
+        source = input.files;
+    }
+
+    const files = [];
+    if (typeof DataTransfer !== "undefined" && source instanceof DataTransfer) {
+        const entries = Array.from(source.items || [])
+            .filter(item => item.kind === "file")
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+        if (entries.length > 0) {
+            for (const entry of entries) await collectEntry(entry, "", files);
+        } else {
+            files.push(...Array.from(source.files || []));
+        }
+    } else {
+        files.push(...Array.from(source || []));
+    }
+
+    return files.filter(isImageFile);
+}
+
+// ===== Checkpoints =====
+
+async function saveCheckpoint(session) {
+    await db.set(CHECKPOINT_STORE, {
+        id: session.id,
+        createdAt: session.createdAt,
+        updatedAt: new Date().toISOString(),
+        options: session.options,
+        files: session.previouslyDone.concat(session.items.map(item => ({
+            key: item.key,
+            name: item.file.name,
+            status: item.status === "running" ? "pending" : item.status,
+            imageId: item.imageId,
+            error: item.error
+        })))
+    });
+}
+
+// Unfinished imports from earlier page loads
+export async function getPendingImports() {
+    const checkpoints = await db.getAll(CHECKPOINT_STORE);
+    return checkpoints
+        .filter(c => !["running", "paused"].includes(imports.get(c.id)?.state))
+        .map(c => ({
+            importId: c.id,
+            createdAt: c.createdAt,
+            updatedAt: c.updatedAt,
+            total: c.files.length,
+            completed: c.files.filter(f => f.status === "done").length,
+            failed: c.files.filter(f => f.status === "failed").length,
+            remainingFiles: c.files.filter(f => f.status !== "done").map(f => f.name)
+        }));
+}
+
+// Forget an unfinished import
+export async function discardImport(importId) {
+    await cancelImport(importId);
+    await db.deleteRecord(CHECKPOINT_STORE, importId);
+    return true;
+}
+
+// ===== Processing =====
+
+function status(session) {
+    const count = (s) => session.items.filter(item => item.status === s).length;
+    return {
+        importId: session.id,
+        state: session.state,
+        total: session.items.length,
+        completed: count("done"),
+        skipped: session.skipped,
+        failed: count("failed"),
+        inFlight: count("running"),
+        pending: count("pending"),
+        quotaExceeded: session.quotaExceeded,
+        errors: session.items
+            .filter(item => item.status === "failed")
+            .map(item => ({ file: item.file.name, path: item.file.relativePath || item.file.name, message: item.error }))
+    };
+}
+
+function report(session) {
+    notify(session.listener, "OnImportProgress", status(session));
+}
+
+async function importFile(session, item) {
+    const { sizes, regionsX, regionsY, colorSpace, encoder, resample, recordDefaults } = session.options;
+    const file = item.file;
+    const imageId = newId();
+
+    item.controller = new AbortController();
+    try {
+        const result = await imageProcessor.analyzeImage(file, sizes, regionsX, regionsY, {
+            ...encoder,
+            colorSpace,
+            resample,
+            signal: item.controller.signal
+        });
+
+        // The .NET model's fields first; everything after ImageSignature is extra metadata
+        const record = {
+            ...recordDefaults,
+            id: imageId,
+            ImageName: file.name,
+            UploadDate: new Date().toISOString(),
+            ImageWidth: result.width,
+            ImageHeight: result.height,
+            ImageSignature: result.signature,
+            MimeType: file.type,
+            FileSize: file.size,
+            LastModified: new Date(file.lastModified).toISOString(),
+            PHash: result.hashes?.pHash ?? null,
+            DHash: result.hashes?.dHash ?? null,
+            CaptureDate: result.metadata?.captureDate ?? null,
+            CameraMake: result.metadata?.make ?? null,
+            CameraModel: result.metadata?.model ?? null,
+            LensModel: result.metadata?.lensModel ?? null,
+            GpsLatitude: result.metadata?.gps?.latitude ?? null,
+            GpsLongitude: result.metadata?.gps?.longitude ?? null,
+            GpsAltitude: result.metadata?.gps?.altitude ?? null
+        };
+
+        // Thumbnail fields hold the IndexedDbFile id of each size
+        const ops = [];
+        for (const size of sizes) {
+            const blobId = `${imageId}-${size.name}`;
+            const data = result.thumbnails[size.name];
+            ops.push({ type: "putBlob", id: blobId, data, mimeType: imageProcessor.getMimeType(data) });
+            record[size.name] = blobId;
+        }
+
+        // db.transaction fills in the fields backing the gallery's filter and sort indexes
+        ops.push({ type: "put", store: "ImageData", value: record });
+
+        // Thumbnails and record commit together, so a failure leaves nothing half-written
+        await db.transaction(["IndexedDbFile", "ImageData"], ops);
+        item.imageId = imageId;
+        item.status = "done";
+    } catch (error) {
+        if (session.state === "cancelled") {
+            item.status = "pending";
+        } else if (isQuotaExceededError(error)) {
+            // Out of space: the file stays pending and the import pauses until space is freed
+            item.status = "pending";
+            if (!session.quotaExceeded) {
+                session.quotaExceeded = true;
+                if (session.state === "running") session.state = "paused";
+                console.warn(`Import ${session.id} paused: storage quota exceeded`);
+                notify(session.listener, "OnStorageWarning", { importId: session.id, reason: "quota-exceeded" });
+            }
+        } else {
+            item.status = "failed";
+            item.error = error?.message || String(error);
+            console.error(`Import failed for ${file.name}:`, error);
+        }
+    } finally {
+        item.controller = null;
+    }
+}
+
+function pump(session) {
+    if (session.state !== "running") return;
+
+    while (session.active < session.options.concurrency) {
+        const item = session.items.find(i => i.status === "pending");
+        if (!item) break;
+
+        item.status = "running";
+        session.active++;
+        importFile(session, item).finally(async () => {
+            session.active--;
+            if (session.state !== "cancelled") {
+                await saveCheckpoint(session).catch(error => console.warn("Failed to save import checkpoint:", error));
+            }
+            report(session);
+            pump(session);
+            finishIfDone(session);
+        });
+    }
+
+    finishIfDone(session);
+}
+
+async function finishIfDone(session) {
+    if (session.state !== "running" || session.active > 0) return;
+    if (session.items.some(item => item.status === "pending")) return;
+
+    session.state = "completed";
+    // Keep the checkpoint only if there are failures the user may want to retry
+    if (!session.items.some(item => item.status === "failed")) {
+        await db.deleteRecord(CHECKPOINT_STORE, session.id).catch(() => { });
+    }
+    const final = status(session);
+    notify(session.listener, "OnImportCompleted", final);
+    session.resolveDone(final);
+}
+
+// Start (or continue) an import.
+// options: { sizes: [{ name, width, height }], regionsX, regionsY, colorSpace ("srgb" | "lab"),
+//            encoder: { format, quality, lossless } for the thumbnails (imageProcessor defaults
+//            otherwise), resample (see resample.js), concurrency, resumeImportId, recordDefaults,
+//            requestPersistence (default true) }
+// listener: DotNetObjectReference with OnImportProgress/OnImportCompleted/OnStorageWarning, or a JS callback.
+// OnStorageWarning fires before the import starts if it is not expected to fit, and when a
+// QuotaExceededError pauses it.
+// Returns the import id immediately; use getImportStatus/waitForImport to follow it.
+export async function startImport(source, options, listener = null) {
+    const files = await collectFiles(source);
+    const {
+        sizes = [],
+        regionsX = 4,
+        regionsY = 4,
+        colorSpace = "srgb",
+        encoder = null,
+        resample = null,
+        concurrency = DEFAULT_CONCURRENCY,
+        resumeImportId = null,
+        recordDefaults = {},
+        requestPersistence = true
+    } = options || {};
+
+    let checkpoint = null;
+    if (resumeImportId) {
+        checkpoint = await db.get(CHECKPOINT_STORE, resumeImportId);
+        if (!checkpoint) throw new Error(`No unfinished import ${resumeImportId}`);
+    }
+
+    const previouslyDone = (checkpoint?.files || []).filter(f => f.status === "done");
+    const doneKeys = new Set(previouslyDone.map(f => f.key));
+    const items = [];
+    let skipped = 0;
+    for (const file of files) {
+        const key = fileKey(file);
+        if (doneKeys.has(key)) {
+            skipped++;
+            continue;
+        }
+        items.push({ key, file, status: "pending", imageId: null, error: null, controller: null });
+    }
+
+    if (requestPersistence) {
+        await requestPersistentStorage().catch(error => console.warn("Persistent storage request failed:", error));
+    }
+    const fit = await checkImportFits(items.map(item => item.file), sizes);
+
+    let resolveDone;
+    const session = {
+        id: checkpoint?.id || newId(),
+        createdAt: checkpoint?.createdAt || new Date().toISOString(),
+        options: { sizes, regionsX, regionsY, colorSpace, encoder, resample, concurrency: Math.max(1, concurrency), recordDefaults },
+        items,
+        previouslyDone,
+        skipped,
+        active: 0,
+        state: "running",
+        quotaExceeded: false,
+        listener,
+        done: new Promise(resolve => { resolveDone = resolve; }),
+        resolveDone
+    };
+    imports.set(session.id, session);
+
+    await saveCheckpoint(session);
+    console.log(`Import ${session.id} started: ${items.length} files (${skipped} already imported)`);
+    if (!fit.fits) {
+        console.warn(`Import ${session.id} needs about ${fit.required} bytes but only ${fit.available} are available`);
+        notify(listener, "OnStorageWarning", { importId: session.id, reason: "insufficient-quota", ...fit });
+    }
+    report(session);
+    pump(session);
+    return session.id;
+}
+
+// Stop starting new files; files already in flight finish
+export function pauseImport(importId) {
+    const session = imports.get(importId);
+    if (!session || session.state !== "running") return false;
+    session.state = "paused";
+    report(session);
+    return true;
+}
+
+export function resumeImport(importId) {
+    const session = imports.get(importId);
+    if (!session || session.state !== "paused") return false;
+    session.state = "running";
+    session.quotaExceeded = false;
+    report(session);
+    pump(session);
+    return true;
+}
+
+// Abort in-flight files and drop the checkpoint. Images already imported are kept.
+export async function cancelImport(importId) {
+    const session = imports.get(importId);
+    if (!session) return false;
+    if (session.state === "completed" || session.state === "cancelled") return false;
+
+    session.state = "cancelled";
+    for (const item of session.items) item.controller?.abort();
+    await db.deleteRecord(CHECKPOINT_STORE, importId).catch(() => { });
+
+    const final = status(session);
+    notify(session.listener, "OnImportCompleted", final);
+    session.resolveDone(final);
+    return true;
+}
+
+// Undo an import: cancel it and delete every image it added, including images from earlier
+// runs of a resumed import. Used after a quota error when the user would rather not free space.
+export async function rollbackImport(importId) {
+    const session = imports.get(importId);
+    const checkpoint = await db.get(CHECKPOINT_STORE, importId).catch(() => null);
+    if (!session && !checkpoint) return 0;
+
+    const sizes = session?.options.sizes ?? checkpoint?.options?.sizes ?? [];
+    if (session) {
+        await cancelImport(importId);
+        // Let files that were mid-write settle so their own cleanup runs first
+        while (session.active > 0) await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    const imageIds = new Set([
+        ...(checkpoint?.files || []).filter(f => f.status === "done").map(f => f.imageId),
+        ...(session?.previouslyDone || []).map(f => f.imageId),
+        ...(session?.items || []).filter(item => item.status === "done").map(item => item.imageId)
+    ]);
+    imageIds.delete(null);
+    imageIds.delete(undefined);
+
+    for (const imageId of imageIds) {
+        for (const size of sizes) {
+            await db.deleteRecord("IndexedDbFile", `${imageId}-${size.name}`).catch(() => { });
+        }
+        await db.deleteRecord("ImageData", imageId).catch(() => { });
+    }
+    await db.deleteRecord(CHECKPOINT_STORE, importId).catch(() => { });
+    db.clearCache("ImageData");
+
+    console.log(`Import ${importId} rolled back: ${imageIds.size} images removed`);
+    return imageIds.size;
+}
+
+// Retry every failed file of a session
+export function retryFailed(importId) {
+    const session = imports.get(importId);
+    if (!session) return false;
+    for (const item of session.items) {
+        if (item.status === "failed") {
+            item.status = "pending";
+            item.error = null;
+        }
+    }
+    if (session.state === "completed") session.state = "running";
+    report(session);
+    pump(session);
+    return true;
+}
+
+export function getImportStatus(importId) {
+    const session = imports.get(importId);
+    return session ? status(session) : null;
+}
+
+// Resolves with the final status once the import completes or is cancelled
+export function waitForImport(importId) {
+    const session = imports.get(importId);
+    return session ? session.done : Promise.resolve(null);
+}
+
+// Start an import for anything dropped onto the element (files or folders)
+export function attachDropZone(elementId, options, listener = null) {
+    const element = document.getElementById(elementId);
+    if (!element) return false;
+
+    element.addEventListener("dragover", (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "copy";
+    });
+    element.addEventListener("drop", (e) => {
+        e.preventDefault();
+        startImport(e.dataTransfer, options, listener)
+            .catch(error => console.error("Failed to start import:", error));
+    });
+    return true;
+}
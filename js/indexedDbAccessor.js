@@ -1,4 +1,9 @@
-﻿const memoryCache = new Map(); // Simple in-memory cache
+﻿import { notify } from "./dotNetCallback.js";
+import { withIndexFields } from "./imageIndexFields.js";
+import { createObjectUrl } from "./objectUrlRegistry.js";
+import { mimeTypeOfBlob } from "./imageEncoder.js";
+
+const memoryCache = new Map(); // Simple in-memory cache
 const CACHE_ENABLED = true;    // Flag to enable/disable caching
 const CACHE_TTL = 86400000;       // Time to live in milliseconds (30 seconds)
 const DEBUG_LOGGING = false;   // Set to false in production
@@ -20,6 +25,7 @@ async function getDatabase() {
 
         request.onsuccess = function (event) {
             dbConnection = event.target.result;
+            watchConnection(dbConnection);
             console.log(`Database opened with version ${dbConnection.version}`);
             resolve(dbConnection);
         };
@@ -40,116 +46,457 @@ export function closeDatabase() {
     }
 }
 
-export function initialize() {
-    return new Promise((resolve, reject) => {
-        console.log(`Opening database ${DATABASE_NAME} to check structure`);
+// Step aside when another tab upgrades the schema; the next call reopens at the new version
+function watchConnection(connection) {
+    connection.onversionchange = function (event) {
+        console.log(`Database version change requested (${event.oldVersion} -> ${event.newVersion}), closing connection`);
+        connection.close();
+        if (dbConnection === connection) dbConnection = null;
+        memoryCache.clear();
+        dispatchChange({ storeName: null, type: "versionchange", ids: [], version: event.newVersion, remote: true });
+    };
 
-        // First open database to check existing structure
-        const checkRequest = indexedDB.open(DATABASE_NAME);
+    // The browser can close the connection itself, e.g. when storage is cleared
+    connection.onclose = function () {
+        console.warn("Database connection closed by the browser");
+        if (dbConnection === connection) dbConnection = null;
+        memoryCache.clear();
+    };
+}
 
-        checkRequest.onsuccess = function (event) {
-            const db = event.target.result;
-            const currentVersion = db.version;
-            const existingStores = Array.from(db.objectStoreNames);
+// ===== Change feed =====
+// Every write through this module is announced to subscribers in this tab and, over a
+// BroadcastChannel, in other tabs, which drop the affected records from their memoryCache.
+
+const CHANGE_CHANNEL_NAME = "Fotorolr-changes";
+const changeSubscribers = new Map(); // subscriptionId -> { listener, stores }
+let changeChannel = null;
+let nextSubscriptionId = 1;
+
+function getChangeChannel() {
+    if (changeChannel || typeof BroadcastChannel === "undefined") return changeChannel;
+    changeChannel = new BroadcastChannel(CHANGE_CHANNEL_NAME);
+    changeChannel.onmessage = (event) => {
+        const change = event.data;
+        if (!change || change.database !== DATABASE_NAME) return;
+        invalidateCache(change);
+        dispatchChange({ ...change, remote: true });
+    };
+    return changeChannel;
+}
 
-            console.log(`Database exists with version ${currentVersion}`);
-            console.log(`Existing stores: ${existingStores.join(', ')}`);
+function invalidateCache(change) {
+    if (change.type === "clear" || !change.storeName) {
+        clearCache(change.storeName);
+        return;
+    }
+    for (const id of change.ids) memoryCache.delete(`${change.storeName}:${id}`);
+}
 
-            // Check if any required stores are missing
-            const missingStores = REQUIRED_STORES.filter(
-                store => !existingStores.includes(store)
-            );
+function dispatchChange(change) {
+    for (const { listener, stores } of changeSubscribers.values()) {
+        if (stores && change.storeName && !stores.includes(change.storeName)) continue;
+        notify(listener, "OnDatabaseChanged", change);
+    }
+}
 
-            db.close();
+// Announce committed writes. type is "put", "delete" or "clear".
+function publishChange(storeName, type, ids = []) {
+    const change = { database: DATABASE_NAME, storeName, type, ids, at: Date.now() };
+    invalidateCache(change);
+    dispatchChange({ ...change, remote: false });
+    try {
+        getChangeChannel()?.postMessage(change);
+    } catch (error) {
+        console.warn("Failed to broadcast database change:", error);
+    }
+}
 
-            if (missingStores.length === 0) {
-                console.log("All required stores exist, no upgrade needed");
-                // Store the connection for future use
-                getDatabase().then(() => resolve(true));
-                return;
+// Subscribe to record changes from this and other tabs.
+// listener: DotNetObjectReference exposing OnDatabaseChanged, or a JS callback, called with
+// { storeName, type: "put" | "delete" | "clear" | "versionchange", ids, remote }.
+// stores: optional list of store names to filter on. Returns an id for unsubscribeChanges.
+export function subscribeChanges(listener, stores = null) {
+    getChangeChannel();
+    const id = nextSubscriptionId++;
+    changeSubscribers.set(id, { listener, stores: Array.isArray(stores) && stores.length > 0 ? stores : null });
+    return id;
+}
+
+export function unsubscribeChanges(subscriptionId) {
+    return changeSubscribers.delete(subscriptionId);
+}
+
+// Store that records which schema migrations have been applied
+const MIGRATION_STORE = "SchemaMigration";
+
+// Report progress to .NET every N records while rewriting a store
+const MIGRATION_PROGRESS_INTERVAL = 500;
+
+// Ordered schema migrations. Each step runs once, inside a version change transaction,
+// and is recorded in SchemaMigration so it never runs again. Append new steps to the end
+// with the next id; never reorder or edit a step that has shipped.
+const MIGRATIONS = [
+    {
+        id: 1,
+        name: "create-required-stores",
+        upgrade: async (ctx) => {
+            for (const storeName of REQUIRED_STORES) {
+                ctx.ensureStore(storeName);
             }
+        }
+    },
+    {
+        id: 2,
+        name: "imagedata-uploaddate-index",
+        upgrade: async (ctx) => {
+            ctx.ensureIndex("ImageData", "UploadDate", "UploadDate");
+        }
+    },
+    {
+        id: 3,
+        name: "indexeddbfile-base64-to-blob",
+        // Legacy records kept the image as a base64 string (optionally a data: URL)
+        upgrade: async (ctx) => {
+            await ctx.rewrite("IndexedDbFile", (record) => {
+                if (record.blob) return undefined;
+                const legacy = typeof record.data === "string" ? record.data
+                    : typeof record.Data === "string" ? record.Data
+                    : null;
+                if (legacy === null) return undefined;
+
+                let mimeType = record.mimeType || "image/webp";
+                let base64 = legacy;
+                const match = /^data:([^;,]+)?(;base64)?,/.exec(legacy);
+                if (match) {
+                    mimeType = match[1] || mimeType;
+                    base64 = legacy.substring(match[0].length);
+                }
+
+                // A malformed string would throw and roll back the whole upgrade; leave the record
+                // as it is instead, so the rest of the library still opens
+                let binary;
+                try {
+                    binary = atob(base64);
+                } catch (error) {
+                    console.warn(`IndexedDbFile ${record.id} has unreadable base64 data; left unconverted:`, error);
+                    ctx.report({ storeName: "IndexedDbFile", skippedId: record.id, message: error?.message || String(error) });
+                    return undefined;
+                }
+                const bytes = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) {
+                    bytes[i] = binary.charCodeAt(i);
+                }
+
+                const { data, Data, ...rest } = record;
+                return { ...rest, blob: new Blob([bytes], { type: mimeType }), mimeType };
+            });
+        }
+    },
+    {
+        id: 4,
+        name: "import-checkpoint-store",
+        // Progress of batch imports so a reload can continue where it stopped
+        upgrade: async (ctx) => {
+            ctx.ensureStore("ImportCheckpoint");
+        }
+    },
+    {
+        id: 5,
+        name: "imagedata-query-indexes",
+        // Indexes the gallery filters and sorts on, with the derived fields backfilled
+        upgrade: async (ctx) => {
+            for (const declaration of QUERY_INDEXES) {
+                ctx.ensureIndex(declaration.store, declaration.name, declaration.keyPath, declaration.options);
+            }
+
+            // Any string inside a mosaic that matches an image id counts as a use
+            const mosaics = await requestToPromise(ctx.transaction.objectStore("Mosaic").getAll());
+            const referenced = collectStrings(mosaics);
+
+            await ctx.rewrite("ImageData", (record) => ({
+                ...withIndexFields(record),
+                UsedInMosaic: record.UsedInMosaic || referenced.has(record.id) ? 1 : 0
+            }));
+        }
+    },
+    {
+        id: 6,
+        name: "blob-content-store",
+        // Content-addressed image bytes; existing records are converted by convertLegacyBlobs,
+        // since hashing cannot run inside the version change transaction
+        upgrade: async (ctx) => {
+            ctx.ensureStore("BlobContent", { keyPath: "hash" });
+        }
+    },
+    {
+        id: 7,
+        name: "imagedata-index-fields-backfill",
+        // Step 5 read Width/Height/Signature, which the .NET model calls ImageWidth, ImageHeight
+        // and ImageSignature, so every existing record got null Orientation and DominantColor
+        upgrade: async (ctx) => {
+            const mosaics = await requestToPromise(ctx.transaction.objectStore("Mosaic").getAll());
+            const referenced = collectStrings(mosaics);
+
+            await ctx.rewrite("ImageData", (record) => ({
+                ...withIndexFields(record, record),
+                UsedInMosaic: record.UsedInMosaic || referenced.has(record.id) ? 1 : 0
+            }));
+        }
+    }
+];
+
+// Secondary indexes available to query(). Declaring a new one means adding it here and
+// appending a migration step that calls ctx.ensureIndex for it.
+const QUERY_INDEXES = [
+    { store: "ImageData", name: "Tags", keyPath: "Tags", options: { unique: false, multiEntry: true } },
+    { store: "ImageData", name: "DominantColor", keyPath: "DominantColor", options: { unique: false } },
+    { store: "ImageData", name: "Orientation", keyPath: "Orientation", options: { unique: false } },
+    { store: "ImageData", name: "UsedInMosaic", keyPath: "UsedInMosaic", options: { unique: false } },
+    { store: "ImageData", name: "UsedInMosaicByDate", keyPath: ["UsedInMosaic", "UploadDate"], options: { unique: false } }
+];
+
+// Every string value nested anywhere inside a set of records
+function collectStrings(value, found = new Set()) {
+    if (typeof value === "string") {
+        found.add(value);
+    } else if (Array.isArray(value)) {
+        for (const item of value) collectStrings(item, found);
+    } else if (value && typeof value === "object" && !(value instanceof Blob) && !ArrayBuffer.isView(value)) {
+        for (const item of Object.values(value)) collectStrings(item, found);
+    }
+    return found;
+}
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-            // We need to upgrade to create missing stores
-            console.log(`Missing stores found: ${missingStores.join(', ')}`);
-            console.log(`Upgrading database from version ${currentVersion} to ${currentVersion + 1}`);
+// Helpers handed to each migration step; all work happens in the version change transaction
+function createMigrationContext(db, tx, step, stepIndex, stepCount, progress) {
+    const report = (extra) => notify(progress, "OnMigrationProgress", {
+        stepId: step.id,
+        stepName: step.name,
+        stepIndex,
+        stepCount,
+        ...extra
+    });
 
-            // Open with a higher version to trigger upgrade
-            const upgradeRequest = indexedDB.open(DATABASE_NAME, currentVersion + 1);
+    return {
+        db,
+        transaction: tx,
+        report,
 
-            upgradeRequest.onupgradeneeded = function (event) {
-                const db = event.target.result;
-                console.log(`Database upgrade running from ${event.oldVersion} to ${event.newVersion}`);
+        ensureStore(storeName, options = { keyPath: "id" }) {
+            if (!db.objectStoreNames.contains(storeName)) {
+                db.createObjectStore(storeName, options);
+                console.log(`Created store: ${storeName}`);
+            }
+            return tx.objectStore(storeName);
+        },
 
-                // Create any missing stores
-                for (const storeName of missingStores) {
-                    if (!db.objectStoreNames.contains(storeName)) {
-                        db.createObjectStore(storeName, { keyPath: "id" });
-                        console.log(`Created missing store: ${storeName}`);
+        deleteStore(storeName) {
+            if (db.objectStoreNames.contains(storeName)) {
+                db.deleteObjectStore(storeName);
+                console.log(`Deleted store: ${storeName}`);
+            }
+        },
+
+        renameStore(fromName, toName) {
+            if (!db.objectStoreNames.contains(fromName) || db.objectStoreNames.contains(toName)) return;
+            tx.objectStore(fromName).name = toName;
+            console.log(`Renamed store ${fromName} to ${toName}`);
+        },
+
+        ensureIndex(storeName, indexName, keyPath, options = { unique: false }) {
+            const store = tx.objectStore(storeName);
+            if (!store.indexNames.contains(indexName)) {
+                store.createIndex(indexName, keyPath, options);
+                console.log(`Created index ${storeName}.${indexName}`);
+            }
+            return store.index(indexName);
+        },
+
+        deleteIndex(storeName, indexName) {
+            const store = tx.objectStore(storeName);
+            if (store.indexNames.contains(indexName)) {
+                store.deleteIndex(indexName);
+                console.log(`Deleted index ${storeName}.${indexName}`);
+            }
+        },
+
+        // Write a record to any store, e.g. when splitting one store into several
+        put(storeName, value) {
+            return requestToPromise(tx.objectStore(storeName).put(value));
+        },
+
+        // Walk every record in a store. The callback returns a replacement record,
+        // null to delete the record, or undefined to leave it untouched.
+        async rewrite(storeName, transform) {
+            const store = tx.objectStore(storeName);
+            const total = await requestToPromise(store.count());
+            let processed = 0;
+            let changed = 0;
+
+            report({ storeName, processed, total, changed });
+
+            await new Promise((resolve, reject) => {
+                const cursorRequest = store.openCursor();
+                cursorRequest.onsuccess = function (event) {
+                    const cursor = event.target.result;
+                    if (!cursor) {
+                        resolve();
+                        return;
                     }
-                }
 
-                // Ensure index on ImageData.UploadDate for faster paging by date
-                try {
-                    const tx = event.target.transaction;
-                    if (db.objectStoreNames.contains("ImageData")) {
-                        const imageDataStore = tx.objectStore("ImageData");
-                        if (!Array.from(imageDataStore.indexNames || []).includes("UploadDate")) {
-                            imageDataStore.createIndex("UploadDate", "UploadDate", { unique: false });
-                            console.log("Created index ImageData.UploadDate");
+                    try {
+                        const result = transform(cursor.value);
+                        if (result === null) {
+                            cursor.delete();
+                            changed++;
+                        } else if (result !== undefined) {
+                            cursor.update(result);
+                            changed++;
                         }
+                    } catch (error) {
+                        reject(error);
+                        return;
                     }
-                } catch { /* ignore */ }
-            };
 
-            upgradeRequest.onsuccess = function (event) {
-                console.log("Database upgrade successful");
-                dbConnection = event.target.result;
-                resolve(true);
-            };
+                    processed++;
+                    if (processed % MIGRATION_PROGRESS_INTERVAL === 0) {
+                        report({ storeName, processed, total, changed });
+                    }
+                    cursor.continue();
+                };
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+            });
 
-            upgradeRequest.onerror = function (event) {
-                console.error("Database upgrade failed:", event.target.error);
-                reject(event.target.error);
-            };
-        };
+            report({ storeName, processed, total, changed });
+            console.log(`Rewrote ${changed} of ${processed} records in ${storeName}`);
+            return { processed, changed };
+        }
+    };
+}
+
+// Read the ids of migrations that have already run
+function getAppliedMigrationIds(db) {
+    if (!db.objectStoreNames.contains(MIGRATION_STORE)) {
+        return Promise.resolve(new Set());
+    }
+    const store = db.transaction(MIGRATION_STORE, "readonly").objectStore(MIGRATION_STORE);
+    return requestToPromise(store.getAllKeys()).then(keys => new Set(keys));
+}
 
-        checkRequest.onerror = function (event) {
-            console.error("Error checking database:", event.target.error);
+// Return the applied and pending migration steps without changing the database
+export async function getMigrationStatus() {
+    const db = await getDatabase();
+    const applied = await getAppliedMigrationIds(db);
+    return {
+        version: db.version,
+        applied: MIGRATIONS.filter(m => applied.has(m.id)).map(m => ({ id: m.id, name: m.name })),
+        pending: MIGRATIONS.filter(m => !applied.has(m.id)).map(m => ({ id: m.id, name: m.name }))
+    };
+}
 
-            // If database doesn't exist yet, create it with initial version
-            console.log("Creating new database with all required stores");
-            const createRequest = indexedDB.open(DATABASE_NAME, 1);
+// Marker in SchemaMigration once every legacy blob has been moved into BlobContent
+const LEGACY_BLOBS_CONVERTED = "legacy-blobs-converted";
 
-            createRequest.onupgradeneeded = function (event) {
-                const db = event.target.result;
+// Convert pre-content-addressing blobs in the background so startup is not held up
+function startLegacyBlobConversion(applied) {
+    if (applied.has(LEGACY_BLOBS_CONVERTED)) return;
+    convertLegacyBlobs()
+        .then(() => set(MIGRATION_STORE, { id: LEGACY_BLOBS_CONVERTED, appliedAt: new Date().toISOString() }))
+        .catch(error => console.warn("Legacy blob conversion failed; it will be retried on next start:", error));
+}
 
-                // Create all required stores in a new database
-                for (const storeName of REQUIRED_STORES) {
-                    if (!db.objectStoreNames.contains(storeName)) {
-                        db.createObjectStore(storeName, { keyPath: "id" });
-                        console.log(`Created store: ${storeName}`);
-                    }
+// Open the database and run any pending migrations. `progress` may be a
+// DotNetObjectReference exposing OnMigrationProgress or a plain JS callback.
+// While another tab holds an older connection the upgrade cannot start; progress then gets
+// { blocked: true } (and { blocked: false } once it starts) so the UI can ask the user to close it.
+export async function initialize(progress = null) {
+    console.log(`Opening database ${DATABASE_NAME} to check structure`);
+
+    const db = await getDatabase();
+    const currentVersion = db.version;
+    console.log(`Existing stores: ${Array.from(db.objectStoreNames).join(', ')}`);
+
+    const applied = await getAppliedMigrationIds(db);
+    const pending = MIGRATIONS.filter(m => !applied.has(m.id));
+
+    if (pending.length === 0) {
+        console.log("All migrations applied, no upgrade needed");
+        startLegacyBlobConversion(applied);
+        return true;
+    }
+
+    console.log(`Pending migrations: ${pending.map(m => `${m.id}:${m.name}`).join(', ')}`);
+    console.log(`Upgrading database from version ${currentVersion} to ${currentVersion + 1}`);
+
+    // Our own open connection would block the version change
+    closeDatabase();
+    clearCache();
+
+    return new Promise((resolve, reject) => {
+        const upgradeRequest = indexedDB.open(DATABASE_NAME, currentVersion + 1);
+        let migrationError = null;
+
+        let blocked = false;
+
+        upgradeRequest.onupgradeneeded = function (event) {
+            if (blocked) notify(progress, "OnMigrationProgress", { blocked: false });
+            const db = event.target.result;
+            const tx = event.target.transaction;
+            console.log(`Database upgrade running from ${event.oldVersion} to ${event.newVersion}`);
+
+            if (!db.objectStoreNames.contains(MIGRATION_STORE)) {
+                db.createObjectStore(MIGRATION_STORE, { keyPath: "id" });
+            }
+
+            (async () => {
+                for (let i = 0; i < pending.length; i++) {
+                    const step = pending[i];
+                    console.log(`Running migration ${step.id}: ${step.name}`);
+                    const ctx = createMigrationContext(db, tx, step, i, pending.length, progress);
+                    ctx.report({ started: true });
+                    await step.upgrade(ctx);
+                    await requestToPromise(tx.objectStore(MIGRATION_STORE).put({
+                        id: step.id,
+                        name: step.name,
+                        appliedAt: new Date().toISOString()
+                    }));
+                    ctx.report({ completed: true });
                 }
+            })().catch(error => {
+                // Abort so the version, stores and records stay as they were
+                console.error("Migration failed, rolling back:", error);
+                migrationError = error;
+                try { tx.abort(); } catch { /* already finished */ }
+            });
+        };
 
-                // Create UploadDate index on ImageData
-                try {
-                    const tx = event.target.transaction;
-                    const imageDataStore = tx.objectStore("ImageData");
-                    imageDataStore.createIndex("UploadDate", "UploadDate", { unique: false });
-                    console.log("Created index ImageData.UploadDate");
-                } catch { /* ignore */ }
-            };
+        upgradeRequest.onblocked = function () {
+            console.warn("Database upgrade blocked by another open connection");
+            blocked = true;
+            notify(progress, "OnMigrationProgress", { blocked: true, stepCount: pending.length });
+        };
 
-            createRequest.onsuccess = function (event) {
-                console.log("New database created successfully");
-                dbConnection = event.target.result;
-                resolve(true);
-            };
+        upgradeRequest.onsuccess = function (event) {
+            console.log("Database upgrade successful");
+            dbConnection = event.target.result;
+            watchConnection(dbConnection);
+            startLegacyBlobConversion(applied);
+            resolve(true);
+        };
 
-            createRequest.onerror = function (event) {
-                console.error("Failed to create database:", event.target.error);
-                reject(event.target.error);
-            };
+        upgradeRequest.onerror = function (event) {
+            const error = migrationError || event.target.error;
+            console.error("Database upgrade failed:", error);
+            reject(error);
         };
     });
 }
@@ -169,6 +516,14 @@ export async function set(collectionName, value) {
 
     console.log(`Saving to ${collectionName}:`, value);
 
+    // Image records go through content storage so identical bytes are stored once
+    if (collectionName === FILE_STORE && value.blob instanceof Blob) {
+        return setFileRecords([value]).then(() => true);
+    }
+    if (writesImageData(collectionName)) {
+        return setIndexedRecords(collectionName, [value]).then(() => true);
+    }
+
     try {
         const db = await getDatabase();
 
@@ -178,6 +533,7 @@ export async function set(collectionName, value) {
 
             transaction.oncomplete = function () {
                 console.log(`Successfully saved to ${collectionName}`);
+                publishChange(collectionName, "put", [value.id]);
                 resolve(true);
             };
 
@@ -186,6 +542,12 @@ export async function set(collectionName, value) {
                 reject(event.target.error);
             };
 
+            // Quota errors abort the transaction without an error event on the request
+            transaction.onabort = function () {
+                console.error(`Saving to ${collectionName} aborted:`, transaction.error);
+                reject(transaction.error);
+            };
+
             const request = store.put(value);
 
             request.onsuccess = function () {
@@ -303,7 +665,7 @@ export async function get(collectionName, id) {
         const db = await getDatabase();
         
         // Use a more streamlined promise pattern
-        const result = await new Promise((resolve, reject) => {
+        let result = await new Promise((resolve, reject) => {
             const store = db.transaction(collectionName, "readonly").objectStore(collectionName);
             const request = store.get(id);
             
@@ -311,6 +673,11 @@ export async function get(collectionName, id) {
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+
+        // Image records keep their bytes in BlobContent; hand callers the blob as before
+        if (collectionName === FILE_STORE && result?.hash && !result.blob) {
+            result = { ...result, blob: (await readFileBlob(id))?.blob ?? null };
+        }
         
         // Cache the result
         if (CACHE_ENABLED && result) {
@@ -404,6 +771,14 @@ export async function getAllPagedByDate(collectionName, skip, take) {
 
 export async function deleteRecord(collectionName, id) {
     try {
+        // Image records release their share of the content they point at
+        if (collectionName === FILE_STORE) {
+            await withFileTransaction([], (tx) => unlinkFile(tx, id));
+            console.log(`Record deleted from ${collectionName}: ${id}`);
+            publishChange(collectionName, "delete", [id]);
+            return true;
+        }
+
         const db = await getDatabase();
 
         return new Promise((resolve, reject) => {
@@ -413,6 +788,10 @@ export async function deleteRecord(collectionName, id) {
 
             request.onsuccess = function () {
                 console.log(`Record deleted from ${collectionName}: ${id}`);
+            };
+
+            transaction.oncomplete = function () {
+                publishChange(collectionName, "delete", [id]);
                 resolve(true);
             };
 
@@ -507,40 +886,635 @@ export async function getBulk(collectionName, ids) {
     }
 }
 
+// List every object store currently in the database
+export async function getStoreNames() {
+    const db = await getDatabase();
+    return Array.from(db.objectStoreNames);
+}
+
+// Read up to `take` records whose primary key is greater than `afterKey` (null starts at the beginning).
+// Used to walk a whole store in batches without holding a transaction open between batches.
+// Returns { items, next }: `next` is the primary key of the last record, whatever the store's
+// keyPath, or null once the store is exhausted. Pass it back as `afterKey` to continue.
+export async function getBatchAfter(collectionName, afterKey, take) {
+    const db = await getDatabase();
+    return new Promise((resolve, reject) => {
+        const store = db.transaction(collectionName, "readonly").objectStore(collectionName);
+        const range = afterKey === null || afterKey === undefined
+            ? null
+            : IDBKeyRange.lowerBound(afterKey, true);
+        const itemsRequest = store.getAll(range, take);
+        const keysRequest = store.getAllKeys(range, take);
+        keysRequest.onsuccess = () => {
+            const keys = keysRequest.result;
+            resolve({
+                items: itemsRequest.result,
+                next: keys.length < take ? null : keys[keys.length - 1]
+            });
+        };
+        itemsRequest.onerror = (e) => reject(e.target.error);
+        keysRequest.onerror = (e) => reject(e.target.error);
+    });
+}
+
+// Turn a plain range description ({ only } or { lower, upper, lowerOpen, upperOpen }) into an
+// IDBKeyRange, so .NET callers can describe ranges as JSON
+function toKeyRange(range) {
+    if (range === null || range === undefined || range instanceof IDBKeyRange) return range ?? null;
+    if ("only" in range) return IDBKeyRange.only(range.only);
+
+    const hasLower = range.lower !== undefined && range.lower !== null;
+    const hasUpper = range.upper !== undefined && range.upper !== null;
+    if (hasLower && hasUpper) return IDBKeyRange.bound(range.lower, range.upper, !!range.lowerOpen, !!range.upperOpen);
+    if (hasLower) return IDBKeyRange.lowerBound(range.lower, !!range.lowerOpen);
+    if (hasUpper) return IDBKeyRange.upperBound(range.upper, !!range.upperOpen);
+    return null;
+}
+
+// Narrow a range so the cursor starts at the continuation key instead of the beginning.
+// The bound is inclusive when records can share a key (non-unique index); the cursor then
+// steps past the last returned primary key itself.
+function rangeAfter(range, key, descending, inclusive) {
+    let lower = range?.lower, upper = range?.upper;
+    let lowerOpen = range?.lowerOpen ?? false, upperOpen = range?.upperOpen ?? false;
+
+    if (descending) {
+        if (upper === undefined || indexedDB.cmp(key, upper) < 0) {
+            upper = key;
+            upperOpen = !inclusive;
+        }
+    } else if (lower === undefined || indexedDB.cmp(key, lower) > 0) {
+        lower = key;
+        lowerOpen = !inclusive;
+    }
+
+    if (lower !== undefined && upper !== undefined) {
+        // An empty range means there is nothing left to read
+        const order = indexedDB.cmp(lower, upper);
+        if (order > 0 || (order === 0 && (lowerOpen || upperOpen))) return false;
+        return IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+    }
+    return lower !== undefined ? IDBKeyRange.lowerBound(lower, lowerOpen) : IDBKeyRange.upperBound(upper, upperOpen);
+}
+
+// Build a record predicate from a filter description. Functions are used as-is; objects map
+// field names to a value (equality) or to { in, gt, gte, lt, lte, contains, not }.
+function toPredicate(filter) {
+    if (!filter) return null;
+    if (typeof filter === "function") return filter;
+
+    const compare = (a, b) => {
+        try {
+            return indexedDB.cmp(a, b);
+        } catch {
+            return a < b ? -1 : a > b ? 1 : 0;
+        }
+    };
+
+    const tests = Object.entries(filter).map(([field, condition]) => {
+        if (condition === null || typeof condition !== "object" || Array.isArray(condition)) {
+            return (record) => record[field] === condition;
+        }
+        return (record) => {
+            const value = record[field];
+            if ("in" in condition && !condition.in.includes(value)) return false;
+            if ("not" in condition && value === condition.not) return false;
+            if ("contains" in condition && !(Array.isArray(value) && value.includes(condition.contains))) return false;
+            if (value === undefined || value === null) {
+                return !("gt" in condition || "gte" in condition || "lt" in condition || "lte" in condition);
+            }
+            if ("gt" in condition && compare(value, condition.gt) <= 0) return false;
+            if ("gte" in condition && compare(value, condition.gte) < 0) return false;
+            if ("lt" in condition && compare(value, condition.lt) >= 0) return false;
+            if ("lte" in condition && compare(value, condition.lte) > 0) return false;
+            return true;
+        };
+    });
+    return (record) => tests.every(test => test(record));
+}
+
+// Read a page of records through a store or index cursor.
+// options: {
+//   index: index name (omit to walk the store by primary key),
+//   range: IDBKeyRange or { only } / { lower, upper, lowerOpen, upperOpen },
+//   direction: "next" (default), "prev", "nextunique" or "prevunique",
+//   filter: function(record) or { field: value | { in, gt, gte, lt, lte, contains, not } },
+//   limit: page size (default 50),
+//   after: the `next` value of the previous page
+// }
+// Returns { items, next }. `next` is null on the last page; pass it back as `after` to
+// continue. Unlike getRange there is no skip count, so later pages cost the same as the first.
+export async function query(collectionName, options = {}) {
+    const { index = null, direction = "next", filter = null, limit = 50, after = null } = options || {};
+    const predicate = toPredicate(filter);
+    const descending = direction.startsWith("prev");
+    const unique = direction.endsWith("unique");
+
+    // Index keys repeat across records, so resuming needs the primary key as well
+    const resumeByPrimaryKey = after !== null && index !== null && !unique;
+
+    let range = toKeyRange(options.range);
+    if (after !== null) {
+        range = rangeAfter(range, after.key, descending, resumeByPrimaryKey);
+        if (range === false) return { items: [], next: null };
+    }
+
+    const db = await getDatabase();
+
+    return new Promise((resolve, reject) => {
+        const store = db.transaction(collectionName, "readonly").objectStore(collectionName);
+        let source;
+        try {
+            source = index ? store.index(index) : store;
+        } catch (error) {
+            console.error(`Index ${index} does not exist on ${collectionName}`);
+            reject(error);
+            return;
+        }
+
+        const items = [];
+        let last = null;
+        let scanned = 0;
+        const cursorRequest = source.openCursor(range, direction);
+
+        cursorRequest.onsuccess = function (event) {
+            const cursor = event.target.result;
+            if (!cursor) {
+                DEBUG_LOGGING && console.log(`Query on ${collectionName}${index ? `.${index}` : ""} returned ${items.length} items (scanned ${scanned}, last page)`);
+                resolve({ items, next: null });
+                return;
+            }
+
+            // A full page was read on the previous step; seeing another record means there is more
+            if (items.length >= limit) {
+                DEBUG_LOGGING && console.log(`Query on ${collectionName}${index ? `.${index}` : ""} returned ${items.length} items (scanned ${scanned})`);
+                resolve({ items, next: last });
+                return;
+            }
+
+            // Skip the records up to and including the last one already returned
+            if (resumeByPrimaryKey && items.length === 0 && scanned === 0 && indexedDB.cmp(cursor.key, after.key) === 0) {
+                const order = indexedDB.cmp(cursor.primaryKey, after.primaryKey);
+                if (order === 0) {
+                    cursor.continue();
+                    return;
+                }
+                if (descending ? order > 0 : order < 0) {
+                    cursor.continuePrimaryKey(after.key, after.primaryKey);
+                    return;
+                }
+            }
+
+            scanned++;
+            const value = cursor.value;
+            if (!predicate || predicate(value)) {
+                items.push(value);
+                last = { key: cursor.key, primaryKey: cursor.primaryKey };
+            }
+            cursor.continue();
+        };
+
+        cursorRequest.onerror = function (event) {
+            console.error(`Error querying ${collectionName}:`, event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+// Set or clear the used-in-mosaic flag on a set of images
+export async function markUsedInMosaic(imageIds, used = true) {
+    if (!Array.isArray(imageIds) || imageIds.length === 0) return 0;
+    const db = await getDatabase();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction("ImageData", "readwrite");
+        const store = tx.objectStore("ImageData");
+        let updated = 0;
+
+        for (const id of imageIds) {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                const record = request.result;
+                if (!record || (record.UsedInMosaic ? 1 : 0) === (used ? 1 : 0)) return;
+                store.put({ ...record, UsedInMosaic: used ? 1 : 0 });
+                updated++;
+            };
+        }
+
+        tx.oncomplete = () => {
+            publishChange("ImageData", "put", imageIds);
+            console.log(`Marked ${updated} images as ${used ? "used" : "unused"} in a mosaic`);
+            resolve(updated);
+        };
+        tx.onerror = (e) => reject(e.target.error);
+    });
+}
+
+// Merge fields into existing records: each record is read again inside the write transaction,
+// so fields written by someone else since the caller read it are kept. Records that no longer
+// exist are skipped. patches: [{ id, fields: { name: value } }]. Resolves with the ids updated.
+export async function patchRecords(collectionName, patches) {
+    if (!Array.isArray(patches) || patches.length === 0) return [];
+
+    const updated = await runWriteTransaction([collectionName], async (tx) => {
+        const store = tx.objectStore(collectionName);
+        const ids = [];
+        await Promise.all(patches.map(async ({ id, fields }) => {
+            const record = await requestToPromise(store.get(id));
+            if (!record) return;
+            store.put({ ...record, ...fields });
+            ids.push(id);
+        }));
+        return ids;
+    });
+    if (updated.length > 0) publishChange(collectionName, "put", updated);
+    return updated;
+}
+
+// Group committed writes per store so each store gets one change notification
+function publishWrites(writes) {
+    for (const [storeName, { cleared, puts, deletes }] of writes) {
+        if (cleared) publishChange(storeName, "clear");
+        if (puts.length > 0) publishChange(storeName, "put", puts);
+        if (deletes.length > 0) publishChange(storeName, "delete", deletes);
+    }
+}
+
+// ===== Derived ImageData fields =====
+// The gallery indexes need fields the .NET model does not have, so every write path fills them
+// in: ImageData records get their index fields, and a saved mosaic flags the images it uses.
+
+const IMAGE_STORE = "ImageData";
+const MOSAIC_STORE = "Mosaic";
+
+function writesImageData(storeName) {
+    return storeName === IMAGE_STORE || storeName === MOSAIC_STORE;
+}
+
+// Flag every image a mosaic references; any string inside it that matches an image id counts,
+// as in migration 5. Returns the ids of the images that changed.
+async function markReferencedImages(tx, mosaic) {
+    const images = tx.objectStore(IMAGE_STORE);
+    const marked = [];
+    await Promise.all([...collectStrings(mosaic)].map(async (id) => {
+        const record = await requestToPromise(images.get(id));
+        if (!record || record.UsedInMosaic === 1) return;
+        images.put({ ...record, UsedInMosaic: 1 });
+        marked.push(id);
+    }));
+    return marked;
+}
+
+// Put one record inside a readwrite transaction that also covers ImageData. Returns the ids of
+// ImageData records written besides the record itself.
+async function putRecord(tx, storeName, value) {
+    if (storeName === IMAGE_STORE) {
+        const images = tx.objectStore(IMAGE_STORE);
+        images.put(withIndexFields(value, await requestToPromise(images.get(value.id))));
+        return [];
+    }
+    tx.objectStore(storeName).put(value);
+    return storeName === MOSAIC_STORE ? markReferencedImages(tx, value) : [];
+}
+
+// set/setBulk for ImageData and Mosaic: all records, and the images they flag, in one transaction
+async function setIndexedRecords(storeName, values) {
+    const marked = await runWriteTransaction([...new Set([storeName, IMAGE_STORE])], async (tx) => {
+        const ids = [];
+        for (const value of values) ids.push(...await putRecord(tx, storeName, value));
+        return ids;
+    });
+    publishChange(storeName, "put", values.map(value => value.id));
+    if (marked.length > 0) publishChange(IMAGE_STORE, "put", marked);
+    console.log(`Saved ${values.length} records to ${storeName}`);
+    return values.length;
+}
+
+// Run a batch of writes across several stores in one transaction: either all of them
+// commit or none do. storeNames lists every store the operations touch.
+// ops: [{ type: "put", store, value } | { type: "delete", store, id } | { type: "clear", store }
+//       | { type: "putBlob", id, data, mimeType }]  (putBlob writes to IndexedDbFile like setImageBlob;
+//       clearing IndexedDbFile clears BlobContent too, like clearStore)
+// Resolves with { puts, deletes } once committed; rejects with the abort error otherwise.
+export async function transaction(storeNames, ops) {
+    const stores = Array.isArray(storeNames) ? storeNames : [storeNames];
+    if (!Array.isArray(ops) || ops.length === 0) return { puts: 0, deletes: 0 };
+
+    // Validate everything up front; a bad op halfway through would abort the whole batch anyway
+    for (const op of ops) {
+        if (!["put", "delete", "clear", "putBlob"].includes(op.type)) throw new Error(`Unknown operation type: ${op.type}`);
+        const storeName = op.type === "putBlob" ? "IndexedDbFile" : op.store;
+        if (!stores.includes(storeName)) throw new Error(`Operation on ${storeName} is outside the transaction scope (${stores.join(", ")})`);
+        if (op.type === "put" && (!op.value || op.value.id === undefined)) throw new Error(`Put on ${storeName} needs a value with an id`);
+        if ((op.type === "delete" || op.type === "putBlob") && op.id === undefined) throw new Error(`${op.type} on ${storeName} needs an id`);
+        if (op.type === "putBlob" && !op.data) throw new Error(`putBlob ${op.id} needs data`);
+    }
+
+    // Blob content is hashed before the transaction opens
+    const prepared = new Map(); // op index -> content write
+    for (let i = 0; i < ops.length; i++) {
+        const op = ops[i];
+        if (op.type === "putBlob") {
+            const blob = op.data instanceof Blob ? op.data : new Blob([op.data], { type: op.mimeType || "" });
+            prepared.set(i, await prepareFileWrite(op.id, blob, op.mimeType || null));
+        } else if (op.type === "put" && op.store === FILE_STORE && op.value.blob instanceof Blob) {
+            prepared.set(i, await prepareFileWrite(op.value.id, op.value.blob, op.value.mimeType));
+        }
+    }
+
+    const touchesFiles = ops.some(op => op.type === "putBlob" || op.store === FILE_STORE);
+    const touchesImages = ops.some(op => op.type === "put" && writesImageData(op.store));
+    const scope = [...new Set([...stores, ...(touchesFiles ? [CONTENT_STORE] : []), ...(touchesImages ? [IMAGE_STORE] : [])])];
+    const writes = new Map(scope.map(name => [name, { cleared: false, puts: [], deletes: [] }]));
+
+    try {
+        await runWriteTransaction(scope, async (tx) => {
+            for (let i = 0; i < ops.length; i++) {
+                const op = ops[i];
+                if (prepared.has(i)) {
+                    await linkFile(tx, prepared.get(i));
+                    writes.get(FILE_STORE).puts.push(prepared.get(i).id);
+                } else if (op.type === "clear") {
+                    const cleared = op.store === FILE_STORE ? [FILE_STORE, CONTENT_STORE] : [op.store];
+                    for (const storeName of cleared) {
+                        tx.objectStore(storeName).clear();
+                        Object.assign(writes.get(storeName), { cleared: true, puts: [], deletes: [] });
+                    }
+                } else if (op.type === "put") {
+                    const marked = await putRecord(tx, op.store, op.value);
+                    writes.get(op.store).puts.push(op.value.id);
+                    writes.get(IMAGE_STORE)?.puts.push(...marked);
+                } else if (op.store === FILE_STORE) {
+                    await unlinkFile(tx, op.id);
+                    writes.get(FILE_STORE).deletes.push(op.id);
+                } else {
+                    tx.objectStore(op.store).delete(op.id);
+                    writes.get(op.store).deletes.push(op.id);
+                }
+            }
+        });
+    } catch (error) {
+        console.error(`Transaction on ${stores.join(", ")} rolled back:`, error);
+        throw error;
+    }
+
+    publishWrites(writes);
+    let puts = 0, deletes = 0;
+    for (const w of writes.values()) {
+        puts += w.puts.length;
+        deletes += w.deletes.length;
+    }
+    console.log(`Transaction on ${stores.join(", ")} committed: ${puts} puts, ${deletes} deletes`);
+    return { puts, deletes };
+}
+
+// Write many records to one store in a single transaction
+export async function setBulk(collectionName, values) {
+    if (!collectionName || !Array.isArray(values)) {
+        return Promise.reject("Missing values or collection name");
+    }
+    if (values.length === 0) return 0;
+
+    const missing = values.findIndex(value => !value || value.id === undefined || value.id === null);
+    if (missing >= 0) {
+        return Promise.reject(`Value at index ${missing} must have an id property`);
+    }
+
+    if (writesImageData(collectionName)) return setIndexedRecords(collectionName, values);
+
+    if (collectionName === FILE_STORE && values.some(value => value.blob instanceof Blob)) {
+        // Records with and without blobs commit together, as in transaction()
+        const prepared = new Map(); // value -> content write
+        for (const value of values) {
+            if (value.blob instanceof Blob) prepared.set(value, await prepareFileWrite(value.id, value.blob, value.mimeType));
+        }
+        await withFileTransaction([], async (tx) => {
+            for (const value of values) {
+                if (prepared.has(value)) await linkFile(tx, prepared.get(value));
+                else tx.objectStore(FILE_STORE).put(value);
+            }
+        });
+        publishChange(FILE_STORE, "put", values.map(value => value.id));
+        console.log(`Saved ${values.length} records to ${collectionName}`);
+        return values.length;
+    }
+
+    const db = await getDatabase();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(collectionName, "readwrite");
+        const store = tx.objectStore(collectionName);
+        let failure = null;
+
+        tx.onabort = () => {
+            console.error(`Bulk save to ${collectionName} rolled back:`, failure || tx.error);
+            reject(failure || tx.error);
+        };
+
+        try {
+            for (const value of values) store.put(value);
+        } catch (error) {
+            failure = error;
+            tx.abort();
+            return;
+        }
+
+        tx.oncomplete = () => {
+            publishChange(collectionName, "put", values.map(value => value.id));
+            console.log(`Saved ${values.length} records to ${collectionName}`);
+            resolve(values.length);
+        };
+    });
+}
+
+// Remove every record from a collection
+export async function clearStore(collectionName) {
+    const db = await getDatabase();
+    // Without any IndexedDbFile records, no content is referenced either
+    const storeNames = collectionName === FILE_STORE && db.objectStoreNames.contains(CONTENT_STORE)
+        ? [FILE_STORE, CONTENT_STORE]
+        : [collectionName];
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, "readwrite");
+        tx.oncomplete = () => {
+            for (const storeName of storeNames) publishChange(storeName, "clear");
+            console.log(`Cleared all records from ${storeNames.join(", ")}`);
+            resolve(true);
+        };
+        tx.onerror = (e) => reject(e.target.error);
+        for (const storeName of storeNames) tx.objectStore(storeName).clear();
+    });
+}
+
 // ===== Blob-centric helpers for images in IndexedDbFile store =====
+// Image bytes live once per distinct content in BlobContent, keyed by SHA-256, with a count of
+// the IndexedDbFile records pointing at them. IndexedDbFile records are { id, hash, mimeType, size }.
+// Records written before content addressing still carry their own `blob` until
+// convertLegacyBlobs has run; every read path accepts both.
+
+const FILE_STORE = "IndexedDbFile";
+const CONTENT_STORE = "BlobContent";
+const LEGACY_CONVERSION_BATCH = 50;
+
+// SHA-256 of a blob as lowercase hex
+async function hashBlob(blob) {
+    const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+}
 
-// Persist binary as Blob to IndexedDbFile (default to WebP mime)
-export async function setImageBlob(id, uint8Array, mimeType = "image/webp") {
-    if (!id || !uint8Array) throw new Error("setImageBlob requires id and data");
+// Hash outside any transaction: awaiting non-IndexedDB work would let a transaction commit early.
+// The stored MIME type is read from the bytes when they are a known image format, so a PNG that a
+// browser produced in place of WebP is not labelled as WebP.
+async function prepareFileWrite(id, blob, mimeType) {
+    const actualType = await mimeTypeOfBlob(blob, mimeType || blob.type || "image/webp");
+    if (blob.type !== actualType) blob = new Blob([blob], { type: actualType });
+    return { id, blob, mimeType: actualType, size: blob.size, hash: await hashBlob(blob) };
+}
+
+async function releaseContent(contents, hash) {
+    const content = await requestToPromise(contents.get(hash));
+    if (!content) return;
+    if (content.refCount <= 1) {
+        contents.delete(hash);
+    } else {
+        contents.put({ ...content, refCount: content.refCount - 1 });
+    }
+}
+
+// Point an IndexedDbFile id at content, adjusting reference counts. Runs inside a readwrite
+// transaction over IndexedDbFile and BlobContent.
+async function linkFile(tx, write) {
+    const files = tx.objectStore(FILE_STORE);
+    const contents = tx.objectStore(CONTENT_STORE);
+    const existing = await requestToPromise(files.get(write.id));
+
+    if (existing?.hash !== write.hash) {
+        if (existing?.hash) await releaseContent(contents, existing.hash);
+
+        const content = await requestToPromise(contents.get(write.hash));
+        if (content) {
+            contents.put({ ...content, refCount: content.refCount + 1 });
+        } else if (write.blob) {
+            contents.put({ hash: write.hash, blob: write.blob, mimeType: write.mimeType, size: write.size, refCount: 1 });
+        } else {
+            throw new Error(`Content ${write.hash} for ${write.id} no longer exists`);
+        }
+    }
+
+    files.put({ id: write.id, hash: write.hash, mimeType: write.mimeType, size: write.size });
+}
+
+// Remove an IndexedDbFile record and release its content
+async function unlinkFile(tx, id) {
+    const files = tx.objectStore(FILE_STORE);
+    const existing = await requestToPromise(files.get(id));
+    if (existing?.hash) await releaseContent(tx.objectStore(CONTENT_STORE), existing.hash);
+    files.delete(id);
+}
+
+// Run async work in one readwrite transaction. Only IndexedDB requests may be awaited inside;
+// the transaction is aborted, undoing everything, if the work throws.
+async function runWriteTransaction(storeNames, work) {
     const db = await getDatabase();
     return new Promise((resolve, reject) => {
-        const tx = db.transaction("IndexedDbFile", "readwrite");
-        const store = tx.objectStore("IndexedDbFile");
-        const value = { id, blob: new Blob([uint8Array], { type: mimeType }), mimeType };
-        const req = store.put(value);
-        req.onsuccess = () => resolve(true);
-        req.onerror = (e) => reject(e.target.error);
+        const tx = db.transaction(storeNames, "readwrite");
+        let failure = null;
+        let result;
+
+        tx.oncomplete = () => resolve(result);
+        tx.onabort = () => reject(failure || tx.error);
+
+        work(tx).then(value => { result = value; }, error => {
+            failure = error;
+            try { tx.abort(); } catch { /* already finished */ }
+        });
     });
 }
 
-// Return an Object URL from a stored Blob (or null if missing)
-export async function getImageObjectUrl(id) {
-    if (!id) return null;
+// Same, over the blob stores plus any others
+function withFileTransaction(extraStores, work) {
+    return runWriteTransaction([FILE_STORE, CONTENT_STORE, ...extraStores], work);
+}
+
+// Write IndexedDbFile records that carry a blob ({ id, blob, mimeType }) through content storage
+async function setFileRecords(records) {
+    const writes = [];
+    for (const record of records) writes.push(await prepareFileWrite(record.id, record.blob, record.mimeType));
+
+    await withFileTransaction([], async (tx) => {
+        for (const write of writes) await linkFile(tx, write);
+    });
+    publishChange(FILE_STORE, "put", writes.map(write => write.id));
+    return writes.length;
+}
+
+// Read the blob behind an IndexedDbFile id: { blob, mimeType } or null
+async function readFileBlob(id) {
     const db = await getDatabase();
     return new Promise((resolve, reject) => {
-        const tx = db.transaction("IndexedDbFile", "readonly");
-        const store = tx.objectStore("IndexedDbFile");
-        const req = store.get(id);
+        const tx = db.transaction([FILE_STORE, CONTENT_STORE], "readonly");
+        const req = tx.objectStore(FILE_STORE).get(id);
         req.onsuccess = () => {
             const rec = req.result;
-            if (!rec || !rec.blob) return resolve(null);
-            const url = URL.createObjectURL(rec.blob);
-            resolve(url);
+            if (!rec) return resolve(null);
+            if (rec.blob) return resolve({ blob: rec.blob, mimeType: rec.mimeType });
+            if (!rec.hash) return resolve(null);
+
+            const contentReq = tx.objectStore(CONTENT_STORE).get(rec.hash);
+            contentReq.onsuccess = () => resolve(contentReq.result ? { blob: contentReq.result.blob, mimeType: rec.mimeType } : null);
+            contentReq.onerror = (e) => reject(e.target.error);
         };
         req.onerror = (e) => reject(e.target.error);
     });
 }
 
+// Attach blobs to IndexedDbFile records read from the store, e.g. for backups.
+// Returns { id, blob, mimeType } records (legacy records pass through unchanged).
+export async function resolveFileRecords(records) {
+    const db = await getDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(CONTENT_STORE, "readonly");
+        const contents = tx.objectStore(CONTENT_STORE);
+        const resolved = records.map(record => record.blob || !record.hash ? record : null);
+
+        records.forEach((record, i) => {
+            if (resolved[i]) return;
+            const req = contents.get(record.hash);
+            req.onsuccess = () => {
+                const { hash, size, ...rest } = record;
+                resolved[i] = { ...rest, blob: req.result?.blob ?? null };
+            };
+        });
+
+        tx.oncomplete = () => resolve(resolved);
+        tx.onerror = (e) => reject(e.target.error);
+    });
+}
+
+// Persist binary as Blob to IndexedDbFile. Identical bytes share storage. The MIME type stored is
+// the one the bytes actually are; mimeType (WebP by default) only covers formats not recognised.
+export async function setImageBlob(id, uint8Array, mimeType = null) {
+    if (!id || !uint8Array) throw new Error("setImageBlob requires id and data");
+    const blob = uint8Array instanceof Blob ? uint8Array : new Blob([uint8Array], { type: mimeType || "" });
+    try {
+        await setFileRecords([{ id, blob, mimeType }]);
+        return true;
+    } catch (error) {
+        // A QuotaExceededError only shows up when the transaction aborts
+        console.error(`Saving image ${id} aborted:`, error);
+        throw error;
+    }
+}
+
+// Return an Object URL from a stored Blob (or null if missing). scope: id from createUrlScope
+// (objectUrlRegistry.js) to revoke the URL with its component; without one the caller must
+// release it, or bind it to the <img> that shows it.
+export async function getImageObjectUrl(id, scope = null) {
+    if (!id) return null;
+    const file = await readFileBlob(id);
+    return file?.blob ? createObjectUrl(file.blob, scope, id) : null;
+}
+
 // Check if a record exists in a collection
 export async function hasRecord(collectionName, id) {
     const db = await getDatabase();
@@ -553,37 +1527,122 @@ export async function hasRecord(collectionName, id) {
     });
 }
 
-// Copy a blob record within IndexedDbFile without marshalling data to .NET
+// Copy a blob record within IndexedDbFile without marshalling data to .NET. The copy shares
+// the original's content; only its reference count changes.
 export async function copyIndexedDbFile(srcId, destId) {
-    const db = await getDatabase();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction("IndexedDbFile", "readwrite");
-        const store = tx.objectStore("IndexedDbFile");
-        const getReq = store.get(srcId);
-        getReq.onsuccess = () => {
-            const rec = getReq.result;
-            if (!rec) { resolve(false); return; }
-            const putReq = store.put({ id: destId, blob: rec.blob, mimeType: rec.mimeType });
-            putReq.onsuccess = () => resolve(true);
-            putReq.onerror = (e) => reject(e.target.error);
-        };
-        getReq.onerror = (e) => reject(e.target.error);
-    });
+    const src = await get(FILE_STORE, srcId).catch(() => null);
+    if (!src) return false;
+
+    const write = src.hash
+        ? { id: destId, hash: src.hash, mimeType: src.mimeType, size: src.size, blob: null }
+        : await prepareFileWrite(destId, src.blob, src.mimeType);
+
+    await withFileTransaction([], (tx) => linkFile(tx, write));
+    publishChange(FILE_STORE, "put", [destId]);
+    return true;
 }
 
 // Return bytes from stored Blob (for legacy stream reads)
 export async function getImageBytes(id) {
-    const db = await getDatabase();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction("IndexedDbFile", "readonly");
-        const store = tx.objectStore("IndexedDbFile");
-        const req = store.get(id);
-        req.onsuccess = async () => {
-            const rec = req.result;
-            if (!rec || !rec.blob) { resolve(null); return; }
-            const arrayBuffer = await rec.blob.arrayBuffer();
-            resolve(new Uint8Array(arrayBuffer));
-        };
-        req.onerror = (e) => reject(e.target.error);
-    });
+    const file = await readFileBlob(id);
+    if (!file?.blob) return null;
+    return new Uint8Array(await file.blob.arrayBuffer());
+}
+
+// Move blobs stored directly on IndexedDbFile records (before content addressing) into
+// BlobContent, merging duplicates. Safe to run repeatedly; initialize starts it in the background.
+// progress: DotNetObjectReference exposing OnMigrationProgress, or a JS callback.
+export async function convertLegacyBlobs(progress = null) {
+    let afterKey = null;
+    let converted = 0;
+
+    for (;;) {
+        const { items: batch, next } = await getBatchAfter(FILE_STORE, afterKey, LEGACY_CONVERSION_BATCH);
+        if (batch.length === 0) break;
+        afterKey = next;
+
+        const legacy = batch.filter(record => record.blob && !record.hash);
+        if (legacy.length > 0) {
+            const writes = [];
+            for (const record of legacy) writes.push(await prepareFileWrite(record.id, record.blob, record.mimeType));
+
+            await withFileTransaction([], async (tx) => {
+                for (const write of writes) {
+                    // Skip records rewritten since they were read
+                    const current = await requestToPromise(tx.objectStore(FILE_STORE).get(write.id));
+                    if (current?.blob && !current.hash) await linkFile(tx, write);
+                }
+            });
+            converted += writes.length;
+            publishChange(FILE_STORE, "put", writes.map(write => write.id));
+            notify(progress, "OnMigrationProgress", { stepName: "content-addressed-blobs", processed: converted });
+        }
+
+        if (next === null) break;
+    }
+
+    if (converted > 0) console.log(`Moved ${converted} legacy blobs into content storage`);
+    return converted;
+}
+
+// Compare BlobContent reference counts with the IndexedDbFile records that point at them.
+// With repair, counts are corrected and content nothing points at is deleted.
+// Returns { contentCount, mismatched: [{ hash, refCount, actual }], unreferenced: [hash], missing: [id] }.
+export async function checkBlobContent({ repair = false } = {}) {
+    const pointers = new Map(); // hash -> count
+    const missing = [];
+    const contents = new Map(); // hash -> refCount
+
+    let afterKey = null;
+    for (;;) {
+        const { items: batch, next } = await getBatchAfter(FILE_STORE, afterKey, 500);
+        for (const record of batch) {
+            if (record.hash) pointers.set(record.hash, (pointers.get(record.hash) || 0) + 1);
+        }
+        if (next === null) break;
+        afterKey = next;
+    }
+
+    afterKey = null;
+    for (;;) {
+        const { items: batch, next } = await getBatchAfter(CONTENT_STORE, afterKey, 100);
+        for (const content of batch) contents.set(content.hash, content.refCount);
+        if (next === null) break;
+        afterKey = next;
+    }
+
+    const mismatched = [];
+    const unreferenced = [];
+    for (const [hash, refCount] of contents) {
+        const actual = pointers.get(hash) || 0;
+        if (actual === 0) unreferenced.push(hash);
+        else if (actual !== refCount) mismatched.push({ hash, refCount, actual });
+    }
+
+    const missingHashes = new Set([...pointers.keys()].filter(hash => !contents.has(hash)));
+    if (missingHashes.size > 0) {
+        afterKey = null;
+        for (;;) {
+            const { items: batch, next } = await getBatchAfter(FILE_STORE, afterKey, 500);
+            for (const record of batch) {
+                if (missingHashes.has(record.hash)) missing.push(record.id);
+            }
+            if (next === null) break;
+            afterKey = next;
+        }
+    }
+
+    if (repair && (mismatched.length > 0 || unreferenced.length > 0)) {
+        await withFileTransaction([], async (tx) => {
+            const store = tx.objectStore(CONTENT_STORE);
+            for (const hash of unreferenced) store.delete(hash);
+            for (const { hash, actual } of mismatched) {
+                const content = await requestToPromise(store.get(hash));
+                if (content) store.put({ ...content, refCount: actual });
+            }
+        });
+        console.log(`Repaired blob content: ${mismatched.length} counts corrected, ${unreferenced.length} unreferenced removed`);
+    }
+
+    return { contentCount: contents.size, mismatched, unreferenced, missing };
 }
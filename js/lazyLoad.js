@@ -1,3 +1,5 @@
+// Swaps data-src into src once an image nears the viewport. The library grid uses
+// virtualGallery.js instead, which also unloads offscreen thumbnails.
 (function(){
   const observerMap = new WeakMap();
 
@@ -30,6 +32,11 @@
       if(!observerMap.has(img)){
         io.observe(img);
         observerMap.set(img, true);
+        // Blob URLs from the registry are revoked once the image leaves the DOM
+        const src = img.getAttribute('data-src');
+        if(src && src.startsWith('blob:') && window.objectUrlRegistry){
+          window.objectUrlRegistry.bindElement(img, src);
+        }
       }
     }
   }
@@ -0,0 +1,582 @@
+// libraryBackup.js
+// Full library backup and restore. Every object store in the Fotorolr database is written
+// into a single ZIP archive: JSON batches of records plus one entry per Blob.
+
+import * as db from "./indexedDbAccessor.js";
+import { notify } from "./dotNetCallback.js";
+import { crc32 } from "./crc32.js";
+import { downloadBlob } from "./fileSink.js";
+
+const ARCHIVE_FORMAT = "fotorolr-library";
+const ARCHIVE_FORMAT_VERSION = 1;
+const MANIFEST_NAME = "manifest.json";
+const RECORDS_PER_BATCH = 500;
+
+// Stores that describe the database itself rather than library content. BlobContent is
+// rebuilt on restore, since IndexedDbFile records are exported with their bytes.
+const EXCLUDED_STORES = ["SchemaMigration", "BlobContent"];
+
+// ===== Minimal ZIP (stored, no compression) writer and reader =====
+// Images are already compressed, so deflating them would cost time for no gain. Entries past
+// 4 GB, and archives with more than 65,535 entries, use the ZIP64 extensions.
+
+const ZIP32_MAX = 0xFFFFFFFF;
+const ZIP16_MAX = 0xFFFF;
+const ZIP64_EXTRA_ID = 0x0001;
+
+// ZIP64 extended information extra field holding the given 8-byte values
+function zip64Extra(values) {
+    const extra = new DataView(new ArrayBuffer(4 + values.length * 8));
+    extra.setUint16(0, ZIP64_EXTRA_ID, true);
+    extra.setUint16(2, values.length * 8, true);
+    values.forEach((value, i) => extra.setBigUint64(4 + i * 8, BigInt(value), true));
+    return new Uint8Array(extra.buffer);
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.encoder = new TextEncoder();
+        this.stamp = dosDateTime(new Date());
+    }
+
+    // Add an entry from a string, Uint8Array or Blob. Blobs are kept by reference,
+    // so the finished archive is assembled lazily instead of in one big buffer.
+    async add(name, content) {
+        const data = typeof content === "string" ? this.encoder.encode(content) : content;
+        const bytes = data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : data;
+        const size = bytes.length;
+        const crc = crc32(bytes);
+        const nameBytes = this.encoder.encode(name);
+        const large = size >= ZIP32_MAX;
+        const extra = large ? zip64Extra([size, size]) : new Uint8Array(0);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);   // local file header signature
+        header.setUint16(4, large ? 45 : 20, true); // version needed
+        header.setUint16(6, 0x0800, true);       // UTF-8 names
+        header.setUint16(8, 0, true);            // stored
+        header.setUint16(10, this.stamp.time, true);
+        header.setUint16(12, this.stamp.date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, large ? ZIP32_MAX : size, true);
+        header.setUint32(22, large ? ZIP32_MAX : size, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, extra.length, true);
+
+        this.parts.push(header.buffer, nameBytes, extra, data instanceof Blob ? data : bytes);
+        this.entries.push({ nameBytes, crc, size, offset: this.offset });
+        this.offset += 30 + nameBytes.length + extra.length + size;
+    }
+
+    finish() {
+        const centralStart = this.offset;
+        let centralSize = 0;
+
+        for (const entry of this.entries) {
+            // Sizes, then the offset, go to the ZIP64 field when they do not fit in 32 bits
+            const largeSize = entry.size >= ZIP32_MAX;
+            const largeOffset = entry.offset >= ZIP32_MAX;
+            const values = [...(largeSize ? [entry.size, entry.size] : []), ...(largeOffset ? [entry.offset] : [])];
+            const extra = values.length > 0 ? zip64Extra(values) : new Uint8Array(0);
+            const version = values.length > 0 ? 45 : 20;
+
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014B50, true); // central directory signature
+            record.setUint16(4, version, true);    // version made by
+            record.setUint16(6, version, true);    // version needed
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, this.stamp.time, true);
+            record.setUint16(14, this.stamp.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, largeSize ? ZIP32_MAX : entry.size, true);
+            record.setUint32(24, largeSize ? ZIP32_MAX : entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint16(30, extra.length, true);
+            record.setUint32(42, largeOffset ? ZIP32_MAX : entry.offset, true);
+            this.parts.push(record.buffer, entry.nameBytes, extra);
+            centralSize += 46 + entry.nameBytes.length + extra.length;
+        }
+
+        const count = this.entries.length;
+        const zip64 = count >= ZIP16_MAX || centralSize >= ZIP32_MAX || centralStart >= ZIP32_MAX;
+        if (zip64) {
+            const record = new DataView(new ArrayBuffer(56));
+            record.setUint32(0, 0x06064B50, true); // ZIP64 end of central directory signature
+            record.setBigUint64(4, 44n, true);     // size of the rest of the record
+            record.setUint16(12, 45, true);        // version made by
+            record.setUint16(14, 45, true);        // version needed
+            record.setBigUint64(24, BigInt(count), true);
+            record.setBigUint64(32, BigInt(count), true);
+            record.setBigUint64(40, BigInt(centralSize), true);
+            record.setBigUint64(48, BigInt(centralStart), true);
+
+            const locator = new DataView(new ArrayBuffer(20));
+            locator.setUint32(0, 0x07064B50, true); // ZIP64 end of central directory locator
+            locator.setBigUint64(8, BigInt(centralStart + centralSize), true);
+            locator.setUint32(16, 1, true);         // total number of disks
+            this.parts.push(record.buffer, locator.buffer);
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);        // end of central directory signature
+        end.setUint16(8, Math.min(count, ZIP16_MAX), true);
+        end.setUint16(10, Math.min(count, ZIP16_MAX), true);
+        end.setUint32(12, Math.min(centralSize, ZIP32_MAX), true);
+        end.setUint32(16, Math.min(centralStart, ZIP32_MAX), true);
+        this.parts.push(end.buffer);
+
+        return new Blob(this.parts, { type: "application/zip" });
+    }
+}
+
+class ZipReader {
+    constructor(blob, entries) {
+        this.blob = blob;
+        this.entries = entries;
+        this.decoder = new TextDecoder();
+    }
+
+    static async open(blob) {
+        const tailSize = Math.min(blob.size, 22 + 0xFFFF);
+        const tail = new DataView(await blob.slice(blob.size - tailSize).arrayBuffer());
+
+        let endPos = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054B50) { endPos = i; break; }
+        }
+        if (endPos < 0) throw new Error("Not a ZIP archive");
+
+        let count = tail.getUint16(endPos + 10, true);
+        let centralSize = tail.getUint32(endPos + 12, true);
+        let centralStart = tail.getUint32(endPos + 16, true);
+
+        // Saturated fields: the real values are in the ZIP64 record the locator points at
+        if (count === ZIP16_MAX || centralSize === ZIP32_MAX || centralStart === ZIP32_MAX) {
+            if (endPos < 20 || tail.getUint32(endPos - 20, true) !== 0x07064B50) {
+                throw new Error("Corrupt ZIP64 archive: end of central directory locator missing");
+            }
+            const recordStart = Number(tail.getBigUint64(endPos - 12, true));
+            const record = new DataView(await blob.slice(recordStart, recordStart + 56).arrayBuffer());
+            if (record.getUint32(0, true) !== 0x06064B50) throw new Error("Corrupt ZIP64 end of central directory");
+            count = Number(record.getBigUint64(32, true));
+            centralSize = Number(record.getBigUint64(40, true));
+            centralStart = Number(record.getBigUint64(48, true));
+        }
+        const central = new DataView(await blob.slice(centralStart, centralStart + centralSize).arrayBuffer());
+        const decoder = new TextDecoder();
+        const entries = new Map();
+
+        let pos = 0;
+        for (let i = 0; i < count; i++) {
+            if (central.getUint32(pos, true) !== 0x02014B50) throw new Error("Corrupt ZIP central directory");
+            const method = central.getUint16(pos + 10, true);
+            const crc = central.getUint32(pos + 16, true);
+            let size = central.getUint32(pos + 20, true);
+            const compressedSize = central.getUint32(pos + 24, true);
+            const nameLength = central.getUint16(pos + 28, true);
+            const extraLength = central.getUint16(pos + 30, true);
+            const commentLength = central.getUint16(pos + 32, true);
+            let offset = central.getUint32(pos + 42, true);
+            const name = decoder.decode(new Uint8Array(central.buffer, pos + 46, nameLength));
+
+            // The ZIP64 field holds, in order, only the values saturated above
+            for (let e = pos + 46 + nameLength; e + 4 <= pos + 46 + nameLength + extraLength;) {
+                const id = central.getUint16(e, true);
+                const length = central.getUint16(e + 2, true);
+                if (id === ZIP64_EXTRA_ID) {
+                    let field = e + 4;
+                    if (size === ZIP32_MAX) { size = Number(central.getBigUint64(field, true)); field += 8; }
+                    if (compressedSize === ZIP32_MAX) field += 8;
+                    if (offset === ZIP32_MAX) offset = Number(central.getBigUint64(field, true));
+                }
+                e += 4 + length;
+            }
+            entries.set(name, { name, method, crc, size, offset });
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return new ZipReader(blob, entries);
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    async readBlob(name, type = "") {
+        const entry = this.entries.get(name);
+        if (!entry) throw new Error(`Archive entry missing: ${name}`);
+        if (entry.method !== 0) throw new Error(`Unsupported compression in archive entry: ${name}`);
+
+        const header = new DataView(await this.blob.slice(entry.offset, entry.offset + 30).arrayBuffer());
+        const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        return this.blob.slice(dataStart, dataStart + entry.size, type);
+    }
+
+    async readText(name) {
+        return this.decoder.decode(await (await this.readBlob(name)).arrayBuffer());
+    }
+
+    async verify(name) {
+        const bytes = new Uint8Array(await (await this.readBlob(name)).arrayBuffer());
+        return crc32(bytes) === this.entries.get(name).crc;
+    }
+}
+
+// ===== Record serialisation =====
+// Records are JSON except for Blobs, binary arrays and Dates, which get tagged placeholders.
+
+async function encodeValue(value, writer, state) {
+    if (value instanceof Blob) {
+        const path = `blobs/${state.blobCount++}`;
+        await writer.add(path, value);
+        return { $blob: path, type: value.type };
+    }
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        const path = `blobs/${state.blobCount++}`;
+        const bytes = value instanceof ArrayBuffer
+            ? new Uint8Array(value)
+            : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        await writer.add(path, bytes);
+        return { $bytes: path, kind: value.constructor.name };
+    }
+    if (value instanceof Date) {
+        return { $date: value.toISOString() };
+    }
+    if (Array.isArray(value)) {
+        const out = [];
+        for (const item of value) out.push(await encodeValue(item, writer, state));
+        return out;
+    }
+    if (value && typeof value === "object") {
+        const out = {};
+        for (const [key, item] of Object.entries(value)) out[key] = await encodeValue(item, writer, state);
+        return out;
+    }
+    return value;
+}
+
+async function decodeValue(value, reader, idMap) {
+    if (Array.isArray(value)) {
+        const out = [];
+        for (const item of value) out.push(await decodeValue(item, reader, idMap));
+        return out;
+    }
+    if (value && typeof value === "object") {
+        if (typeof value.$blob === "string") {
+            return reader.readBlob(value.$blob, value.type || "");
+        }
+        if (typeof value.$bytes === "string") {
+            const buffer = await (await reader.readBlob(value.$bytes)).arrayBuffer();
+            const ctor = globalThis[value.kind];
+            return value.kind === "ArrayBuffer" || typeof ctor !== "function" ? new Uint8Array(buffer) : new ctor(buffer);
+        }
+        if (typeof value.$date === "string") {
+            return new Date(value.$date);
+        }
+        const out = {};
+        for (const [key, item] of Object.entries(value)) out[key] = await decodeValue(item, reader, idMap);
+        return out;
+    }
+    // Renamed ids are rewritten wherever they are referenced
+    if (typeof value === "string" && idMap.has(value)) {
+        return idMap.get(value);
+    }
+    return value;
+}
+
+function newId() {
+    return typeof crypto !== "undefined" && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+}
+
+function resolveSource(source) {
+    if (typeof source === "string") {
+        const input = document.getElementById(source);
+        if (!input || !input.files || input.files.length === 0) {
+            throw new Error(`No file selected in input ${source}`);
+        }
+        return input.files[0];
+    }
+    if (source instanceof Blob) return source;
+    throw new Error("Import source must be a File, Blob or file input id");
+}
+
+// clearExisting: nothing is touched until every record has been read from the archive; then the
+// stores are cleared and refilled in one transaction, so any failure leaves the library as it was.
+async function replaceStores(reader, storeEntries, result, progress) {
+    const idMap = new Map();
+    const ops = [];
+    const counts = {};
+
+    for (const [storeName, info] of storeEntries) {
+        ops.push({ type: "clear", store: storeName });
+        counts[storeName] = 0;
+        let processed = 0;
+
+        for (const path of info.files) {
+            for (const raw of JSON.parse(await reader.readText(path))) {
+                processed++;
+                try {
+                    ops.push({ type: "put", store: storeName, value: await decodeValue(raw, reader, idMap) });
+                    counts[storeName]++;
+                } catch (error) {
+                    result.errors.push(`${storeName}/${raw.id}: ${error?.message || error}`);
+                }
+            }
+            notify(progress, "OnBackupProgress", { phase: "import", storeName, processed, total: info.count });
+        }
+    }
+
+    if (result.errors.length > 0) {
+        result.errors.unshift("Some records could not be read from the archive; the library was left unchanged");
+        return;
+    }
+
+    try {
+        await db.transaction(storeEntries.map(([storeName]) => storeName), ops);
+    } catch (error) {
+        result.errors.push(`Import rolled back; the library was left unchanged: ${error?.message || error}`);
+        return;
+    }
+
+    for (const [storeName] of storeEntries) {
+        result.stores[storeName] = { imported: counts[storeName], skipped: 0, overwritten: 0, renamed: 0 };
+    }
+}
+
+// ===== Public API =====
+
+// Build the archive for the whole library and return it as a Blob.
+// `progress` may be a DotNetObjectReference exposing OnBackupProgress or a JS callback.
+export async function createLibraryArchive(progress = null) {
+    const storeNames = (await db.getStoreNames()).filter(s => !EXCLUDED_STORES.includes(s));
+    const writer = new ZipWriter();
+    const state = { blobCount: 0 };
+    const stores = {};
+
+    for (const storeName of storeNames) {
+        const total = await db.count(storeName);
+        const files = [];
+        let processed = 0;
+        let lastKey = null;
+
+        notify(progress, "OnBackupProgress", { phase: "export", storeName, processed, total });
+
+        for (;;) {
+            const { items: batch, next } = await db.getBatchAfter(storeName, lastKey, RECORDS_PER_BATCH);
+            if (batch.length === 0) break;
+
+            const records = storeName === "IndexedDbFile" ? await db.resolveFileRecords(batch) : batch;
+            const encoded = [];
+            for (const record of records) encoded.push(await encodeValue(record, writer, state));
+
+            const path = `stores/${encodeURIComponent(storeName)}/${String(files.length).padStart(5, "0")}.json`;
+            await writer.add(path, JSON.stringify(encoded));
+            files.push(path);
+
+            processed += batch.length;
+            lastKey = next;
+            notify(progress, "OnBackupProgress", { phase: "export", storeName, processed, total });
+
+            if (next === null) break;
+        }
+
+        stores[storeName] = { count: processed, files };
+    }
+
+    const migrations = await db.getMigrationStatus();
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        formatVersion: ARCHIVE_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        databaseVersion: migrations.version,
+        migrations: migrations.applied.map(m => m.id),
+        blobCount: state.blobCount,
+        stores
+    };
+    await writer.add(MANIFEST_NAME, JSON.stringify(manifest, null, 2));
+
+    console.log(`Library archive built: ${storeNames.length} stores, ${state.blobCount} blobs`);
+    return writer.finish();
+}
+
+// Build the archive and hand it to the browser as a download
+export async function exportLibrary(fileName = null, progress = null) {
+    const archive = await createLibraryArchive(progress);
+    const name = fileName || `fotorolr-library-${new Date().toISOString().substring(0, 10)}.zip`;
+    downloadBlob(archive, name);
+    return { fileName: name, size: archive.size };
+}
+
+// Check an archive before anything is written. Returns { valid, errors, warnings, manifest }.
+export async function validateLibraryArchive(source, verifyChecksums = true) {
+    const errors = [];
+    const warnings = [];
+    let manifest = null;
+    let reader;
+
+    try {
+        reader = await ZipReader.open(resolveSource(source));
+    } catch (error) {
+        return { valid: false, errors: [error.message], warnings, manifest };
+    }
+
+    if (!reader.has(MANIFEST_NAME)) {
+        return { valid: false, errors: ["Archive has no manifest.json"], warnings, manifest };
+    }
+
+    try {
+        manifest = JSON.parse(await reader.readText(MANIFEST_NAME));
+    } catch {
+        return { valid: false, errors: ["manifest.json is not valid JSON"], warnings, manifest };
+    }
+
+    if (manifest.format !== ARCHIVE_FORMAT) {
+        errors.push(`Unknown archive format: ${manifest.format}`);
+    }
+    if (!(manifest.formatVersion <= ARCHIVE_FORMAT_VERSION)) {
+        errors.push(`Archive format version ${manifest.formatVersion} is newer than this app supports`);
+    }
+
+    const knownMigrations = new Set((await db.getMigrationStatus()).applied.map(m => m.id));
+    const unknown = (manifest.migrations || []).filter(id => !knownMigrations.has(id));
+    if (unknown.length > 0) {
+        errors.push(`Archive was made by a newer app version (schema steps ${unknown.join(", ")})`);
+    }
+
+    const existingStores = await db.getStoreNames();
+    for (const [storeName, info] of Object.entries(manifest.stores || {})) {
+        if (!existingStores.includes(storeName)) {
+            warnings.push(`Store ${storeName} does not exist here and will be skipped`);
+        }
+        for (const path of info.files || []) {
+            if (!reader.has(path)) errors.push(`Missing archive entry: ${path}`);
+        }
+    }
+
+    if (verifyChecksums && errors.length === 0) {
+        for (const name of reader.entries.keys()) {
+            if (!(await reader.verify(name))) errors.push(`Checksum mismatch: ${name}`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors, warnings, manifest };
+}
+
+// Restore an archive into the current database.
+// options.onConflict: "skip" (keep existing record), "overwrite", or "rename" (import under a new id
+// and rewrite every reference to it). options.clearExisting replaces the content of each restored
+// store, all or nothing.
+export async function importLibrary(source, options = {}, progress = null) {
+    const { onConflict = "skip", clearExisting = false, verifyChecksums = true } = options || {};
+    if (!["skip", "overwrite", "rename"].includes(onConflict)) {
+        throw new Error(`Unknown conflict strategy: ${onConflict}`);
+    }
+
+    const file = resolveSource(source);
+    const validation = await validateLibraryArchive(file, verifyChecksums);
+    if (!validation.valid) {
+        console.error("Library archive rejected:", validation.errors);
+        return { success: false, errors: validation.errors, warnings: validation.warnings, stores: {} };
+    }
+
+    const reader = await ZipReader.open(file);
+    const existingStores = await db.getStoreNames();
+    const storeEntries = Object.entries(validation.manifest.stores)
+        .filter(([storeName]) => existingStores.includes(storeName));
+    const idMap = new Map();
+    const conflicts = new Map();
+    const result = { success: true, errors: [], warnings: validation.warnings, stores: {} };
+
+    if (clearExisting) {
+        await replaceStores(reader, storeEntries, result, progress);
+        result.success = result.errors.length === 0;
+        console.log("Library import finished:", result);
+        return result;
+    }
+
+    // First pass: find colliding ids so renamed references can be rewritten in every store
+    for (const [storeName, info] of storeEntries) {
+        const colliding = new Set();
+        for (const path of info.files) {
+            for (const record of JSON.parse(await reader.readText(path))) {
+                if (await db.hasRecord(storeName, record.id)) {
+                    colliding.add(record.id);
+                    if (onConflict === "rename" && typeof record.id === "string") {
+                        idMap.set(record.id, newId());
+                    }
+                }
+            }
+        }
+        conflicts.set(storeName, colliding);
+    }
+
+    // Second pass: write records
+    for (const [storeName, info] of storeEntries) {
+        const colliding = conflicts.get(storeName);
+        const stats = { imported: 0, skipped: 0, overwritten: 0, renamed: 0 };
+        let processed = 0;
+
+        for (const path of info.files) {
+            const batch = [];
+            for (const raw of JSON.parse(await reader.readText(path))) {
+                processed++;
+                const isConflict = colliding.has(raw.id);
+
+                if (isConflict && (onConflict === "skip" || (onConflict === "rename" && !idMap.has(raw.id)))) {
+                    stats.skipped++;
+                    continue;
+                }
+
+                try {
+                    batch.push({ value: await decodeValue(raw, reader, idMap), id: raw.id, isConflict });
+                } catch (error) {
+                    result.errors.push(`${storeName}/${raw.id}: ${error?.message || error}`);
+                }
+            }
+
+            // One transaction per batch file; if it fails, retry record by record to find the bad ones
+            let written;
+            try {
+                await db.setBulk(storeName, batch.map(entry => entry.value));
+                written = batch;
+            } catch (error) {
+                console.warn(`Bulk import of ${path} failed, retrying record by record:`, error);
+                written = [];
+                for (const entry of batch) {
+                    try {
+                        await db.set(storeName, entry.value);
+                        written.push(entry);
+                    } catch (recordError) {
+                        result.errors.push(`${storeName}/${entry.id}: ${recordError?.message || recordError}`);
+                    }
+                }
+            }
+
+            for (const entry of written) {
+                stats.imported++;
+                if (entry.isConflict) stats[onConflict === "rename" ? "renamed" : "overwritten"]++;
+            }
+            notify(progress, "OnBackupProgress", { phase: "import", storeName, processed, total: info.count });
+        }
+
+        notify(progress, "OnBackupProgress", { phase: "import", storeName, processed, total: info.count });
+        result.stores[storeName] = stats;
+    }
+
+    result.success = result.errors.length === 0;
+    console.log("Library import finished:", result);
+    return result;
+}
@@ -0,0 +1,158 @@
+// libraryIntegrity.js
+// Integrity check and garbage collection for IndexedDbFile. Records in the referencing
+// stores point at blobs by id (ImageData thumbnails, mosaic pieces, ...); deleteRecord does
+// not cascade, so deleted images and mosaics leave their blobs behind. The scan collects
+// every referenced id, then reports blobs nobody references and references to missing blobs,
+// and checks the reference counts of the shared content in BlobContent.
+
+import * as db from "./indexedDbAccessor.js";
+import { notify } from "./dotNetCallback.js";
+
+const BLOB_STORE = "IndexedDbFile";
+const REFERENCING_STORES = ["Mosaic", "MosaicTemplate", "ExternalPiece", "ImageData"];
+const SCAN_BATCH_SIZE = 200;
+const DELETE_BATCH_SIZE = 200;
+const MAX_SCAN_ATTEMPTS = 3;
+
+// Field names that hold a blob id: the ImageData thumbnail sizes and *FileId fields. Used only
+// to report missing blobs, since any string that matches a blob id counts as a reference.
+const BLOB_FIELD = /^(Thumb(T|S|Sq|M|L|XL|XXL|XXXL|XXXXL|ES|T_XXL)|\w*FileId)$/;
+
+// Call visit(value, fieldName) for every string nested in a record
+function walkStrings(value, visit, field = null) {
+    if (typeof value === "string") {
+        visit(value, field);
+    } else if (Array.isArray(value)) {
+        for (const item of value) walkStrings(item, visit, field);
+    } else if (value && typeof value === "object" && !(value instanceof Blob) && !ArrayBuffer.isView(value)) {
+        for (const [key, item] of Object.entries(value)) walkStrings(item, visit, key);
+    }
+}
+
+async function forEachRecord(storeName, callback) {
+    let afterKey = null;
+    for (;;) {
+        const { items, next } = await db.getBatchAfter(storeName, afterKey, SCAN_BATCH_SIZE);
+        for (const record of items) callback(record);
+        if (next === null) break;
+        afterKey = next;
+    }
+}
+
+// Scan the library. progress: DotNetObjectReference exposing OnIntegrityProgress, or a JS callback.
+// Returns { blobCount, referencedCount, orphans: [{ id, size, mimeType }], orphanBytes,
+//   missing: [{ storeName, recordId, field, blobId }], content } where content is the
+//   checkBlobContent report. orphanBytes counts shared content once per orphaned record.
+export async function scanLibraryIntegrity(progress = null) {
+    const storeNames = await db.getStoreNames();
+    if (!storeNames.includes(BLOB_STORE)) {
+        return { blobCount: 0, referencedCount: 0, orphans: [], orphanBytes: 0, missing: [], content: null };
+    }
+
+    // Blob ids and sizes first, so references can be checked against them
+    const blobs = new Map();
+    await forEachRecord(BLOB_STORE, (record) => {
+        blobs.set(record.id, { size: record.blob?.size ?? record.size ?? 0, mimeType: record.mimeType ?? record.blob?.type ?? null });
+    });
+    notify(progress, "OnIntegrityProgress", { phase: "blobs", blobCount: blobs.size });
+
+    const referenced = new Set();
+    const missing = [];
+    for (const storeName of REFERENCING_STORES) {
+        if (!storeNames.includes(storeName)) continue;
+
+        let records = 0;
+        await forEachRecord(storeName, (record) => {
+            records++;
+            walkStrings(record, (value, field) => {
+                if (blobs.has(value)) {
+                    referenced.add(value);
+                } else if (value.trim() !== "" && field && BLOB_FIELD.test(field) && value !== record.id) {
+                    missing.push({ storeName, recordId: record.id, field, blobId: value });
+                }
+            });
+        });
+        notify(progress, "OnIntegrityProgress", { phase: "references", storeName, records });
+    }
+
+    const orphans = [];
+    let orphanBytes = 0;
+    for (const [id, info] of blobs) {
+        if (referenced.has(id)) continue;
+        orphans.push({ id, ...info });
+        orphanBytes += info.size;
+    }
+
+    const content = storeNames.includes("BlobContent") ? await db.checkBlobContent() : null;
+
+    console.log(`Integrity scan: ${blobs.size} blobs, ${referenced.size} referenced, ${orphans.length} orphaned (${orphanBytes} bytes), ${missing.length} missing`);
+    return { blobCount: blobs.size, referencedCount: referenced.size, orphans, orphanBytes, missing, content };
+}
+
+// Delete unreferenced blobs and repair content reference counts. With dryRun (the default)
+// nothing is changed and the result only reports what would be. Writes to the referencing
+// stores while this runs (in any tab) invalidate the scan, so it is repeated before anything
+// else is deleted; after MAX_SCAN_ATTEMPTS unsettled scans it gives up with an error. Still do
+// not run while a mosaic is being saved: blobs written before the scan started look orphaned
+// until the record that references them lands.
+// options: { dryRun = true, exclude: [blob ids to keep] }.
+// Returns the scan result plus { dryRun, deletedCount, freedBytes }.
+export async function collectOrphanBlobs(options = {}, progress = null) {
+    const { dryRun = true, exclude = [] } = options || {};
+    const keep = new Set(exclude);
+
+    // Our own deletes also come through the feed; only writes that can add a reference count
+    let changed = false;
+    const subscription = db.subscribeChanges((change) => {
+        if (!change.storeName || REFERENCING_STORES.includes(change.storeName)
+            || (change.storeName === BLOB_STORE && change.type !== "delete")) {
+            changed = true;
+        }
+    });
+
+    let deletedCount = 0;
+    let freedBytes = 0;
+    try {
+        for (let attempt = 1; ; attempt++) {
+            changed = false;
+            const scan = await scanLibraryIntegrity(progress);
+            const targets = scan.orphans.filter(orphan => !keep.has(orphan.id));
+
+            if (dryRun) {
+                console.log(`Dry run: ${targets.length} orphaned blobs would be deleted`);
+                return { ...scan, dryRun: true, deletedCount: 0, freedBytes: 0 };
+            }
+
+            const total = deletedCount + targets.length;
+            let interrupted = false;
+            for (let i = 0; i < targets.length; i += DELETE_BATCH_SIZE) {
+                if (changed) {
+                    interrupted = true;
+                    break;
+                }
+                const batch = targets.slice(i, i + DELETE_BATCH_SIZE);
+                await db.transaction([BLOB_STORE], batch.map(orphan => ({ type: "delete", store: BLOB_STORE, id: orphan.id })));
+                deletedCount += batch.length;
+                freedBytes += batch.reduce((sum, orphan) => sum + orphan.size, 0);
+                notify(progress, "OnIntegrityProgress", { phase: "delete", deleted: deletedCount, total });
+            }
+
+            if (interrupted) {
+                if (attempt >= MAX_SCAN_ATTEMPTS) {
+                    throw new Error(`The library kept changing during orphan collection; stopped after deleting ${deletedCount} blobs`);
+                }
+                console.warn("Library changed during orphan collection; scanning again");
+                notify(progress, "OnIntegrityProgress", { phase: "rescan", attempt: attempt + 1 });
+                continue;
+            }
+
+            // Deleting releases content as it goes; this catches counts that had drifted before
+            const content = scan.content ? await db.checkBlobContent({ repair: true }) : null;
+
+            console.log(`Deleted ${deletedCount} orphaned blobs, freed ${freedBytes} bytes`);
+            return { ...scan, content, dryRun: false, deletedCount, freedBytes };
+        }
+    } finally {
+        db.unsubscribeChanges(subscription);
+    }
+}
@@ -0,0 +1,420 @@
+// mosaicExporter.js
+// High-resolution mosaic export. The mosaic is rendered in horizontal strips (split into
+// column chunks when wider than a safe canvas) with placeImageOnCanvas, and each strip is
+// streamed straight into a PNG or TIFF encoder, so the output can be far larger than any
+// single canvas the browser allows.
+
+import { imageProcessor } from "./imageProcessor.js";
+import * as db from "./indexedDbAccessor.js";
+import { notify } from "./dotNetCallback.js";
+import { crc32, crc32Update } from "./crc32.js";
+import { createFileSink } from "./fileSink.js";
+import { releaseObjectUrl } from "./objectUrlRegistry.js";
+import { resolveItemAdjustments } from "./colorAdjust.js";
+
+const MAX_CHUNK_WIDTH = 4096;
+const DEFAULT_STRIP_HEIGHT = 256;
+const DEFAULT_DPI = 300;
+const METRES_PER_INCH = 0.0254;
+const MM_PER_INCH = 25.4;
+
+const runningExports = new Map(); // exportId -> AbortController
+
+// ===== Streaming encoders =====
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const IDAT_FLUSH_BYTES = 256 * 1024;
+
+function pngChunk(type, data) {
+    const typeBytes = new TextEncoder().encode(type);
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(typeBytes, 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32Update(crc32(typeBytes), data));
+    return chunk;
+}
+
+// 8-bit RGB PNG; scanlines use the Sub filter and are deflated by CompressionStream
+class PngStreamWriter {
+    constructor(sink, width, height, dpi) {
+        this.sink = sink;
+        this.width = width;
+        this.height = height;
+        this.dpi = dpi;
+    }
+
+    async start() {
+        const ihdr = new Uint8Array(13);
+        const ihdrView = new DataView(ihdr.buffer);
+        ihdrView.setUint32(0, this.width);
+        ihdrView.setUint32(4, this.height);
+        ihdr[8] = 8;  // bit depth
+        ihdr[9] = 2;  // colour type: RGB
+
+        const phys = new Uint8Array(9);
+        const physView = new DataView(phys.buffer);
+        const pixelsPerMetre = Math.round(this.dpi / METRES_PER_INCH);
+        physView.setUint32(0, pixelsPerMetre);
+        physView.setUint32(4, pixelsPerMetre);
+        phys[8] = 1;  // unit: metre
+
+        await this.sink.write(PNG_SIGNATURE);
+        await this.sink.write(pngChunk("IHDR", ihdr));
+        await this.sink.write(pngChunk("pHYs", phys));
+
+        const stream = new CompressionStream("deflate");
+        this.writer = stream.writable.getWriter();
+        // A failed sink write stops the pump; tear down both ends of the compressor so pending
+        // row writes fail too instead of waiting on a stream nobody reads any more
+        this.failure = null;
+        const reader = stream.readable.getReader();
+        this.pump = this.pumpIdat(reader).catch(error => {
+            this.failure = error;
+            reader.cancel(error).catch(() => { /* already errored */ });
+            this.writer.abort(error).catch(() => { /* already errored */ });
+        });
+    }
+
+    // Gather compressed output into IDAT chunks of a sensible size
+    async pumpIdat(reader) {
+        let pending = [];
+        let pendingSize = 0;
+        const flush = async () => {
+            if (pendingSize === 0) return;
+            const data = new Uint8Array(pendingSize);
+            let offset = 0;
+            for (const part of pending) {
+                data.set(part, offset);
+                offset += part.length;
+            }
+            pending = [];
+            pendingSize = 0;
+            await this.sink.write(pngChunk("IDAT", data));
+        };
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            pending.push(value);
+            pendingSize += value.length;
+            if (pendingSize >= IDAT_FLUSH_BYTES) await flush();
+        }
+        await flush();
+    }
+
+    async writeRows(rgb, rows) {
+        if (this.failure) throw this.failure;
+        const stride = this.width * 3;
+        const filtered = new Uint8Array(rows * (stride + 1));
+        for (let y = 0; y < rows; y++) {
+            const src = y * stride;
+            const dst = y * (stride + 1);
+            filtered[dst] = 1; // Sub filter
+            for (let i = 0; i < stride; i++) {
+                filtered[dst + 1 + i] = (rgb[src + i] - (i >= 3 ? rgb[src + i - 3] : 0)) & 0xFF;
+            }
+        }
+        try {
+            await this.writer.ready;
+            await this.writer.write(filtered);
+        } catch (error) {
+            throw this.failure || error;
+        }
+    }
+
+    async finish() {
+        if (this.failure) throw this.failure;
+        try {
+            await this.writer.close();
+        } catch (error) {
+            throw this.failure || error;
+        }
+        await this.pump;
+        if (this.failure) throw this.failure;
+        await this.sink.write(pngChunk("IEND", new Uint8Array(0)));
+    }
+}
+
+// Baseline uncompressed RGB TIFF. Pixel data is written first and the IFD last,
+// since every offset is known up front.
+class TiffStreamWriter {
+    constructor(sink, width, height, dpi, rowsPerStrip) {
+        this.sink = sink;
+        this.width = width;
+        this.height = height;
+        this.dpi = dpi;
+        this.rowsPerStrip = rowsPerStrip;
+        this.dataSize = width * height * 3;
+        if (8 + this.dataSize + 4096 > 0xFFFFFFFF) {
+            throw new Error("Image is too large for a TIFF file (4 GB limit); use PNG instead");
+        }
+    }
+
+    async start() {
+        const header = new DataView(new ArrayBuffer(8));
+        header.setUint16(0, 0x4949);                        // "II": little-endian
+        header.setUint16(2, 42, true);
+        header.setUint32(4, 8 + this.dataSize + (this.dataSize % 2), true); // IFD after the pixels
+        await this.sink.write(new Uint8Array(header.buffer));
+    }
+
+    async writeRows(rgb) {
+        await this.sink.write(rgb);
+    }
+
+    async finish() {
+        const stripCount = Math.ceil(this.height / this.rowsPerStrip);
+        const stripBytes = this.width * 3 * this.rowsPerStrip;
+        const ifdOffset = 8 + this.dataSize + (this.dataSize % 2);
+        const entryCount = 13;
+        const ifdSize = 2 + entryCount * 12 + 4;
+
+        // Out-of-line values follow the IFD
+        let extra = ifdOffset + ifdSize;
+        const bitsOffset = extra; extra += 6;
+        const xResOffset = extra; extra += 8;
+        const yResOffset = extra; extra += 8;
+        const offsetsOffset = extra; extra += stripCount * 4;
+        const countsOffset = extra; extra += stripCount * 4;
+
+        const buffer = new ArrayBuffer((this.dataSize % 2) + extra - ifdOffset);
+        const view = new DataView(buffer);
+        let pos = this.dataSize % 2; // pad so the IFD starts on a word boundary
+        const base = ifdOffset - pos;
+        const at = (absolute) => absolute - base;
+
+        view.setUint16(pos, entryCount, true);
+        pos += 2;
+        const entry = (tag, type, count, value) => {
+            view.setUint16(pos, tag, true);
+            view.setUint16(pos + 2, type, true);
+            view.setUint32(pos + 4, count, true);
+            if (type === 3 && count === 1) view.setUint16(pos + 8, value, true);
+            else view.setUint32(pos + 8, value, true);
+            pos += 12;
+        };
+
+        // Tags must be in ascending order
+        entry(256, 4, 1, this.width);                                   // ImageWidth
+        entry(257, 4, 1, this.height);                                  // ImageLength
+        entry(258, 3, 3, bitsOffset);                                   // BitsPerSample
+        entry(259, 3, 1, 1);                                            // Compression: none
+        entry(262, 3, 1, 2);                                            // Photometric: RGB
+        entry(273, 4, stripCount, stripCount === 1 ? 8 : offsetsOffset); // StripOffsets
+        entry(277, 3, 1, 3);                                            // SamplesPerPixel
+        entry(278, 4, 1, this.rowsPerStrip);                            // RowsPerStrip
+        entry(279, 4, stripCount, stripCount === 1 ? this.dataSize : countsOffset); // StripByteCounts
+        entry(282, 5, 1, xResOffset);                                   // XResolution
+        entry(283, 5, 1, yResOffset);                                   // YResolution
+        entry(284, 3, 1, 1);                                            // PlanarConfiguration: chunky
+        entry(296, 3, 1, 2);                                            // ResolutionUnit: inch
+        view.setUint32(pos, 0, true);                                   // no next IFD
+
+        for (let i = 0; i < 3; i++) view.setUint16(at(bitsOffset) + i * 2, 8, true);
+        view.setUint32(at(xResOffset), Math.round(this.dpi), true);
+        view.setUint32(at(xResOffset) + 4, 1, true);
+        view.setUint32(at(yResOffset), Math.round(this.dpi), true);
+        view.setUint32(at(yResOffset) + 4, 1, true);
+        for (let i = 0; i < stripCount; i++) {
+            const rows = Math.min(this.rowsPerStrip, this.height - i * this.rowsPerStrip);
+            view.setUint32(at(offsetsOffset) + i * 4, 8 + i * stripBytes, true);
+            view.setUint32(at(countsOffset) + i * 4, rows * this.width * 3, true);
+        }
+
+        await this.sink.write(new Uint8Array(buffer));
+    }
+}
+
+// ===== Rendering =====
+
+function resolveOutputWidth(layout, options) {
+    const dpi = options.dpi || DEFAULT_DPI;
+    if (options.outputWidth) return Math.round(options.outputWidth);
+    if (options.widthInches) return Math.round(options.widthInches * dpi);
+    if (options.widthMm) return Math.round(options.widthMm / MM_PER_INCH * dpi);
+    return Math.round(layout.width * (options.scale || 1));
+}
+
+// Object URLs for tiles that reference IndexedDbFile ids, created once per export
+async function resolveUrl(item, urlCache) {
+    if (item.imageUrl) return item.imageUrl;
+    if (!urlCache.has(item.imageId)) {
+        const url = await db.getImageObjectUrl(item.imageId);
+        if (!url) throw new Error(`Image ${item.imageId} not found`);
+        urlCache.set(item.imageId, url);
+    }
+    return urlCache.get(item.imageId);
+}
+
+// Register a running export so cancelMosaicExport can stop it; returns its AbortSignal
+export function trackExport(exportId) {
+    const controller = new AbortController();
+    runningExports.set(exportId, controller);
+    return controller.signal;
+}
+
+export function untrackExport(exportId) {
+    runningExports.delete(exportId);
+}
+
+// Render a layout chunk by chunk, strip by strip, calling onChunk for each finished canvas.
+// plan: { outputWidth, outputHeight, stripHeight, chunkWidth, overlap, signal }. With overlap > 0
+// each chunk also renders that many extra pixels to its right and bottom (page formats use this
+// to hide hairline seams between adjacent images).
+// onChunk({ canvas, ctx, x, y, width, height, renderedWidth, renderedHeight, stripIndex, stripCount, lastInStrip })
+export async function renderMosaicChunks(layout, plan, onChunk) {
+    const { outputWidth, outputHeight, stripHeight, chunkWidth = MAX_CHUNK_WIDTH, overlap = 0, signal = null } = plan;
+    const scale = outputWidth / layout.width;
+
+    // Bucket items by the strips they touch so each strip only draws what it needs
+    const stripCount = Math.ceil(outputHeight / stripHeight);
+    const buckets = Array.from({ length: stripCount }, () => []);
+    const overlays = new Set(layout.overlays || []);
+    const items = [...(layout.tiles || []), ...overlays];
+    for (const item of items) {
+        const top = Math.max(0, Math.floor(item.y * scale / stripHeight));
+        const bottom = Math.min(stripCount - 1, Math.floor(((item.y + item.height) * scale - 1 + overlap) / stripHeight));
+        for (let s = top; s <= bottom; s++) buckets[s].push(item);
+    }
+
+    const urlCache = new Map();
+    const canvas = document.createElement("canvas");
+
+    try {
+        for (let s = 0; s < stripCount; s++) {
+            const stripY = s * stripHeight;
+            const rows = Math.min(stripHeight, outputHeight - stripY);
+            const renderedRows = Math.min(rows + overlap, outputHeight - stripY);
+
+            for (let chunkX = 0; chunkX < outputWidth; chunkX += chunkWidth) {
+                if (signal?.aborted) throw new DOMException("Export cancelled", "AbortError");
+
+                const width = Math.min(chunkWidth, outputWidth - chunkX);
+                const renderedWidth = Math.min(width + overlap, outputWidth - chunkX);
+                canvas.width = renderedWidth;
+                canvas.height = renderedRows;
+
+                const ctx = canvas.getContext("2d", { willReadFrequently: true });
+                ctx.fillStyle = layout.background || "#ffffff";
+                ctx.fillRect(0, 0, renderedWidth, renderedRows);
+
+                for (const item of buckets[s]) {
+                    const x = item.x * scale - chunkX;
+                    const w = item.width * scale;
+                    if (x + w <= 0 || x >= renderedWidth) continue;
+
+                    await imageProcessor.placeImageOnCanvas(
+                        canvas,
+                        await resolveUrl(item, urlCache),
+                        x,
+                        item.y * scale - stripY,
+                        w,
+                        item.height * scale,
+                        item.opacity ?? null,
+                        item.contrastPercent ?? null,
+                        resolveItemAdjustments(layout, item, overlays.has(item))
+                    );
+                }
+
+                await onChunk({
+                    canvas,
+                    ctx,
+                    x: chunkX,
+                    y: stripY,
+                    width,
+                    height: rows,
+                    renderedWidth,
+                    renderedHeight: renderedRows,
+                    stripIndex: s,
+                    stripCount,
+                    lastInStrip: chunkX + width >= outputWidth
+                });
+            }
+        }
+    } finally {
+        for (const url of urlCache.values()) releaseObjectUrl(url);
+        canvas.width = canvas.height = 0;
+    }
+}
+
+// Render a layout into a sink-backed PNG or TIFF.
+// layout: { width, height, background, tiles: [item], overlays: [item], adjustments,
+//   overlayAdjustments } in canvas units, where an item is { imageId | imageUrl, x, y, width,
+//   height, opacity, contrastPercent, tintColor, adjustments }. layout.adjustments (plus
+//   tintStrength, which tints each tile toward its tintColor) applies to every tile and
+//   layout.overlayAdjustments to every overlay, e.g. { blendMode: "soft-light" }; an item's own
+//   adjustments override them. See colorAdjust.js.
+// options: { format: "png" | "tiff", dpi, outputWidth | widthInches | widthMm | scale,
+//   stripHeight, fileName, usePicker, download, exportId }.
+// progress: DotNetObjectReference exposing OnExportProgress, or a JS callback.
+export async function exportMosaic(layout, options = {}, progress = null) {
+    options = options || {};
+    const format = (options.format || "png").toLowerCase();
+    if (format !== "png" && format !== "tiff") throw new Error(`Unsupported export format: ${format}`);
+
+    const dpi = options.dpi || DEFAULT_DPI;
+    const outputWidth = resolveOutputWidth(layout, options);
+    const outputHeight = Math.round(layout.height * (outputWidth / layout.width));
+    const stripHeight = Math.max(1, Math.min(options.stripHeight || DEFAULT_STRIP_HEIGHT, outputHeight));
+    const fileName = options.fileName || `mosaic-${outputWidth}x${outputHeight}.${format === "png" ? "png" : "tif"}`;
+    const mimeType = format === "png" ? "image/png" : "image/tiff";
+    const exportId = options.exportId || fileName;
+
+    const sink = await createFileSink(fileName, mimeType, { usePicker: options.usePicker, download: options.download });
+    const encoder = format === "png"
+        ? new PngStreamWriter(sink, outputWidth, outputHeight, dpi)
+        : new TiffStreamWriter(sink, outputWidth, outputHeight, dpi, stripHeight);
+    const signal = trackExport(exportId);
+    console.log(`Exporting mosaic ${outputWidth}x${outputHeight} at ${dpi} dpi as ${format.toUpperCase()}`);
+
+    try {
+        await encoder.start();
+
+        let rgb = null;
+        await renderMosaicChunks(layout, { outputWidth, outputHeight, stripHeight, signal }, async (chunk) => {
+            const { ctx, x: chunkX, y: stripY, width, height: rows } = chunk;
+            if (chunkX === 0) rgb = new Uint8Array(outputWidth * rows * 3);
+
+            const rgba = ctx.getImageData(0, 0, width, rows).data;
+            for (let y = 0; y < rows; y++) {
+                let src = y * width * 4;
+                let dst = (y * outputWidth + chunkX) * 3;
+                for (let x = 0; x < width; x++, src += 4) {
+                    rgb[dst++] = rgba[src];
+                    rgb[dst++] = rgba[src + 1];
+                    rgb[dst++] = rgba[src + 2];
+                }
+            }
+
+            if (!chunk.lastInStrip) return;
+            await encoder.writeRows(rgb, rows);
+            notify(progress, "OnExportProgress", {
+                exportId,
+                rowsDone: stripY + rows,
+                totalRows: outputHeight,
+                percent: Math.round((stripY + rows) / outputHeight * 100)
+            });
+        });
+
+        await encoder.finish();
+        const saved = await sink.close();
+        console.log(`Mosaic export finished: ${saved.fileName} (${saved.size} bytes)`);
+        return { fileName: saved.fileName, size: saved.size, width: outputWidth, height: outputHeight, dpi, format };
+    } catch (error) {
+        await sink.abort().catch(() => { });
+        console.error("Mosaic export failed:", error);
+        throw error;
+    } finally {
+        untrackExport(exportId);
+    }
+}
+
+// Stop a running export between chunks
+export function cancelMosaicExport(exportId) {
+    const controller = runningExports.get(exportId);
+    if (!controller) return false;
+    controller.abort();
+    return true;
+}
@@ -0,0 +1,216 @@
+// objectUrlRegistry.js
+// Reference-counted registry for blob: object URLs. Every URL the app creates goes through
+// createObjectUrl, so it is revoked when its last holder lets go instead of relying on .NET to
+// call cleanup. Holders are:
+//   scopes   - a component or page creates a scope, passes it when asking for URLs and
+//              disposes it when it goes away; every URL taken in the scope is released.
+//   elements - an <img> bound to a URL keeps it alive while it is in the DOM (lazyLoad binds
+//              its blob: images automatically).
+// A URL created without a scope is "floating": the first element bound to it takes it over;
+// otherwise the caller must release it with releaseObjectUrl.
+
+const entries = new Map(); // url -> { url, size, type, label, createdAt, floating, scopes, elements }
+const scopes = new Map(); // scope id -> { id, name, createdAt, urls: Map(url -> count) }
+const boundElements = new Map(); // element -> Set of urls
+
+let scopeCounter = 0;
+let domObserver = null;
+let sweepTimer = null;
+
+// Blazor may remove and re-insert an element while re-rendering; wait before treating it as gone
+const SWEEP_DELAY_MS = 250;
+
+function holderCount(entry) {
+    let count = entry.floating ? 1 : 0;
+    for (const n of entry.scopes.values()) count += n;
+    return count + entry.elements.size;
+}
+
+function revokeIfUnused(entry) {
+    if (holderCount(entry) > 0) return false;
+    URL.revokeObjectURL(entry.url);
+    entries.delete(entry.url);
+    return true;
+}
+
+function addToScope(entry, scopeId) {
+    const scope = scopes.get(scopeId);
+    if (!scope) throw new Error(`URL scope ${scopeId} does not exist or was disposed`);
+    scope.urls.set(entry.url, (scope.urls.get(entry.url) || 0) + 1);
+    entry.scopes.set(scopeId, (entry.scopes.get(scopeId) || 0) + 1);
+}
+
+// Create an object URL for a blob. scope: id from createUrlScope, or null for a floating URL.
+// label: optional description shown in getLiveObjectUrls (e.g. the IndexedDbFile id).
+export function createObjectUrl(blob, scope = null, label = null) {
+    const url = URL.createObjectURL(blob);
+    const entry = {
+        url,
+        size: blob.size ?? 0,
+        type: blob.type || null,
+        label,
+        createdAt: Date.now(),
+        floating: scope == null,
+        scopes: new Map(),
+        elements: new Set()
+    };
+    entries.set(url, entry);
+    if (scope != null) addToScope(entry, scope);
+    return url;
+}
+
+// Take another reference to a registered URL, in a scope or as a floating reference.
+// Returns false for URLs the registry does not know (already revoked or not created here).
+export function retainObjectUrl(url, scope = null) {
+    const entry = entries.get(url);
+    if (!entry) return false;
+    if (scope != null) {
+        addToScope(entry, scope);
+    } else {
+        entry.floating = true;
+    }
+    return true;
+}
+
+// Drop a reference. With a scope, one reference held by that scope; without, the floating
+// reference. Unregistered blob: URLs are revoked directly so old cleanup calls keep working.
+// Returns true when the URL was revoked.
+export function releaseObjectUrl(url, scope = null) {
+    if (!url) return false;
+    const entry = entries.get(url);
+    if (!entry) {
+        if (typeof url === "string" && url.startsWith("blob:")) URL.revokeObjectURL(url);
+        return false;
+    }
+
+    if (scope != null) {
+        const scoped = scopes.get(scope);
+        const count = entry.scopes.get(scope) || 0;
+        if (count <= 1) {
+            entry.scopes.delete(scope);
+            scoped?.urls.delete(url);
+        } else {
+            entry.scopes.set(scope, count - 1);
+            scoped?.urls.set(url, count - 1);
+        }
+    } else {
+        entry.floating = false;
+    }
+    return revokeIfUnused(entry);
+}
+
+// New scope for a component or page. name is only used by the debug view.
+export function createUrlScope(name = null) {
+    const id = `url-scope-${++scopeCounter}`;
+    scopes.set(id, { id, name: name || id, createdAt: Date.now(), urls: new Map() });
+    return id;
+}
+
+// Release every URL taken in a scope. Returns the number of URLs revoked; URLs still held
+// elsewhere (another scope, an element on screen) stay valid.
+export function disposeUrlScope(scopeId) {
+    const scope = scopes.get(scopeId);
+    if (!scope) return 0;
+    scopes.delete(scopeId);
+
+    let revoked = 0;
+    for (const url of scope.urls.keys()) {
+        const entry = entries.get(url);
+        if (!entry) continue;
+        entry.scopes.delete(scopeId);
+        if (revokeIfUnused(entry)) revoked++;
+    }
+    return revoked;
+}
+
+function sweepDetachedElements() {
+    sweepTimer = null;
+    for (const [element, urls] of boundElements) {
+        if (element.isConnected) continue;
+        boundElements.delete(element);
+        for (const url of urls) {
+            const entry = entries.get(url);
+            if (!entry) continue;
+            entry.elements.delete(element);
+            revokeIfUnused(entry);
+        }
+    }
+    if (boundElements.size === 0 && domObserver) {
+        domObserver.disconnect();
+        domObserver = null;
+    }
+}
+
+function scheduleSweep() {
+    if (sweepTimer == null) sweepTimer = setTimeout(sweepDetachedElements, SWEEP_DELAY_MS);
+}
+
+function ensureDomObserver() {
+    if (domObserver || typeof MutationObserver === "undefined" || typeof document === "undefined") return;
+    domObserver = new MutationObserver((mutations) => {
+        if (mutations.some(mutation => mutation.removedNodes.length > 0)) scheduleSweep();
+    });
+    domObserver.observe(document.documentElement, { childList: true, subtree: true });
+}
+
+// Keep url alive while element is in the document; released once it has been removed.
+// A floating URL is handed over to the element. Returns false for unregistered URLs.
+export function bindObjectUrlToElement(element, url) {
+    const entry = entries.get(url);
+    if (!entry || !element) return false;
+    entry.elements.add(element);
+    entry.floating = false;
+    if (!boundElements.has(element)) boundElements.set(element, new Set());
+    boundElements.get(element).add(url);
+    ensureDomObserver();
+    // Bound before being attached: check again once the renderer has had a chance to insert it
+    if (!element.isConnected) scheduleSweep();
+    return true;
+}
+
+// Debug view of the live URLs: { count, totalBytes, urls: [{ url, label, type, size, ageMs,
+// floating, scopes, elements }], scopes: [{ id, name, urlCount, bytes }] }, largest first
+export function getLiveObjectUrls() {
+    const now = Date.now();
+    const urls = [...entries.values()].map(entry => ({
+        url: entry.url,
+        label: entry.label,
+        type: entry.type,
+        size: entry.size,
+        ageMs: now - entry.createdAt,
+        floating: entry.floating,
+        scopes: [...entry.scopes.keys()].map(id => scopes.get(id)?.name ?? id),
+        elements: entry.elements.size
+    })).sort((a, b) => b.size - a.size);
+
+    const scopeList = [...scopes.values()].map(scope => ({
+        id: scope.id,
+        name: scope.name,
+        urlCount: scope.urls.size,
+        bytes: [...scope.urls.keys()].reduce((sum, url) => sum + (entries.get(url)?.size ?? 0), 0)
+    }));
+
+    return {
+        count: urls.length,
+        totalBytes: urls.reduce((sum, item) => sum + item.size, 0),
+        urls,
+        scopes: scopeList
+    };
+}
+
+// Print the live URLs to the console, for use from devtools
+export function logLiveObjectUrls() {
+    const live = getLiveObjectUrls();
+    console.log(`${live.count} live object URLs, ${(live.totalBytes / 1048576).toFixed(1)} MB`);
+    console.table(live.urls.map(({ url, ...rest }) => ({ ...rest, scopes: rest.scopes.join(", ") })));
+    return live;
+}
+
+// lazyLoad.js is a classic script and cannot import this module
+if (typeof window !== "undefined") {
+    window.objectUrlRegistry = {
+        bindElement: bindObjectUrlToElement,
+        release: releaseObjectUrl,
+        live: logLiveObjectUrls
+    };
+}
@@ -0,0 +1,196 @@
+// perceptualHash.js
+// 64-bit perceptual hashes for spotting duplicate and near-duplicate photos, and clustering
+// of hashes by Hamming distance. Hashes are 16-character hex strings.
+//   pHash: signs of the low-frequency DCT coefficients of a 32x32 greyscale image versus their
+//          median. Robust to scaling, recompression and small exposure changes.
+//   dHash: whether each pixel of a 9x8 greyscale image is brighter than its right neighbour.
+//          Cheaper and a little stricter; useful as a second opinion.
+
+export const PHASH_SIZE = 32;
+export const DHASH_WIDTH = 9;
+export const DHASH_HEIGHT = 8;
+const LOW_FREQUENCIES = 8;
+
+let cosTable = null;
+
+// cos((2x + 1) u pi / 2N) for the 32-point DCT, built on first use
+function getCosTable() {
+    if (cosTable) return cosTable;
+    cosTable = new Float64Array(LOW_FREQUENCIES * PHASH_SIZE);
+    for (let u = 0; u < LOW_FREQUENCIES; u++) {
+        for (let x = 0; x < PHASH_SIZE; x++) {
+            cosTable[u * PHASH_SIZE + x] = Math.cos((2 * x + 1) * u * Math.PI / (2 * PHASH_SIZE));
+        }
+    }
+    return cosTable;
+}
+
+function bitsToHex(bits) {
+    let hex = "";
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+}
+
+// Luma of RGBA pixel data (Rec. 601 weights, as the classic implementations use)
+export function toGrayscale(rgba) {
+    const gray = new Float64Array(rgba.length / 4);
+    for (let i = 0, j = 0; i < rgba.length; i += 4, j++) {
+        gray[j] = 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+    }
+    return gray;
+}
+
+// pHash of a 32x32 greyscale image (row-major, 1024 values)
+export function computePHash(gray) {
+    if (gray.length !== PHASH_SIZE * PHASH_SIZE) throw new Error(`pHash needs ${PHASH_SIZE}x${PHASH_SIZE} pixels`);
+    const table = getCosTable();
+
+    // Separable DCT-II, keeping only the 8x8 lowest frequencies
+    const rows = new Float64Array(PHASH_SIZE * LOW_FREQUENCIES);
+    for (let y = 0; y < PHASH_SIZE; y++) {
+        for (let u = 0; u < LOW_FREQUENCIES; u++) {
+            let sum = 0;
+            for (let x = 0; x < PHASH_SIZE; x++) sum += gray[y * PHASH_SIZE + x] * table[u * PHASH_SIZE + x];
+            rows[y * LOW_FREQUENCIES + u] = sum;
+        }
+    }
+
+    const coefficients = new Float64Array(LOW_FREQUENCIES * LOW_FREQUENCIES);
+    for (let v = 0; v < LOW_FREQUENCIES; v++) {
+        for (let u = 0; u < LOW_FREQUENCIES; u++) {
+            let sum = 0;
+            for (let y = 0; y < PHASH_SIZE; y++) sum += rows[y * LOW_FREQUENCIES + u] * table[v * PHASH_SIZE + y];
+            coefficients[v * LOW_FREQUENCIES + u] = sum;
+        }
+    }
+
+    // The DC term only says how bright the image is; leave it out of the median
+    const sorted = Array.from(coefficients.subarray(1)).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+    return bitsToHex(Array.from(coefficients, c => c > median ? 1 : 0));
+}
+
+// dHash of a 9x8 greyscale image (row-major, 72 values)
+export function computeDHash(gray) {
+    if (gray.length !== DHASH_WIDTH * DHASH_HEIGHT) throw new Error(`dHash needs ${DHASH_WIDTH}x${DHASH_HEIGHT} pixels`);
+    const bits = [];
+    for (let y = 0; y < DHASH_HEIGHT; y++) {
+        for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+            bits.push(gray[y * DHASH_WIDTH + x] > gray[y * DHASH_WIDTH + x + 1] ? 1 : 0);
+        }
+    }
+    return bitsToHex(bits);
+}
+
+function popcount32(n) {
+    n -= (n >>> 1) & 0x55555555;
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+    return (((n + (n >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+// Hex hash as 32-bit words, so repeated comparisons do not re-parse strings
+function toWords(hash) {
+    const words = new Uint32Array(Math.ceil(hash.length / 8));
+    for (let i = 0; i < words.length; i++) words[i] = parseInt(hash.substring(i * 8, i * 8 + 8), 16);
+    return words;
+}
+
+function wordDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) distance += popcount32(a[i] ^ b[i]);
+    return distance;
+}
+
+// Number of differing bits between two hex hashes of the same length
+export function hammingDistance(a, b) {
+    if (a.length !== b.length) throw new Error("Hashes must have the same length");
+    return wordDistance(toWords(a), toWords(b));
+}
+
+// BK-tree over Hamming distance: finds every hash within a radius without comparing all pairs
+class BKTree {
+    constructor() {
+        this.root = null;
+    }
+
+    // hash: words from toWords
+    add(hash, id) {
+        const node = { hash, ids: [id], children: new Map() };
+        if (!this.root) {
+            this.root = node;
+            return;
+        }
+        let current = this.root;
+        for (;;) {
+            const distance = wordDistance(hash, current.hash);
+            if (distance === 0) {
+                current.ids.push(id);
+                return;
+            }
+            const child = current.children.get(distance);
+            if (!child) {
+                current.children.set(distance, node);
+                return;
+            }
+            current = child;
+        }
+    }
+
+    // Ids whose hash is within radius, with their distance
+    search(hash, radius) {
+        const found = [];
+        const stack = this.root ? [this.root] : [];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const distance = wordDistance(hash, node.hash);
+            if (distance <= radius) {
+                for (const id of node.ids) found.push({ id, distance });
+            }
+            for (const [edge, child] of node.children) {
+                if (edge >= distance - radius && edge <= distance + radius) stack.push(child);
+            }
+        }
+        return found;
+    }
+}
+
+// Cluster items ([{ id, hash }]) whose hashes are within threshold bits of each other.
+// Grouping is transitive (single linkage), so a burst where each shot is close to the next
+// forms one group. Returns groups of two or more ids, largest first.
+export function groupByHash(items, threshold = 8) {
+    const tree = new BKTree();
+    const parent = new Map();
+    const find = (id) => {
+        let root = id;
+        while (parent.get(root) !== root) root = parent.get(root);
+        // Path compression
+        while (parent.get(id) !== root) {
+            const next = parent.get(id);
+            parent.set(id, root);
+            id = next;
+        }
+        return root;
+    };
+
+    for (const item of items) {
+        if (!item.hash) continue;
+        const words = toWords(item.hash);
+        parent.set(item.id, item.id);
+        for (const match of tree.search(words, threshold)) {
+            const a = find(item.id);
+            const b = find(match.id);
+            if (a !== b) parent.set(a, b);
+        }
+        tree.add(words, item.id);
+    }
+
+    const groups = new Map();
+    for (const id of parent.keys()) {
+        const root = find(id);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(id);
+    }
+    return [...groups.values()].filter(group => group.length > 1).sort((a, b) => b.length - a.length);
+}
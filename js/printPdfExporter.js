@@ -0,0 +1,357 @@
+// printPdfExporter.js
+// Print-ready PDF export. The mosaic is rendered at print resolution with renderMosaicChunks,
+// each chunk embedded as a JPEG in sRGB (ICC-based colour space plus an sRGB output intent),
+// and laid out at the physical size of the chosen product with bleed, crop marks and an
+// optional caption. Objects are streamed to the sink as they are produced.
+
+import { renderMosaicChunks, trackExport, untrackExport } from "./mosaicExporter.js";
+import { buildSrgbIccProfile } from "./iccProfile.js";
+import { createFileSink } from "./fileSink.js";
+import { notify } from "./dotNetCallback.js";
+import { CAPTION_FONTS, DEFAULT_FONT, loadFont } from "./fontLoader.js";
+
+const PT_PER_INCH = 72;
+const MM_PER_INCH = 25.4;
+const DEFAULT_DPI = 300;
+const DEFAULT_JPEG_QUALITY = 0.92;
+const CHUNK_SIZE = 2048;
+const MARK_OFFSET_MM = 2;
+const MARK_LENGTH_MM = 5;
+const MARK_WIDTH_PT = 0.25;
+
+// Print products offered in the order step; sizes are portrait trim sizes in millimetres
+const PRINT_PRODUCTS = {
+    "A4": { name: "A4 Poster", widthMm: 210, heightMm: 297, bleedMm: 3 },
+    "A3": { name: "A3 Poster", widthMm: 297, heightMm: 420, bleedMm: 3 },
+    "A2": { name: "A2 Poster", widthMm: 420, heightMm: 594, bleedMm: 3 },
+    "A1": { name: "A1 Poster", widthMm: 594, heightMm: 841, bleedMm: 3 },
+    "A0": { name: "A0 Matte Poster", widthMm: 841, heightMm: 1189, bleedMm: 3 },
+    "Framed8x10": { name: "Framed Print 8x10", widthMm: 203.2, heightMm: 254, bleedMm: 3 },
+    "Framed11x14": { name: "Framed Print 11x14", widthMm: 279.4, heightMm: 355.6, bleedMm: 3 },
+    "Framed16x20": { name: "Framed Print 16x20", widthMm: 406.4, heightMm: 508, bleedMm: 3 },
+    "Canvas12x16": { name: "Canvas 12x16", widthMm: 304.8, heightMm: 406.4, bleedMm: 38 },
+    "Canvas16x20": { name: "Canvas 16x20", widthMm: 406.4, heightMm: 508, bleedMm: 38 },
+    "Canvas24x36": { name: "Canvas 24x36", widthMm: 609.6, heightMm: 914.4, bleedMm: 38 }
+};
+
+function mmToPt(mm) {
+    return mm / MM_PER_INCH * PT_PER_INCH;
+}
+
+function num(value) {
+    return Number(value.toFixed(3)).toString();
+}
+
+// PDF text string: plain ASCII literal, or UTF-16BE hex for anything else
+function pdfString(text) {
+    if (/^[\x20-\x7E]*$/.test(text)) {
+        return `(${text.replace(/[\\()]/g, "\\$&")})`;
+    }
+    let hex = "FEFF";
+    for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, "0");
+    return `<${hex}>`;
+}
+
+function pdfDate(date) {
+    const p = (n) => String(n).padStart(2, "0");
+    return `D:${date.getUTCFullYear()}${p(date.getUTCMonth() + 1)}${p(date.getUTCDate())}${p(date.getUTCHours())}${p(date.getUTCMinutes())}${p(date.getUTCSeconds())}Z`;
+}
+
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function canvasToJpeg(canvas, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Failed to encode JPEG")), "image/jpeg", quality);
+    });
+}
+
+// Writes numbered objects to a sink and keeps the byte offsets for the xref table
+class PdfWriter {
+    constructor(sink) {
+        this.sink = sink;
+        this.offset = 0;
+        this.offsets = [];
+        this.encoder = new TextEncoder();
+    }
+
+    async raw(data) {
+        const bytes = typeof data === "string" ? this.encoder.encode(data) : data;
+        await this.sink.write(bytes);
+        this.offset += bytes.size ?? bytes.byteLength;
+    }
+
+    async object(number, dictionary, stream = null) {
+        this.offsets[number] = this.offset;
+        if (stream === null) {
+            await this.raw(`${number} 0 obj\n${dictionary}\nendobj\n`);
+            return;
+        }
+        const length = stream.size ?? stream.byteLength;
+        await this.raw(`${number} 0 obj\n${dictionary.replace(/>>$/, `/Length ${length}>>`)}\nstream\n`);
+        await this.raw(stream);
+        await this.raw("\nendstream\nendobj\n");
+    }
+
+    async finish(rootNumber, infoNumber) {
+        const count = this.offsets.length;
+        const xrefOffset = this.offset;
+        let xref = `xref\n0 ${count}\n0000000000 65535 f \n`;
+        for (let i = 1; i < count; i++) {
+            xref += `${String(this.offsets[i] ?? 0).padStart(10, "0")} 00000 n \n`;
+        }
+        xref += `trailer\n<</Size ${count}/Root ${rootNumber} 0 R/Info ${infoNumber} 0 R>>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+        await this.raw(xref);
+    }
+}
+
+// Work out page boxes (in points) for the product and mosaic orientation
+function pageGeometry(layout, options) {
+    const product = options.product ? PRINT_PRODUCTS[options.product] : null;
+    if (options.product && !product) throw new Error(`Unknown print product: ${options.product}`);
+
+    let widthMm = options.widthMm ?? product?.widthMm;
+    let heightMm = options.heightMm ?? product?.heightMm;
+    if (!widthMm || !heightMm) throw new Error("A print product or widthMm/heightMm is required");
+
+    // Turn the sheet to match the mosaic
+    if ((layout.width > layout.height) !== (widthMm > heightMm)) {
+        [widthMm, heightMm] = [heightMm, widthMm];
+    }
+
+    const bleed = mmToPt(options.bleedMm ?? product?.bleedMm ?? 3);
+    const cropMarks = options.cropMarks !== false;
+    const margin = bleed + (cropMarks ? mmToPt(MARK_OFFSET_MM + MARK_LENGTH_MM + 1) : 0);
+    const trim = { x: margin, y: margin, width: mmToPt(widthMm), height: mmToPt(heightMm) };
+
+    return {
+        product,
+        cropMarks,
+        bleed,
+        trim,
+        bleedBox: { x: trim.x - bleed, y: trim.y - bleed, width: trim.width + 2 * bleed, height: trim.height + 2 * bleed },
+        media: { width: trim.width + 2 * margin, height: trim.height + 2 * margin }
+    };
+}
+
+function cropMarkOperators(geometry) {
+    const { trim, bleed } = geometry;
+    const start = bleed + mmToPt(MARK_OFFSET_MM);
+    const end = start + mmToPt(MARK_LENGTH_MM);
+    const ops = [`q ${MARK_WIDTH_PT} w 0 0 0 RG`];
+
+    for (const [x, dx] of [[trim.x, -1], [trim.x + trim.width, 1]]) {
+        for (const [y, dy] of [[trim.y, -1], [trim.y + trim.height, 1]]) {
+            ops.push(`${num(x + dx * start)} ${num(y)} m ${num(x + dx * end)} ${num(y)} l S`);
+            ops.push(`${num(x)} ${num(y + dy * start)} m ${num(x)} ${num(y + dy * end)} l S`);
+        }
+    }
+    ops.push("Q");
+    return ops.join("\n");
+}
+
+// Load the caption's face. A caption in the wrong face would be printed, so this throws when it
+// cannot be loaded unless caption.allowFallback is set. Resolves with the family to draw with.
+async function loadCaptionFont(caption) {
+    const font = CAPTION_FONTS.includes(caption.font) ? caption.font : DEFAULT_FONT;
+    const fontLoaded = await loadFont(font, caption.bold ? 700 : 400);
+    if (!fontLoaded && !caption.allowFallback) {
+        throw new Error(`Caption font ${font} could not be loaded; the PDF was not created`);
+    }
+    return font;
+}
+
+// Render the caption as an RGB image with a soft mask so any font the page can load works
+async function renderCaption(caption, font, dpi) {
+    const sizePx = Math.round((caption.sizePt ?? 36) / PT_PER_INCH * dpi);
+    const fontSpec = `${caption.bold ? "bold " : ""}${sizePx}px "${font}"`;
+
+    const canvas = document.createElement("canvas");
+    let ctx = canvas.getContext("2d");
+    ctx.font = fontSpec;
+    const padding = Math.round(sizePx * 0.25);
+    canvas.width = Math.max(1, Math.ceil(ctx.measureText(caption.text).width) + padding * 2);
+    canvas.height = Math.round(sizePx * 1.4) + padding * 2;
+
+    // Resizing resets the context state
+    ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.font = fontSpec;
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = caption.color || "#ffffff";
+    ctx.fillText(caption.text, padding, canvas.height / 2);
+
+    const rgba = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    const rgb = new Uint8Array(canvas.width * canvas.height * 3);
+    const alpha = new Uint8Array(canvas.width * canvas.height);
+    for (let i = 0, j = 0, k = 0; i < rgba.length; i += 4, k++) {
+        // Un-premultiplied by getImageData; keep colour where alpha is partial
+        rgb[j++] = rgba[i];
+        rgb[j++] = rgba[i + 1];
+        rgb[j++] = rgba[i + 2];
+        alpha[k] = rgba[i + 3];
+    }
+
+    const result = {
+        width: canvas.width,
+        height: canvas.height,
+        rgb: await deflate(rgb),
+        alpha: await deflate(alpha)
+    };
+    canvas.width = canvas.height = 0;
+    return result;
+}
+
+// Available products for the order step
+export function getPrintProducts() {
+    return Object.entries(PRINT_PRODUCTS).map(([id, p]) => ({ id, ...p }));
+}
+
+// Build the print PDF.
+// layout: same shape as exportMosaic (width, height, background, tiles, overlays).
+// options: { product | widthMm + heightMm, bleedMm, cropMarks (default true), fit: "cover" | "contain",
+//   dpi, jpegQuality, caption: { text, font, sizePt, color, bold, position: "bottom" | "top", marginMm,
+//   allowFallback (print with a fallback font when the caption font cannot be loaded) },
+//   title, fileName, usePicker, download, exportId }.
+// progress: DotNetObjectReference exposing OnExportProgress, or a JS callback.
+export async function exportPrintPdf(layout, options = {}, progress = null) {
+    options = options || {};
+    const geometry = pageGeometry(layout, options);
+    const dpi = options.dpi || DEFAULT_DPI;
+    const quality = options.jpegQuality ?? DEFAULT_JPEG_QUALITY;
+
+    // Place the mosaic: cover fills the bleed, contain fits inside the trim
+    const target = options.fit === "contain" ? geometry.trim : geometry.bleedBox;
+    const fitScale = options.fit === "contain"
+        ? Math.min(target.width / layout.width, target.height / layout.height)
+        : Math.max(target.width / layout.width, target.height / layout.height);
+    const image = {
+        width: layout.width * fitScale,
+        height: layout.height * fitScale
+    };
+    image.x = target.x + (target.width - image.width) / 2;
+    image.y = target.y + (target.height - image.height) / 2;
+
+    const outputWidth = Math.round(image.width / PT_PER_INCH * dpi);
+    const outputHeight = Math.round(image.height / PT_PER_INCH * dpi);
+    const ptPerPx = image.width / outputWidth;
+    const columns = Math.ceil(outputWidth / CHUNK_SIZE);
+    const totalChunks = columns * Math.ceil(outputHeight / CHUNK_SIZE);
+
+    // Object numbers: fixed objects first, then one per chunk, then the caption and its mask
+    const CATALOG = 1, PAGES = 2, PAGE = 3, CONTENTS = 4, ICC = 5, INTENT = 6, INFO = 7;
+    const FIRST_CHUNK = 8;
+    const CAPTION = FIRST_CHUNK + totalChunks;
+    const CAPTION_MASK = CAPTION + 1;
+
+    // Before a file is opened or any chunk is rendered
+    const caption = options.caption?.text ? options.caption : null;
+    const captionFont = caption ? await loadCaptionFont(caption) : null;
+
+    const fileName = options.fileName || `mosaic-${geometry.product ? geometry.product.name.replace(/\s+/g, "-") : "print"}.pdf`;
+    const exportId = options.exportId || fileName;
+    const sink = await createFileSink(fileName, "application/pdf", { usePicker: options.usePicker, download: options.download });
+    const writer = new PdfWriter(sink);
+    const signal = trackExport(exportId);
+    const placements = [];
+
+    console.log(`Exporting print PDF ${num(geometry.trim.width)}x${num(geometry.trim.height)}pt, mosaic ${outputWidth}x${outputHeight}px at ${dpi} dpi`);
+
+    try {
+        await writer.raw("%PDF-1.6\n%\xE2\xE3\xCF\xD3\n");
+
+        const icc = await deflate(buildSrgbIccProfile());
+        await writer.object(ICC, "<</N 3/Alternate/DeviceRGB/Filter/FlateDecode>>", icc);
+
+        let chunkIndex = 0;
+        await renderMosaicChunks(layout, {
+            outputWidth,
+            outputHeight,
+            stripHeight: CHUNK_SIZE,
+            chunkWidth: CHUNK_SIZE,
+            overlap: 1,
+            signal
+        }, async (chunk) => {
+            const number = FIRST_CHUNK + chunkIndex++;
+            const jpeg = await canvasToJpeg(chunk.canvas, quality);
+            await writer.object(number,
+                `<</Type/XObject/Subtype/Image/Width ${chunk.renderedWidth}/Height ${chunk.renderedHeight}` +
+                `/ColorSpace[/ICCBased ${ICC} 0 R]/BitsPerComponent 8/Filter/DCTDecode>>`, jpeg);
+
+            // PDF space is bottom-up; chunks are laid out from the top-left of the mosaic
+            placements.push({
+                name: `Im${number}`,
+                number,
+                x: image.x + chunk.x * ptPerPx,
+                y: image.y + image.height - (chunk.y + chunk.renderedHeight) * ptPerPx,
+                width: chunk.renderedWidth * ptPerPx,
+                height: chunk.renderedHeight * ptPerPx
+            });
+
+            notify(progress, "OnExportProgress", {
+                exportId,
+                chunksDone: chunkIndex,
+                totalChunks,
+                percent: Math.round(chunkIndex / totalChunks * 100)
+            });
+        });
+
+        const content = ["q",
+            `${num(geometry.bleedBox.x)} ${num(geometry.bleedBox.y)} ${num(geometry.bleedBox.width)} ${num(geometry.bleedBox.height)} re W n`];
+        for (const p of placements) {
+            content.push(`q ${num(p.width)} 0 0 ${num(p.height)} ${num(p.x)} ${num(p.y)} cm /${p.name} Do Q`);
+        }
+        content.push("Q");
+
+        if (caption) {
+            const rendered = await renderCaption(caption, captionFont, dpi);
+            await writer.object(CAPTION_MASK,
+                `<</Type/XObject/Subtype/Image/Width ${rendered.width}/Height ${rendered.height}` +
+                "/ColorSpace/DeviceGray/BitsPerComponent 8/Filter/FlateDecode>>", rendered.alpha);
+            await writer.object(CAPTION,
+                `<</Type/XObject/Subtype/Image/Width ${rendered.width}/Height ${rendered.height}` +
+                `/ColorSpace[/ICCBased ${ICC} 0 R]/BitsPerComponent 8/Filter/FlateDecode/SMask ${CAPTION_MASK} 0 R>>`, rendered.rgb);
+
+            const width = rendered.width / dpi * PT_PER_INCH;
+            const height = rendered.height / dpi * PT_PER_INCH;
+            const margin = mmToPt(caption.marginMm ?? 15);
+            const { trim } = geometry;
+            const x = trim.x + (trim.width - width) / 2;
+            const y = caption.position === "top" ? trim.y + trim.height - margin - height : trim.y + margin;
+            content.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(y)} cm /Caption Do Q`);
+            placements.push({ name: "Caption", number: CAPTION });
+        }
+
+        if (geometry.cropMarks) content.push(cropMarkOperators(geometry));
+
+        await writer.object(CONTENTS, "<<>>", new TextEncoder().encode(content.join("\n")));
+
+        const xObjects = placements.map(p => `/${p.name} ${p.number} 0 R`).join("");
+        const box = (b) => `[${num(b.x)} ${num(b.y)} ${num(b.x + b.width)} ${num(b.y + b.height)}]`;
+        await writer.object(PAGE,
+            `<</Type/Page/Parent ${PAGES} 0 R/MediaBox[0 0 ${num(geometry.media.width)} ${num(geometry.media.height)}]` +
+            `/BleedBox${box(geometry.bleedBox)}/TrimBox${box(geometry.trim)}` +
+            `/Resources<</XObject<<${xObjects}>>>>/Contents ${CONTENTS} 0 R>>`);
+        await writer.object(PAGES, `<</Type/Pages/Kids[${PAGE} 0 R]/Count 1>>`);
+        await writer.object(INTENT,
+            "<</Type/OutputIntent/S/GTS_PDFX/OutputConditionIdentifier(sRGB IEC61966-2.1)" +
+            `/RegistryName(http://www.color.org)/Info(sRGB IEC61966-2.1)/DestOutputProfile ${ICC} 0 R>>`);
+
+        const title = options.title || caption?.text || "Fotorolr mosaic";
+        await writer.object(INFO,
+            `<</Title ${pdfString(title)}/Producer(Fotorolr)/CreationDate(${pdfDate(new Date())})/Trapped/False>>`);
+        await writer.object(CATALOG, `<</Type/Catalog/Pages ${PAGES} 0 R/OutputIntents[${INTENT} 0 R]>>`);
+        await writer.finish(CATALOG, INFO);
+
+        const saved = await sink.close();
+        console.log(`Print PDF finished: ${saved.fileName} (${saved.size} bytes)`);
+        return { fileName: saved.fileName, size: saved.size, width: outputWidth, height: outputHeight, dpi };
+    } catch (error) {
+        await sink.abort().catch(() => { });
+        console.error("Print PDF export failed:", error);
+        throw error;
+    } finally {
+        untrackExport(exportId);
+    }
+}
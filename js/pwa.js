@@ -0,0 +1,148 @@
+// pwa.js
+// Registers the service worker and handles updates. A new build is downloaded in the background
+// and announced with an "update available" prompt; it only goes live when the user reloads
+// through the prompt (or .NET calls applyUpdate), never in the middle of a session.
+
+import { notify } from "./dotNetCallback.js";
+
+// How often a long-running tab asks the service worker to look for a new build
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let registration = null;
+let pendingUpdate = null; // { kind: "build" | "worker", version }
+let updateListener = null;
+let promptElement = null;
+let showPrompt = true;
+
+function postToWorker(message) {
+    const worker = navigator.serviceWorker.controller ?? registration?.active;
+    worker?.postMessage(message);
+}
+
+function createPrompt() {
+    const element = document.createElement("div");
+    element.setAttribute("role", "alert");
+    Object.assign(element.style, {
+        position: "fixed",
+        left: "50%",
+        bottom: "16px",
+        transform: "translateX(-50%)",
+        zIndex: "10000",
+        display: "flex",
+        alignItems: "center",
+        gap: "12px",
+        padding: "10px 16px",
+        borderRadius: "4px",
+        background: "#323232",
+        color: "#ffffff",
+        font: "14px Roboto, Arial, sans-serif",
+        boxShadow: "0 3px 5px rgba(0, 0, 0, 0.3)"
+    });
+
+    const text = document.createElement("span");
+    text.textContent = "A new version of Fotorolr is available.";
+    const reload = document.createElement("button");
+    reload.textContent = "Reload";
+    const later = document.createElement("button");
+    later.textContent = "Later";
+    for (const button of [reload, later]) {
+        Object.assign(button.style, {
+            background: "none",
+            border: "none",
+            color: "#90caf9",
+            font: "inherit",
+            fontWeight: "500",
+            textTransform: "uppercase",
+            cursor: "pointer"
+        });
+    }
+    reload.addEventListener("click", () => applyUpdate());
+    later.addEventListener("click", () => {
+        element.remove();
+        promptElement = null;
+    });
+
+    element.append(text, reload, later);
+    document.body.appendChild(element);
+    return element;
+}
+
+function announceUpdate(update) {
+    pendingUpdate = update;
+    console.log(`Update available (${update.kind}${update.version ? ` ${update.version}` : ""})`);
+    notify(updateListener, "OnUpdateAvailable", update);
+    if (showPrompt && !promptElement) promptElement = createPrompt();
+}
+
+// Switch to the downloaded build and reload the page
+export function applyUpdate() {
+    if (!pendingUpdate) return false;
+    if (pendingUpdate.kind === "worker") {
+        registration?.waiting?.postMessage({ type: "skip-waiting" });
+    } else {
+        postToWorker({ type: "apply-update", version: pendingUpdate.version });
+    }
+    return true;
+}
+
+export function checkForUpdate() {
+    registration?.update().catch(() => null);
+    postToWorker({ type: "check-update" });
+}
+
+// listener: DotNetObjectReference exposing OnUpdateAvailable({ kind, version }), or a JS
+// callback. With options.showPrompt false the app shows its own prompt and calls applyUpdate.
+export function setUpdateListener(listener, options = {}) {
+    updateListener = listener;
+    showPrompt = options?.showPrompt ?? true;
+    if (pendingUpdate) notify(updateListener, "OnUpdateAvailable", pendingUpdate);
+}
+
+export function getPendingUpdate() {
+    return pendingUpdate;
+}
+
+function watchWorker(worker) {
+    worker.addEventListener("statechange", () => {
+        // Installed while another worker controls the page: a new service-worker.js is waiting
+        if (worker.state === "installed" && navigator.serviceWorker.controller) {
+            announceUpdate({ kind: "worker", version: null });
+        }
+    });
+}
+
+export async function registerServiceWorker() {
+    if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return false;
+
+    registration = await navigator.serviceWorker.register("service-worker.js");
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        announceUpdate({ kind: "worker", version: null });
+    }
+    registration.addEventListener("updatefound", () => {
+        if (registration.installing) watchWorker(registration.installing);
+    });
+
+    navigator.serviceWorker.addEventListener("message", (event) => {
+        const message = event.data || {};
+        if (message.type === "update-ready") {
+            announceUpdate({ kind: "build", version: message.version });
+        } else if (message.type === "update-applied") {
+            window.location.reload();
+        }
+    });
+
+    // A waiting worker took over after skip-waiting
+    let reloading = false;
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+        if (reloading || !pendingUpdate) return;
+        reloading = true;
+        window.location.reload();
+    });
+
+    await navigator.serviceWorker.ready;
+    checkForUpdate();
+    setInterval(checkForUpdate, UPDATE_CHECK_INTERVAL_MS);
+    return true;
+}
+
+registerServiceWorker().catch(error => console.warn("Service worker registration failed:", error));
@@ -0,0 +1,137 @@
+// resample.js
+// Filters for the last step of a downscale. imageOps first halves the image with drawImage until
+// it is less than twice the target size (each halving averages 2x2 blocks), then finishes with
+// one of these, so a 12 MP photo never goes to a thumbnail in a single aliasing drawImage.
+//
+// methods: "fast" (one drawImage from full size, the old behaviour), "halving" (halvings, then
+//   drawImage), "area" (halvings, then an exact area average), "lanczos" (halvings, then Lanczos-3)
+
+export const RESAMPLE_METHODS = ["fast", "halving", "area", "lanczos"];
+export const DEFAULT_RESAMPLE_METHOD = "lanczos";
+
+export function normalizeResampleMethod(method) {
+    if (method == null) return DEFAULT_RESAMPLE_METHOD;
+    const name = String(method).toLowerCase();
+    if (!RESAMPLE_METHODS.includes(name)) throw new Error(`Unknown resample method: ${method}`);
+    return name;
+}
+
+const LANCZOS_LOBES = 3;
+
+function lanczos(x) {
+    if (x === 0) return 1;
+    if (x <= -LANCZOS_LOBES || x >= LANCZOS_LOBES) return 0;
+    const px = Math.PI * x;
+    return LANCZOS_LOBES * Math.sin(px) * Math.sin(px / LANCZOS_LOBES) / (px * px);
+}
+
+// Source indices and normalised weights feeding each destination index along one axis
+function normalizeTaps(indices, weights) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return { indices: Int32Array.from(indices), weights: Float32Array.from(weights, w => w / total) };
+}
+
+function lanczosTaps(srcSize, dstSize) {
+    const scale = srcSize / dstSize;
+    // Widen the kernel when shrinking so it acts as a low-pass filter at the new size
+    const filterScale = Math.max(1, scale);
+    const support = LANCZOS_LOBES * filterScale;
+    const taps = [];
+    for (let i = 0; i < dstSize; i++) {
+        const center = (i + 0.5) * scale;
+        const start = Math.max(0, Math.floor(center - support));
+        const end = Math.min(srcSize - 1, Math.ceil(center + support));
+        const indices = [];
+        const weights = [];
+        for (let j = start; j <= end; j++) {
+            const weight = lanczos((j + 0.5 - center) / filterScale);
+            if (weight === 0) continue;
+            indices.push(j);
+            weights.push(weight);
+        }
+        taps.push(normalizeTaps(indices, weights));
+    }
+    return taps;
+}
+
+// Each destination pixel covers scale source pixels; weights are the overlap with each of them
+function areaTaps(srcSize, dstSize) {
+    const scale = srcSize / dstSize;
+    const taps = [];
+    for (let i = 0; i < dstSize; i++) {
+        const left = i * scale;
+        const right = Math.min(srcSize, (i + 1) * scale);
+        const indices = [];
+        const weights = [];
+        for (let j = Math.floor(left); j < Math.ceil(right); j++) {
+            const overlap = Math.min(j + 1, right) - Math.max(j, left);
+            if (overlap <= 0) continue;
+            indices.push(j);
+            weights.push(overlap);
+        }
+        taps.push(normalizeTaps(indices, weights));
+    }
+    return taps;
+}
+
+// Two passes (rows, then columns) on premultiplied alpha, so transparent pixels do not darken
+// their neighbours. Returns RGBA bytes for width x height.
+function resampleSeparable(src, srcWidth, srcHeight, width, height, tapsX, tapsY) {
+    const rows = new Float32Array(width * srcHeight * 4);
+    for (let y = 0; y < srcHeight; y++) {
+        const rowStart = y * srcWidth;
+        for (let x = 0; x < width; x++) {
+            const { indices, weights } = tapsX[x];
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let t = 0; t < indices.length; t++) {
+                const i = (rowStart + indices[t]) * 4;
+                const alpha = src[i + 3] * weights[t];
+                r += src[i] * alpha;
+                g += src[i + 1] * alpha;
+                b += src[i + 2] * alpha;
+                a += alpha;
+            }
+            const o = (y * width + x) * 4;
+            rows[o] = r;
+            rows[o + 1] = g;
+            rows[o + 2] = b;
+            rows[o + 3] = a;
+        }
+    }
+
+    const out = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const { indices, weights } = tapsY[y];
+        for (let x = 0; x < width; x++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let t = 0; t < indices.length; t++) {
+                const i = (indices[t] * width + x) * 4;
+                const weight = weights[t];
+                r += rows[i] * weight;
+                g += rows[i + 1] * weight;
+                b += rows[i + 2] * weight;
+                a += rows[i + 3] * weight;
+            }
+            const o = (y * width + x) * 4;
+            if (a > 0) {
+                out[o] = r / a;
+                out[o + 1] = g / a;
+                out[o + 2] = b / a;
+            }
+            out[o + 3] = a;
+        }
+    }
+    return out;
+}
+
+// Lanczos-3: sharp, with slight ringing at hard edges
+export function resampleLanczos(src, srcWidth, srcHeight, width, height) {
+    return resampleSeparable(src, srcWidth, srcHeight, width, height,
+        lanczosTaps(srcWidth, width), lanczosTaps(srcHeight, height));
+}
+
+// Area average: softer than Lanczos but never rings; meant for shrinking only
+export function resampleArea(src, srcWidth, srcHeight, width, height) {
+    return resampleSeparable(src, srcWidth, srcHeight, width, height,
+        areaTaps(srcWidth, width), areaTaps(srcHeight, height));
+}
@@ -0,0 +1,160 @@
+// storageManager.js
+// Storage quota monitoring for the library: browser estimate, per-store usage split into
+// image blobs and metadata, persistent storage requests, and a pre-import check that the
+// thumbnails of a batch will fit.
+
+import * as db from "./indexedDbAccessor.js";
+import { notify } from "./dotNetCallback.js";
+
+const USAGE_BATCH_SIZE = 200;
+
+// Keep this share of the quota free; browsers start evicting or failing writes near the limit
+const QUOTA_HEADROOM = 0.05;
+
+// Rough size of an encoded WebP thumbnail per pixel, and of an ImageData record
+const THUMBNAIL_BYTES_PER_PIXEL = 0.2;
+const RECORD_BYTES = 2048;
+
+// True for the quota errors the browsers raise (Chrome/Safari DOMException, older Firefox code)
+export function isQuotaExceededError(error) {
+    if (!error) return false;
+    return error.name === "QuotaExceededError"
+        || error.name === "NS_ERROR_DOM_QUOTA_REACHED"
+        || error.code === 22
+        || error.code === 1014;
+}
+
+// Usage and quota for the origin. Values are null where the browser does not report them.
+export async function getStorageEstimate() {
+    if (typeof navigator === "undefined" || !navigator.storage?.estimate) {
+        return { supported: false, usage: null, quota: null, available: null, percentUsed: null, persisted: false, details: null };
+    }
+
+    const estimate = await navigator.storage.estimate();
+    const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+    const usage = estimate.usage ?? 0;
+    const quota = estimate.quota ?? 0;
+
+    return {
+        supported: true,
+        usage,
+        quota,
+        available: Math.max(0, quota - usage),
+        percentUsed: quota > 0 ? Math.round(usage / quota * 1000) / 10 : null,
+        persisted,
+        details: estimate.usageDetails ?? null
+    };
+}
+
+// Ask the browser not to evict the library under storage pressure.
+// Returns { persisted, supported }; browsers may decide without prompting.
+export async function requestPersistentStorage() {
+    if (typeof navigator === "undefined" || !navigator.storage?.persist) {
+        return { persisted: false, supported: false };
+    }
+
+    if (await navigator.storage.persisted()) {
+        return { persisted: true, supported: true };
+    }
+
+    const persisted = await navigator.storage.persist();
+    console.log(persisted ? "Persistent storage granted" : "Persistent storage not granted; the library may be evicted under storage pressure");
+    return { persisted, supported: true };
+}
+
+// Bytes held in blobs and typed arrays anywhere inside a record
+function blobBytes(value) {
+    if (value instanceof Blob) return value.size;
+    if (value instanceof ArrayBuffer) return value.byteLength;
+    if (ArrayBuffer.isView(value)) return value.byteLength;
+    if (Array.isArray(value)) return value.reduce((sum, item) => sum + blobBytes(item), 0);
+    if (value && typeof value === "object") {
+        let sum = 0;
+        for (const item of Object.values(value)) sum += blobBytes(item);
+        return sum;
+    }
+    return 0;
+}
+
+// Approximate serialized size of the non-binary part of a record
+function metadataBytes(value) {
+    const json = JSON.stringify(value, (key, item) =>
+        item instanceof Blob || item instanceof ArrayBuffer || ArrayBuffer.isView(item) ? null : item);
+    // Structured clone stores strings as UTF-16 in practice
+    return json ? json.length * 2 : 0;
+}
+
+// Walk every store and total its records, blob bytes and metadata bytes.
+// progress: optional DotNetObjectReference exposing OnStorageUsageProgress, or a JS callback.
+export async function getStoreUsage(progress = null) {
+    const storeNames = await db.getStoreNames();
+    const stores = [];
+
+    for (let i = 0; i < storeNames.length; i++) {
+        const name = storeNames[i];
+        const usage = { name, count: 0, blobBytes: 0, metadataBytes: 0, totalBytes: 0 };
+        let afterKey = null;
+
+        for (;;) {
+            const { items, next } = await db.getBatchAfter(name, afterKey, USAGE_BATCH_SIZE);
+            for (const record of items) {
+                usage.count++;
+                usage.blobBytes += blobBytes(record);
+                usage.metadataBytes += metadataBytes(record);
+            }
+            if (next === null) break;
+            afterKey = next;
+        }
+
+        usage.totalBytes = usage.blobBytes + usage.metadataBytes;
+        stores.push(usage);
+        notify(progress, "OnStorageUsageProgress", { storeName: name, storeIndex: i, storeCount: storeNames.length });
+    }
+
+    const sum = (field) => stores.reduce((total, store) => total + store[field], 0);
+    return {
+        stores,
+        blobBytes: sum("blobBytes"),
+        metadataBytes: sum("metadataBytes"),
+        totalBytes: sum("totalBytes"),
+        estimate: await getStorageEstimate()
+    };
+}
+
+// Expected bytes an import adds: one thumbnail per size per file, plus the ImageData record.
+// sizes: [{ name, width, height }] as passed to startImport.
+export function estimateImportBytes(files, sizes = []) {
+    let total = 0;
+    for (const file of Array.from(files || [])) {
+        let fileTotal = RECORD_BYTES;
+        for (const size of sizes) {
+            // A thumbnail is rarely larger than the original upload
+            const estimate = size.width * size.height * THUMBNAIL_BYTES_PER_PIXEL;
+            fileTotal += file.size ? Math.min(estimate, file.size) : estimate;
+        }
+        total += fileTotal;
+    }
+    return Math.round(total);
+}
+
+// Check whether an import should fit in the remaining quota.
+// Returns { supported, fits, required, available, usage, quota }; fits is true when the
+// browser does not report a quota.
+export async function checkImportFits(files, sizes = []) {
+    const required = estimateImportBytes(files, sizes);
+    const estimate = await getStorageEstimate();
+    if (!estimate.supported || !estimate.quota) {
+        return { supported: false, fits: true, required, available: null, usage: null, quota: null };
+    }
+
+    const available = Math.max(0, estimate.quota * (1 - QUOTA_HEADROOM) - estimate.usage);
+    return {
+        supported: true,
+        fits: required <= available,
+        required,
+        available: Math.round(available),
+        usage: estimate.usage,
+        quota: estimate.quota,
+        persisted: estimate.persisted
+    };
+}
@@ -0,0 +1,390 @@
+// virtualGallery.js
+// Virtualised grid of ImageData thumbnails. Only the rows in (and just around) the viewport
+// exist in the DOM: a fixed pool of tile elements is repositioned as the user scrolls, and a
+// tile's object URL is released as soon as it scrolls out. Records are read page by page with
+// db.query, so a 20k photo library never has to be held in memory or laid out at once.
+//
+// The container must have a fixed height (it becomes the scroll viewport). Tiles reuse the
+// global .rtl-tile / .rtl-img classes from responsive-tile-list.css for selection and fade-in.
+
+import * as db from "./indexedDbAccessor.js";
+import { notify } from "./dotNetCallback.js";
+import { createUrlScope, disposeUrlScope, releaseObjectUrl } from "./objectUrlRegistry.js";
+
+// MudBlazor breakpoints (min widths), so columns can follow the gallery's per-breakpoint setting
+const BREAKPOINTS = [["xxl", 2560], ["xl", 1920], ["lg", 1280], ["md", 960], ["sm", 600], ["xs", 0]];
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_OVERSCAN_ROWS = 2;
+// Pages kept in memory; the rest are dropped and re-read when scrolled back to
+const MAX_CACHED_PAGES = 12;
+// Coalesce bursts of database changes (an import writes one record per file)
+const REFRESH_DELAY_MS = 300;
+
+function currentBreakpoint() {
+    const width = typeof window !== "undefined" ? window.innerWidth : 0;
+    return BREAKPOINTS.find(([, min]) => width >= min)[0];
+}
+
+// columns: a number, or { xs, sm, md, lg, xl, xxl } tiles per row; missing breakpoints fall back
+// to the next smaller one, and no setting at all fits as many tiles as the width allows
+function resolveColumns(columns, availableWidth, cellWidth) {
+    if (typeof columns === "number") return Math.max(1, Math.floor(columns));
+    if (columns && typeof columns === "object") {
+        const start = BREAKPOINTS.findIndex(([name]) => name === currentBreakpoint());
+        for (let i = start; i < BREAKPOINTS.length; i++) {
+            const value = columns[BREAKPOINTS[i][0]];
+            if (value) return Math.max(1, Math.floor(value));
+        }
+    }
+    return Math.max(1, Math.floor(availableWidth / cellWidth));
+}
+
+// Create a gallery in the element with id containerId.
+// options: {
+//   tileSize: { width, height } in CSS pixels - the gallery's current tile size (--tileWidth/--tileHeight)
+//   columns: tiles per row, a number or per breakpoint ({ xs, sm, md, lg, xl, xxl })
+//   gap: pixels between tiles (default 2, the 1px margin around gallery tiles)
+//   thumbnailField: ImageData field holding the thumbnail's IndexedDbFile id
+//   query: { index, range, direction, filter } as for db.query (default newest upload first)
+//   tileClass: extra classes for each tile (e.g. the size class "size-m")
+//   pageSize, overscanRows, selectedIds
+//   listener: DotNetObjectReference exposing OnGalleryTileClicked({ id, index, shiftKey, ctrlKey })
+//             and OnGalleryRangeChanged({ first, last, total }), or a JS callback
+// }
+export function createVirtualGallery(containerId, options = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) throw new Error(`Container ${containerId} not found`);
+
+    let tileSize = options.tileSize ?? { width: 160, height: 160 };
+    let columnSetting = options.columns ?? null;
+    let gap = options.gap ?? 2;
+    let thumbnailField = options.thumbnailField ?? null;
+    let query = { index: "UploadDate", direction: "prev", ...(options.query || {}) };
+    let tileClass = options.tileClass ?? "";
+    const pageSize = options.pageSize ?? DEFAULT_PAGE_SIZE;
+    const overscanRows = options.overscanRows ?? DEFAULT_OVERSCAN_ROWS;
+    const listener = options.listener ?? null;
+    const selected = new Set(options.selectedIds ?? []);
+
+    const urlScope = createUrlScope(`gallery ${containerId}`);
+    let generation = 0; // bumped on refresh so stale page reads are ignored
+    let pages = new Map(); // page index -> records
+    let cursors = [null]; // cursors[p] is the `after` to read page p; undefined until known
+    let endPage = null; // index of the last page once a read returned next: null
+    let loading = new Map(); // page index -> promise
+    let total = 0;
+    let totalKnown = false;
+    let columns = 1;
+    let rowHeight = tileSize.height + gap;
+    let lastRange = null;
+    let frame = 0;
+    let refreshTimer = null;
+
+    if (getComputedStyle(container).overflowY === "visible") container.style.overflowY = "auto";
+    if (getComputedStyle(container).position === "static") container.style.position = "relative";
+
+    const spacer = document.createElement("div");
+    spacer.style.position = "relative";
+    container.appendChild(spacer);
+
+    // Pool of tile elements; tile.index is the item shown, -1 when free
+    const pool = [];
+
+    function createTile() {
+        const element = document.createElement("div");
+        element.className = `rtl-tile ${tileClass}`.trim();
+        element.style.position = "absolute";
+        element.style.overflow = "hidden";
+        element.style.cursor = "pointer";
+        element.style.backgroundColor = "#182235";
+        element.style.width = `${tileSize.width}px`;
+        element.style.height = `${tileSize.height}px`;
+        const img = document.createElement("img");
+        img.className = "rtl-img transparent";
+        img.alt = "";
+        img.decoding = "async";
+        img.draggable = false;
+        img.style.width = "100%";
+        img.style.height = "100%";
+        img.style.objectFit = "cover";
+        img.onload = () => img.classList.replace("transparent", "fade-in");
+        element.appendChild(img);
+        spacer.appendChild(element);
+        const tile = { element, img, index: -1, id: null, url: null };
+        element.addEventListener("click", (e) => {
+            if (tile.index < 0) return;
+            notify(listener, "OnGalleryTileClicked", { id: tile.id, index: tile.index, shiftKey: e.shiftKey, ctrlKey: e.ctrlKey || e.metaKey });
+        });
+        pool.push(tile);
+        return tile;
+    }
+
+    // Let go of a tile's image so its URL can be revoked and its bitmap freed
+    function clearTile(tile) {
+        if (tile.url) releaseObjectUrl(tile.url, urlScope);
+        tile.url = null;
+        tile.id = null;
+        tile.index = -1;
+        tile.img.removeAttribute("src");
+        tile.img.classList.replace("fade-in", "transparent");
+        tile.element.style.display = "none";
+        tile.element.classList.remove("selected");
+    }
+
+    function layout() {
+        const cellWidth = tileSize.width + gap;
+        const previous = columns;
+        columns = resolveColumns(columnSetting, container.clientWidth, cellWidth);
+        rowHeight = tileSize.height + gap;
+        // Positions depend on the column count; placed tiles are laid out again by render
+        if (columns !== previous) {
+            for (const tile of pool) clearTile(tile);
+        }
+        const rows = Math.ceil(total / columns);
+        spacer.style.height = `${rows * rowHeight}px`;
+        // Centre the grid like .image-grid-wrapper does
+        spacer.style.width = `${columns * cellWidth}px`;
+        spacer.style.margin = "0 auto";
+        for (const tile of pool) {
+            tile.element.style.width = `${tileSize.width}px`;
+            tile.element.style.height = `${tileSize.height}px`;
+        }
+    }
+
+    function recordAt(index) {
+        return pages.get(Math.floor(index / pageSize))?.[index % pageSize] ?? null;
+    }
+
+    async function readPage(page, expected) {
+        const result = await db.query("ImageData", { ...query, limit: pageSize, after: cursors[page] });
+        if (expected !== generation) return;
+        pages.set(page, result.items);
+        cursors[page + 1] = result.next;
+        if (result.next === null) {
+            endPage = page;
+            total = page * pageSize + result.items.length;
+            totalKnown = true;
+        } else if (!totalKnown) {
+            // Unknown length: keep one page of room below what has been read so scrolling continues
+            total = Math.max(total, (page + 2) * pageSize);
+        }
+    }
+
+    // Pages can only be read in order (each resumes after the previous one), so a jump far
+    // down reads the pages in between; only their cursors are kept
+    function loadPage(page) {
+        if (pages.has(page) || (endPage !== null && page > endPage)) return Promise.resolve();
+        if (loading.has(page)) return loading.get(page);
+        const expected = generation;
+        const inFlight = loading;
+        const promise = (async () => {
+            if (cursors[page] === undefined && page > 0) await loadPage(page - 1);
+            if (expected !== generation || (endPage !== null && page > endPage)) return;
+            await readPage(page, expected);
+        })().finally(() => inFlight.delete(page));
+        inFlight.set(page, promise);
+        return promise;
+    }
+
+    function evictPages(firstPage, lastPage) {
+        if (pages.size <= MAX_CACHED_PAGES) return;
+        const far = [...pages.keys()]
+            .filter(page => page < firstPage || page > lastPage)
+            .sort((a, b) => Math.abs(b - firstPage) - Math.abs(a - firstPage));
+        while (pages.size > MAX_CACHED_PAGES && far.length > 0) pages.delete(far.shift());
+    }
+
+    async function showImage(tile, record) {
+        const blobId = typeof thumbnailField === "function" ? thumbnailField(record) : record[thumbnailField];
+        if (!blobId) return;
+        const index = tile.index;
+        const url = await db.getImageObjectUrl(blobId, urlScope);
+        if (!url) return;
+        // Scrolled past while the blob was read
+        if (tile.index !== index || tile.id !== record.id || tile.url) {
+            releaseObjectUrl(url, urlScope);
+            return;
+        }
+        tile.url = url;
+        tile.img.src = url;
+    }
+
+    function placeTile(tile, index, record) {
+        tile.index = index;
+        tile.id = record.id;
+        const row = Math.floor(index / columns);
+        const column = index % columns;
+        tile.element.style.transform = `translate(${column * (tileSize.width + gap) + gap / 2}px, ${row * rowHeight + gap / 2}px)`;
+        tile.element.style.display = "";
+        tile.element.classList.toggle("selected", selected.has(record.id));
+        tile.img.alt = record.ImageName ?? "";
+        showImage(tile, record).catch(error => console.warn(`Failed to load thumbnail for ${record.id}:`, error));
+    }
+
+    function render() {
+        frame = 0;
+        const firstRow = Math.max(0, Math.floor(container.scrollTop / rowHeight) - overscanRows);
+        const lastRow = Math.floor((container.scrollTop + container.clientHeight) / rowHeight) + overscanRows;
+        const first = firstRow * columns;
+        const last = Math.min(total - 1, (lastRow + 1) * columns - 1);
+
+        // Free the tiles that left the range or now show a different record. Tiles whose page
+        // is being re-read after a refresh stay as they are until it arrives.
+        const shown = new Map();
+        for (const tile of pool) {
+            if (tile.index < 0) continue;
+            const inRange = tile.index >= first && tile.index <= last;
+            const record = inRange ? recordAt(tile.index) : null;
+            if (inRange && (!record || record.id === tile.id)) {
+                shown.set(tile.index, tile);
+            } else {
+                clearTile(tile);
+            }
+        }
+
+        const free = pool.filter(tile => tile.index < 0);
+        const missingPages = new Set();
+        for (let index = first; index <= last; index++) {
+            if (shown.has(index)) continue;
+            const record = recordAt(index);
+            if (!record) {
+                missingPages.add(Math.floor(index / pageSize));
+                continue;
+            }
+            placeTile(free.pop() ?? createTile(), index, record);
+        }
+
+        const firstPage = Math.floor(first / pageSize);
+        const lastPage = Math.floor(Math.max(first, last) / pageSize);
+        evictPages(firstPage, lastPage);
+
+        if (missingPages.size > 0) {
+            const expected = generation;
+            Promise.all([...missingPages].map(loadPage))
+                .then(() => {
+                    if (expected !== generation) return;
+                    layout();
+                    schedule();
+                })
+                .catch(error => console.error("Failed to read gallery page:", error));
+        }
+
+        if (!lastRange || lastRange.first !== first || lastRange.last !== last || lastRange.total !== total) {
+            lastRange = { first, last, total };
+            notify(listener, "OnGalleryRangeChanged", { first, last, total, totalKnown });
+        }
+    }
+
+    function schedule() {
+        if (!frame) frame = requestAnimationFrame(render);
+    }
+
+    // Re-read from the database. Tiles on screen are kept (and reused if their record is still
+    // at the same position) unless clearTiles is set.
+    async function refresh(clearTiles = false) {
+        generation++;
+        pages = new Map();
+        cursors = [null];
+        endPage = null;
+        loading = new Map();
+        lastRange = null;
+        if (clearTiles) {
+            for (const tile of pool) clearTile(tile);
+        }
+
+        const expected = generation;
+        const filtered = query.range != null || query.filter != null;
+        if (filtered) {
+            // Length unknown until the last page is read; a background refresh keeps the old
+            // estimate so the scroll position survives
+            if (clearTiles) total = pageSize;
+            totalKnown = false;
+        } else {
+            const count = await db.count("ImageData");
+            if (expected !== generation) return;
+            total = count;
+            totalKnown = true;
+        }
+        layout();
+        schedule();
+    }
+
+    const onScroll = () => schedule();
+    const resizeObserver = new ResizeObserver(() => {
+        layout();
+        schedule();
+    });
+    container.addEventListener("scroll", onScroll, { passive: true });
+    resizeObserver.observe(container);
+
+    const subscription = db.subscribeChanges(() => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => {
+            refresh().catch(error => console.error("Failed to refresh gallery:", error));
+        }, REFRESH_DELAY_MS);
+    }, ["ImageData"]);
+
+    const ready = refresh();
+
+    return {
+        ready,
+        refresh: () => refresh(),
+        // Follow the gallery's tile size setting; columns and tileClass are optional
+        setTileSize(newTileSize, newColumns = columnSetting, newTileClass = tileClass) {
+            tileSize = newTileSize;
+            columnSetting = newColumns;
+            if (newTileClass !== tileClass) {
+                for (const tile of pool) {
+                    for (const name of tileClass.split(" ").filter(Boolean)) tile.element.classList.remove(name);
+                    for (const name of newTileClass.split(" ").filter(Boolean)) tile.element.classList.add(name);
+                }
+                tileClass = newTileClass;
+            }
+            // Keep the first visible item in view across the change of row height
+            const firstVisible = Math.floor(container.scrollTop / rowHeight) * columns;
+            layout();
+            for (const tile of pool) {
+                if (tile.index >= 0) clearTile(tile);
+            }
+            container.scrollTop = Math.floor(firstVisible / columns) * rowHeight;
+            schedule();
+        },
+        setGap(newGap) {
+            gap = newGap;
+            layout();
+            for (const tile of pool) clearTile(tile);
+            schedule();
+        },
+        // Change the sort/filter; options as for db.query (index, range, direction, filter)
+        setQuery(newQuery, newThumbnailField = thumbnailField) {
+            query = { index: "UploadDate", direction: "prev", ...(newQuery || {}) };
+            thumbnailField = newThumbnailField;
+            container.scrollTop = 0;
+            return refresh(true);
+        },
+        setSelected(ids) {
+            selected.clear();
+            for (const id of ids || []) selected.add(id);
+            for (const tile of pool) {
+                if (tile.index >= 0) tile.element.classList.toggle("selected", selected.has(tile.id));
+            }
+        },
+        scrollToIndex(index) {
+            container.scrollTop = Math.floor(index / columns) * rowHeight;
+            schedule();
+        },
+        getVisibleRange: () => lastRange,
+        dispose() {
+            generation++;
+            clearTimeout(refreshTimer);
+            if (frame) cancelAnimationFrame(frame);
+            db.unsubscribeChanges(subscription);
+            container.removeEventListener("scroll", onScroll);
+            resizeObserver.disconnect();
+            for (const tile of pool) clearTile(tile);
+            disposeUrlScope(urlScope);
+            spacer.remove();
+        }
+    };
+}
@@ -0,0 +1,553 @@
+self.assetsManifest = {
+  "version": "NEQDCgZY",
+  "assets": [
+    {
+      "hash": "sha256-CGkqAv3AIAMH+gZqhI+M9ygg1M2+w903X+0bn8MIGZY=",
+      "url": "Frontfoot.Fotorolr.App.styles.css"
+    },
+    {
+      "hash": "sha256-hzx3FeYu7VeScONShpbENB4zR67g5oGiT7AivYOQhss=",
+      "url": "_content/MudBlazor.ThemeManager/MudBlazorThemeManager.css"
+    },
+    {
+      "hash": "sha256-3FM/mjas9rQiq2CY+FQPy1Pe1iCLSx/qZltQxK4dcuQ=",
+      "url": "_content/MudBlazor/MudBlazor.min.css"
+    },
+    {
+      "hash": "sha256-Qf9/gSPxTxchB08Wi5WXxjPqw2IQvnyVUW27s7cwoUo=",
+      "url": "_content/MudBlazor/MudBlazor.min.js"
+    },
+    {
+      "hash": "sha256-UzXm5ONFC2YfuSahJleOJiIJNURatHcRQIkXq2hoPew=",
+      "url": "_framework/FluentValidation.b28mz0qrx7.wasm"
+    },
+    {
+      "hash": "sha256-trlaHBk6SMMALL+1A8da6ccReuNk3bWA/uggDyvDiLc=",
+      "url": "_framework/Frontfoot.FotoRolr.Engine.mosmble18q.wasm"
+    },
+    {
+      "hash": "sha256-XpiuTTynPNsZ+g907MZjyidHo5mB+ZB3ZySuI+1L1Bg=",
+      "url": "_framework/Frontfoot.Fotorolr.App.ql9rrd2v1l.wasm"
+    },
+    {
+      "hash": "sha256-FEdmoQhieH7GD4PjdbCaLGeNJ8mAwe3SGYr4lilPynw=",
+      "url": "_framework/Microsoft.AspNetCore.Components.0ru9l8yl02.wasm"
+    },
+    {
+      "hash": "sha256-/1TfBt/IOdk6vrNxUX8feUS6zNpQcpB7yORLmurmfsE=",
+      "url": "_framework/Microsoft.AspNetCore.Components.Forms.3fizxrs11t.wasm"
+    },
+    {
+      "hash": "sha256-kQ7brkVbJoCQgOgk7mjgfzVT8ATl6JJCH4Rk4SLYKm8=",
+      "url": "_framework/Microsoft.AspNetCore.Components.Web.nq7ljh0svz.wasm"
+    },
+    {
+      "hash": "sha256-H560SIvHQYjHhoF1C2YoS80eV3D1i3MhxCoHXBUIjPM=",
+      "url": "_framework/Microsoft.AspNetCore.Components.WebAssembly.d5ikp8jr8s.wasm"
+    },
+    {
+      "hash": "sha256-aUiPohQokoPNzMPWO1wTiyEdGP4fLKvlH6c/Ljq0Cag=",
+      "url": "_framework/Microsoft.Extensions.Configuration.Abstractions.3p9q0tbfus.wasm"
+    },
+    {
+      "hash": "sha256-Luy4avUj1y5XM82hPKxj5WQI3dXumGVEUjaDjV6wwRQ=",
+      "url": "_framework/Microsoft.Extensions.Configuration.Binder.inmilp7842.wasm"
+    },
+    {
+      "hash": "sha256-TxOo9nPmVL3U9K4TaX1871k0es8meg5RhQtvn2xXGbc=",
+      "url": "_framework/Microsoft.Extensions.Configuration.Json.x8nc4ezhyo.wasm"
+    },
+    {
+      "hash": "sha256-7udJ3LhuoseGP35HRO3+WYNlcFsSSawhTwCYnjxjImY=",
+      "url": "_framework/Microsoft.Extensions.Configuration.ywrjory681.wasm"
+    },
+    {
+      "hash": "sha256-KaBfmqyN+GOqZnUqtQeAXkpJl7FTPEK7IX8rjRgXM2Q=",
+      "url": "_framework/Microsoft.Extensions.DependencyInjection.Abstractions.n8yiu5hza8.wasm"
+    },
+    {
+      "hash": "sha256-5gwu0mYaoqPKE60PdSEdUGhQZoxYbCm0UBH1Hm+hZa8=",
+      "url": "_framework/Microsoft.Extensions.DependencyInjection.iqantsnbh2.wasm"
+    },
+    {
+      "hash": "sha256-tnMHqb6BpI1Jj9M9WNSAAJzzxHrQgov/aSXbFqc+xzk=",
+      "url": "_framework/Microsoft.Extensions.Localization.Abstractions.ixsppbtym0.wasm"
+    },
+    {
+      "hash": "sha256-6UgMJoVZBfDdfzYR0aKVK6BWArxpXC1qiQDDjiXw/L4=",
+      "url": "_framework/Microsoft.Extensions.Localization.bvn14pws96.wasm"
+    },
+    {
+      "hash": "sha256-qxE8OUjZkF3PFqBXdD8eRzaljIdk8xpuokes8Ugp4Bw=",
+      "url": "_framework/Microsoft.Extensions.Logging.Abstractions.dm7zd4yop1.wasm"
+    },
+    {
+      "hash": "sha256-d++3uvri7GMhyWGbCjeyHzOWjuav1kcihRQITVUffMk=",
+      "url": "_framework/Microsoft.Extensions.Logging.bjke0ozgr8.wasm"
+    },
+    {
+      "hash": "sha256-N4Pdni0Vvp8StBmlz+VTKFdfsZCjQ3d0EGhxpmcEISI=",
+      "url": "_framework/Microsoft.Extensions.Options.ConfigurationExtensions.z5msg52b3b.wasm"
+    },
+    {
+      "hash": "sha256-iCJ7MgEDmi8gJJ4kr+vCM0UW+W51Th0XAwRG1vPU9Ak=",
+      "url": "_framework/Microsoft.Extensions.Options.sv9qmqvsmm.wasm"
+    },
+    {
+      "hash": "sha256-WXYpl64HUqc9+prJOz6dOEVvB8PFJhTdfqUMB3ZGRGA=",
+      "url": "_framework/Microsoft.Extensions.Primitives.5pxr7nzxwe.wasm"
+    },
+    {
+      "hash": "sha256-FSdpoiPFge8wMQPtI2F14Zp45evtqBfC2JaRo7eGTG8=",
+      "url": "_framework/Microsoft.JSInterop.9vr45necf1.wasm"
+    },
+    {
+      "hash": "sha256-rhpkBOcrE3Jka5EriY0f6+d/lxnwAWpcDQrLBwRBYfg=",
+      "url": "_framework/Microsoft.JSInterop.WebAssembly.ynpjm7kaw7.wasm"
+    },
+    {
+      "hash": "sha256-pLoiWwJoQjNy9encATEn2LGRKFT38qzJb/W7quK0hOE=",
+      "url": "_framework/MudBlazor.8nyh9qak7o.wasm"
+    },
+    {
+      "hash": "sha256-xMF0eauQ5DkSzUozHLFFMQnL6DSJO09nJLtgag+Dzbw=",
+      "url": "_framework/System.8rv0tdtrxz.wasm"
+    },
+    {
+      "hash": "sha256-ErY8qqLmE+ipBBJfObICZH8N4P+fdQvzqyhtt+GrHqk=",
+      "url": "_framework/System.Collections.Concurrent.a1kex7vrhz.wasm"
+    },
+    {
+      "hash": "sha256-CW0XbITlmL+M/PGaIyk2Di9+I2ZncDiUiPN62RDp5xw=",
+      "url": "_framework/System.Collections.Immutable.3xhlx5tqj3.wasm"
+    },
+    {
+      "hash": "sha256-T5uSoaCuVrEoK66j6l1GThciRkaTSc/lokj6QtvCJxg=",
+      "url": "_framework/System.Collections.NonGeneric.zf10c2ccao.wasm"
+    },
+    {
+      "hash": "sha256-ijjeEbfNC2OlPfu308Dic4PzeBtw25E7AppHia8U1NA=",
+      "url": "_framework/System.Collections.Specialized.itxxyjpqle.wasm"
+    },
+    {
+      "hash": "sha256-EJ/NBxk1eKEZdZCRjxqUvyNaLXuDwxCuloQHsMKzQSc=",
+      "url": "_framework/System.Collections.c5lsx90bn2.wasm"
+    },
+    {
+      "hash": "sha256-U5Jd9oGyDhXgPZfBdkkVYJrEWAFvWO5cLdl5eBQX2p8=",
+      "url": "_framework/System.ComponentModel.Annotations.dcb1q9ajig.wasm"
+    },
+    {
+      "hash": "sha256-EuZei6d13SI5CcELbB864dMXM7hIJn751N0SWO7QS/s=",
+      "url": "_framework/System.ComponentModel.Primitives.isdpk8qeoc.wasm"
+    },
+    {
+      "hash": "sha256-L7GP8VM+27UWvnn7lnZumIJLz2K/Ag40CQv1HS/7MBg=",
+      "url": "_framework/System.ComponentModel.TypeConverter.zbszbb877p.wasm"
+    },
+    {
+      "hash": "sha256-P2bTPhn46nReTKHreFG6K47nCeDru/fCwA+UWdaZUK4=",
+      "url": "_framework/System.ComponentModel.rp2ud0tstw.wasm"
+    },
+    {
+      "hash": "sha256-BnevILmqbHU1bsaIVVoiLncTUq3Ai4nt/zpj2cT7U/Y=",
+      "url": "_framework/System.Console.qbyp5il44x.wasm"
+    },
+    {
+      "hash": "sha256-IQ6vuFR+te8gt26IlApBZ/869Krb6ZvmqNUdKMT4yow=",
+      "url": "_framework/System.Drawing.92tsgnwjbs.wasm"
+    },
+    {
+      "hash": "sha256-uQtqwQAZbZxSf7ZLt4rpEHl+q/icl3aLO3RU4MSlWmw=",
+      "url": "_framework/System.Drawing.Primitives.9s078h63yv.wasm"
+    },
+    {
+      "hash": "sha256-sFpmqVdAqQDZ3p7OG1hVS/G5U+lPu5OQGE45Q+ezz1o=",
+      "url": "_framework/System.IO.Compression.47h57a7616.wasm"
+    },
+    {
+      "hash": "sha256-FBW6K4TORa24v2L639DPjf309NTGkrj0iIqiJaPqcYA=",
+      "url": "_framework/System.IO.Pipelines.wn1erg3up3.wasm"
+    },
+    {
+      "hash": "sha256-ULdVipQT9yad+RBMozHqBC8r69qwPtp5Ae0c+SqQATQ=",
+      "url": "_framework/System.Linq.4ruo7co4rm.wasm"
+    },
+    {
+      "hash": "sha256-Lr+urdREgMvqarkQCzMxIyUG/c22Rq77XUWHUnS/I2Q=",
+      "url": "_framework/System.Linq.Expressions.iwkkyeor0v.wasm"
+    },
+    {
+      "hash": "sha256-8+ApALGRVAgh1shJG4LZ37QCqO00XtPad/v0F5qjSo0=",
+      "url": "_framework/System.Memory.vd0gb4k3e1.wasm"
+    },
+    {
+      "hash": "sha256-+vqyxdE1+UA7vISnsC/CoYMA3LXzaLr7Eh0hQkgL3nw=",
+      "url": "_framework/System.Net.Http.unyy781uvi.wasm"
+    },
+    {
+      "hash": "sha256-QGfRxDDetU99gZZiBvpOeKywUoZ1QVAfJ0vfm6HWcb4=",
+      "url": "_framework/System.Net.Primitives.om9mt4c0ro.wasm"
+    },
+    {
+      "hash": "sha256-wcmlpe+jkCyBS3vavLw0cdDgRBV+rg0VDjRGkcGTaZs=",
+      "url": "_framework/System.ObjectModel.7m6n1tcre6.wasm"
+    },
+    {
+      "hash": "sha256-jxrZohze8ZQ+MZrMYLW409bWmMZ4FXkYk6ZpOuSTEFc=",
+      "url": "_framework/System.Private.CoreLib.jbnigx2aan.wasm"
+    },
+    {
+      "hash": "sha256-dHjK3GRq+la1zBG6hJ7HIkUvnR3GR9emJVrMyjbKlkE=",
+      "url": "_framework/System.Private.Uri.ohdh59kkf0.wasm"
+    },
+    {
+      "hash": "sha256-biDnexS2clxWCwz/McIlX0PE5Vyem4w6S6FAnUxapcQ=",
+      "url": "_framework/System.Runtime.6a0g7ph14j.wasm"
+    },
+    {
+      "hash": "sha256-fcbhHB7hDI448FbXH9oGRMD0YiK7sml91c0Cfomkn6c=",
+      "url": "_framework/System.Runtime.InteropServices.JavaScript.lu7n7av6ff.wasm"
+    },
+    {
+      "hash": "sha256-SQ1+aS+lCxp43qhvbxWS01rhQfbvNeDSN0xyk2P9/Hc=",
+      "url": "_framework/System.Text.Encodings.Web.hq94nfnuw2.wasm"
+    },
+    {
+      "hash": "sha256-/841UawZqyu3DmqdnFfPBarbU1F3m/15biiwUGwB+rs=",
+      "url": "_framework/System.Text.Json.x4hdl1gf1t.wasm"
+    },
+    {
+      "hash": "sha256-H4LzSjvKFXvaQZfhLo7o+Y9zOmjfS0o9hA6lLyOG/rU=",
+      "url": "_framework/System.Text.RegularExpressions.pauyws2y7z.wasm"
+    },
+    {
+      "hash": "sha256-NRJrCML/bgT0y4z1J0jcjnxBh+liGkGW57g5zXxBsCE=",
+      "url": "_framework/System.Threading.Channels.7pcm8jxboa.wasm"
+    },
+    {
+      "hash": "sha256-KwIhJI6jOB9QNukQno4wl69mv3ZLBhfyoR7cG3cCq4s=",
+      "url": "_framework/System.Threading.Tasks.Parallel.vz2scqhb0i.wasm"
+    },
+    {
+      "hash": "sha256-uI2wy3KYMvdR+V58QCKUJQijeLB3wWe6k/cWQqFh8pI=",
+      "url": "_framework/System.Threading.ge79kjozzg.wasm"
+    },
+    {
+      "hash": "sha256-4f43wCEqCQZrDU65Pb6DNaa3+RMT//657GgWxZKr4fE=",
+      "url": "_framework/blazor.boot.json"
+    },
+    {
+      "hash": "sha256-+vIfWRbrna1rF+s8xknbrluJxgPx4vfKB0WJ74HdICo=",
+      "url": "_framework/blazor.webassembly.js"
+    },
+    {
+      "hash": "sha256-N+/jRbIsqVbSKyrJpXTfko/MbGFn4mYhGgK+pW+zQ7o=",
+      "url": "_framework/dotnet.js"
+    },
+    {
+      "hash": "sha256-62UC3VfSQyaGpPUm7iSjBYuQ1xD31WdRYY20NQ1K+Vs=",
+      "url": "_framework/dotnet.native.d2w7colv7e.wasm"
+    },
+    {
+      "hash": "sha256-ddUN4+taa/Qv7Mr8mLpunJO+0Xw3ViOqBvedhe57/hA=",
+      "url": "_framework/dotnet.native.l4ptthxatg.js"
+    },
+    {
+      "hash": "sha256-yfXUv1l/B489E8p12JxUvxly0JvHL9CCsoZUDlfGH9c=",
+      "url": "_framework/dotnet.runtime.drv0pr9n5o.js"
+    },
+    {
+      "hash": "sha256-SZLtQnRc0JkwqHab0VUVP7T3uBPSeYzxzDnpxPpUnHk=",
+      "url": "_framework/icudt_CJK.tjcz0u77k5.dat"
+    },
+    {
+      "hash": "sha256-8fItetYY8kQ0ww6oxwTLiT3oXlBwHKumbeP2pRF4yTc=",
+      "url": "_framework/icudt_EFIGS.tptq2av103.dat"
+    },
+    {
+      "hash": "sha256-L7sV7NEYP37/Qr2FPCePo5cJqRgTXRwGHuwF5Q+0Nfs=",
+      "url": "_framework/icudt_no_CJK.lfu7j35m59.dat"
+    },
+    {
+      "hash": "sha256-yO/G93rAYSjotmEpvmqmz58AcFJvlkLwFCsmgQUOrqc=",
+      "url": "appsettings.json"
+    },
+    {
+      "hash": "sha256-UPysmF66q88VHRjSysRoI7sqZZtas5knpjbuuP+FnrI=",
+      "url": "css/app.css"
+    },
+    {
+      "hash": "sha256-TZnd5n/pRaM54UUnRK+01nHN5UBv+3I4T2CDKlIu7F8=",
+      "url": "css/fonts.css"
+    },
+    {
+      "hash": "sha256-jAL+Y3J4JdjHYyr8FXTQbimszlifvAPUSkrUELQIw58=",
+      "url": "css/responsive-tile-list.css"
+    },
+    {
+      "hash": "sha256-4mWsDy3aHl36ZbGt8zByK7Pvd4kRUoNgTYzRnwmPHwg=",
+      "url": "favicon.png"
+    },
+    {
+      "hash": "sha256-YT8m2SPYRnLKzZ43/63Oa8JluwK2ElyenDch6QX1IVs=",
+      "url": "fonts/dosis-400.woff2"
+    },
+    {
+      "hash": "sha256-ev1IwJZHKg0qZGIDXCBJnK3Yt3c8XrqxgNl1aPk/C/w=",
+      "url": "fonts/dosis-700.woff2"
+    },
+    {
+      "hash": "sha256-kLDvjS7W1LRrTgEOezNbGCxFwzChW6w8p2SX265URwA=",
+      "url": "fonts/gloria-hallelujah-400.woff2"
+    },
+    {
+      "hash": "sha256-rtaMc4FzZJBv+V2XvockbRBr041eQ5fkhm7IMe4i97o=",
+      "url": "fonts/lobster-400.woff2"
+    },
+    {
+      "hash": "sha256-TAy+PuxQ0mB1TWgcF+4q9JpD1/2TzkKHf2ZfyxqIm4c=",
+      "url": "fonts/noto-serif-400.woff2"
+    },
+    {
+      "hash": "sha256-DQtEB2DJPm/sRArUONEM6mxwNnoPXs/PoVzvCoXGcJM=",
+      "url": "fonts/noto-serif-700.woff2"
+    },
+    {
+      "hash": "sha256-pjYbm0vYTNAkB6RnTgFYZCpR1flo8DZq34oZMCvsbAw=",
+      "url": "fonts/poiret-one-400.woff2"
+    },
+    {
+      "hash": "sha256-S2J1x5d/DNdpjTjHcmFJu7KpkC0z591IoZKoicGfWrY=",
+      "url": "fonts/pt-sans-narrow-400.woff2"
+    },
+    {
+      "hash": "sha256-yYgZMTEbd/k1Il1+6369A5VICnc3pW1Cd3jJhTSt44o=",
+      "url": "fonts/pt-sans-narrow-700.woff2"
+    },
+    {
+      "hash": "sha256-KZ8QpS/hQj3VV5/36D242+oxLx6STz4G5Vg5KGtNHB0=",
+      "url": "fonts/roboto-300.woff2"
+    },
+    {
+      "hash": "sha256-QlwHE6gXb5InPTeFmcfqxX3n+vq9S9DtRXtw64+A03E=",
+      "url": "fonts/roboto-400.woff2"
+    },
+    {
+      "hash": "sha256-W8w6oYDn8m9kPNWyYhzXwt4ZPQZh2ROpSv09SIGno0s=",
+      "url": "fonts/roboto-500.woff2"
+    },
+    {
+      "hash": "sha256-udZtFwgVb3Za2lGTm8JO0lna+mnrYxs25ENoD+nhWHk=",
+      "url": "fonts/roboto-700.woff2"
+    },
+    {
+      "hash": "sha256-SE6ZJbswReiKjuwRA6sSXm2+SGFy+1awb+Z1HItXCDk=",
+      "url": "fonts/roboto-slab-400.woff2"
+    },
+    {
+      "hash": "sha256-Zvp3qvtR+1BY4f1+NJd/VehElGALzLLUzJ0MvJmOtcs=",
+      "url": "fonts/roboto-slab-700.woff2"
+    },
+    {
+      "hash": "sha256-JJjAJ1WcSumpIOGOMAMRkxSJg+fqGVQW1ixdDqLqo6w=",
+      "url": "fonts/shadows-into-light-400.woff2"
+    },
+    {
+      "hash": "sha256-2rrjY6wK5sOyoTejL3EytCUgqK8lL4eqbCGY8qec+Rw=",
+      "url": "fonts/ubuntu-400.woff2"
+    },
+    {
+      "hash": "sha256-NligcX40fB242A3VZVhLncVnafv4eQnFCkp3QCBuxfc=",
+      "url": "fonts/ubuntu-700.woff2"
+    },
+    {
+      "hash": "sha256-DbpQaq68ZSb5IoPosBErM1QWBfsbTxpJqhU0REi6wP4=",
+      "url": "icon-192.png"
+    },
+    {
+      "hash": "sha256-12gpVMW9Gd9AZRUUihkb3tnK4TJ1aFkq2GcRXpvmbrQ=",
+      "url": "icon-512-maskable.png"
+    },
+    {
+      "hash": "sha256-zuWopOGtP41EPBM6fjHIsa62gpVoNnTKcKdnDU6BRik=",
+      "url": "icon-512.png"
+    },
+    {
+      "hash": "sha256-2GncxJavJKwpS7kgLGmta6Ft+pfsJgMsy1fNoPAETEo=",
+      "url": "img/howto-template.svg"
+    },
+    {
+      "hash": "sha256-CdnfU/dzrFbLyfZFAxiWxeLOoszCUzVoZR7Ao/70SmI=",
+      "url": "img/howto-tiles.svg"
+    },
+    {
+      "hash": "sha256-9LTwqBgizeOebAKvchvSel0sWB0QcGbjosCIlolMgpM=",
+      "url": "img/howto-wizard.svg"
+    },
+    {
+      "hash": "sha256-HicD1gYrGj6BVTzbsyg4Z5uGeXQwcSD5CEwWQ6xy4dY=",
+      "url": "img/mosaic-hero.svg"
+    },
+    {
+      "hash": "sha256-Uue8K/S9R4c7ktBctXlw1zm0k0BP036OfJZtuM6l2Bk=",
+      "url": "img/privacy-local.svg"
+    },
+    {
+      "hash": "sha256-LvUKeMpy/gwDXpFyKksw2ml9dP/mIniAkWSqPvDq4to=",
+      "url": "img/speed.svg"
+    },
+    {
+      "hash": "sha256-XsnS+na8jWJiyXYyARHRDZJe5y4HX/G14YNd290DC4s=",
+      "url": "img/upload.svg"
+    },
+    {
+      "hash": "sha256-VwTYr7omKcwIUD67kuKi4DWGWFs18nnu5KboOVNW+PM=",
+      "url": "index.html"
+    },
+    {
+      "hash": "sha256-laDScUHBCo3cCoMAoeh/zwyKMkFx9ESTPX7UAHBOxAk=",
+      "url": "js/canvasInteraction.js"
+    },
+    {
+      "hash": "sha256-N/xG5pskp3mI21a/nPaaoOEo5bwsH4kGlYcChrrKuuc=",
+      "url": "js/colorAdjust.js"
+    },
+    {
+      "hash": "sha256-3/5z1p6VGy8YIzdOG3acwC5exUpdJ3BCA/ZI7sMHYZY=",
+      "url": "js/colorScience.js"
+    },
+    {
+      "hash": "sha256-4cd3qPVDHnzHEEFoMXpVjnB9bXNQHj/3m+yYuVzShlc=",
+      "url": "js/crc32.js"
+    },
+    {
+      "hash": "sha256-3FTuNjvksCx1XkxDr9+JpWdyWgflTsT9s/StSpFmn9s=",
+      "url": "js/dotNetCallback.js"
+    },
+    {
+      "hash": "sha256-z7M32U0U9AWbG4lNxr1rLva2YkWH4OBHpEK5EsTjDvI=",
+      "url": "js/duplicateFinder.js"
+    },
+    {
+      "hash": "sha256-fZj1E2sDh7LbQUagphrAymslHXbWgUU8k8gWhF1w/Mo=",
+      "url": "js/exifReader.js"
+    },
+    {
+      "hash": "sha256-Pa3H5LI0zRkHtfM40ko0ykhwfHj7skDI7t0B/J/GQV8=",
+      "url": "js/fileSink.js"
+    },
+    {
+      "hash": "sha256-4XPdvQcoWIyb12snWB3DE8xRSHKUjuRvSJs1zHD6iwU=",
+      "url": "js/fontLoader.js"
+    },
+    {
+      "hash": "sha256-OydaE4rJcD0nJZZrYIXmEXwa3FJf1gmShjXdAxw34so=",
+      "url": "js/iccProfile.js"
+    },
+    {
+      "hash": "sha256-n0MnxA4Bhr43j54M3RGFwCi2iyLLFNj1Cg65Kxpi6Tc=",
+      "url": "js/imageEncoder.js"
+    },
+    {
+      "hash": "sha256-cc2mV3bbgPdtNzLYNCA3ju2oyQ+VqkeSabPnmBapHXc=",
+      "url": "js/imageIndexFields.js"
+    },
+    {
+      "hash": "sha256-nY0Lt90eubg62FDEaGMjk40N4i+qDbhTwNmMXBNAQVs=",
+      "url": "js/imageOps.js"
+    },
+    {
+      "hash": "sha256-4TmtBygVHCCqlgHhNYDsc+QZeYBeE9Urx+O8akVSjuw=",
+      "url": "js/imageProcessor.js"
+    },
+    {
+      "hash": "sha256-Bd8qsQOY7EFNDIUXMFJ9IpvervhiZF+SSnmtcm/UlK4=",
+      "url": "js/imageWorker.js"
+    },
+    {
+      "hash": "sha256-7NAweYeqaYLPcWLsVunflbJS0eF59d6bTju5werm0kg=",
+      "url": "js/imageWorkerPool.js"
+    },
+    {
+      "hash": "sha256-Fwq054ZTSTdUWZu7kaQg41s+WNQpoC4fjEovEqro4sc=",
+      "url": "js/importQueue.js"
+    },
+    {
+      "hash": "sha256-X2MdCJQVveOUrCswqP7w78xu1OYXUbZRTIdnod0rDyA=",
+      "url": "js/indexedDbAccessor.js"
+    },
+    {
+      "hash": "sha256-plMLQeYUCaBTa+qJHda1IibbvG5SAPYk+tEIqoPrRVs=",
+      "url": "js/lazyLoad.js"
+    },
+    {
+      "hash": "sha256-uj1KhtFoQ6CVlblbz4PyXZzNnO85HgBd0fydgCFWJeU=",
+      "url": "js/libraryBackup.js"
+    },
+    {
+      "hash": "sha256-KZXHXw2C69HIHj5ZrZLwhnN54YLRnWYcKXbjRrceqYU=",
+      "url": "js/libraryIntegrity.js"
+    },
+    {
+      "hash": "sha256-OL+nfemjaPS3uIQozSOXYgaa2rXnPsC9ey6EtqeVrps=",
+      "url": "js/mosaicExporter.js"
+    },
+    {
+      "hash": "sha256-kI8KI6hWF7AQZlOa45FUjCE8kg9DHP9ql+jGP21zvQs=",
+      "url": "js/objectUrlRegistry.js"
+    },
+    {
+      "hash": "sha256-wEnghOT1X/VPU+HLE2a0082wszN+1MdUpxiCs6W4Dzg=",
+      "url": "js/perceptualHash.js"
+    },
+    {
+      "hash": "sha256-aIs3qvjf0tUU2tKGBO40Lg/ydszCcDmdb5ZYLrTeD7A=",
+      "url": "js/printPdfExporter.js"
+    },
+    {
+      "hash": "sha256-+j9kpeEc+M+c4uyil/VL02KRF4MZNuOG38WEftZs9xo=",
+      "url": "js/pwa.js"
+    },
+    {
+      "hash": "sha256-uXS/oJHSEfoqG/zCDJsvnB5EOMDAmy6Gw8ixXh+xyMQ=",
+      "url": "js/resample.js"
+    },
+    {
+      "hash": "sha256-yRgBjHMCMRUruKFn7yUWKDv5lM92fU5qVbvaOGi81c8=",
+      "url": "js/storageManager.js"
+    },
+    {
+      "hash": "sha256-MVesttBryc0ZejdPlo4D3RQZGHBvyoU6w2ok2PUaTBU=",
+      "url": "js/vendor/avifDecoder.js"
+    },
+    {
+      "hash": "sha256-ZdD9Ky5BW/JxLDKWlNwrwlf8VPAlcsKdXEYhKubcbDw=",
+      "url": "js/vendor/avif_dec.js"
+    },
+    {
+      "hash": "sha256-XDXd4j39hiCIpJprip/oH5+aGkaqon3n79e6p2EcS0c=",
+      "url": "js/vendor/avif_dec.wasm"
+    },
+    {
+      "hash": "sha256-Bq02smDsW+0DpjT+3I4GaGnx2r7f730857PObCUJBc0=",
+      "url": "js/vendor/heifDecoder.js"
+    },
+    {
+      "hash": "sha256-0FKSJxrwCNMAzHW+N0/rj9NbQYpxQgpVbD+4F/ZitQI=",
+      "url": "js/vendor/libheif.js"
+    },
+    {
+      "hash": "sha256-fgTvUfI7562ArYwc08vNHZ1c3WzAMelufnt1ZTPjYyI=",
+      "url": "js/virtualGallery.js"
+    },
+    {
+      "hash": "sha256-dHogIaW+sIjAQtsB8bb5ItkjDZMm8YieB+Ju4XyU9dA=",
+      "url": "js/zoomUtil.js"
+    },
+    {
+      "hash": "sha256-y/ZLIKvFjGAXNRpTNayldeIUkTO93sPdXQ9tNQ+tcOc=",
+      "url": "manifest.webmanifest"
+    }
+  ]
+};
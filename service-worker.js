@@ -0,0 +1,255 @@
+// service-worker.js
+// Offline support. Everything the app needs is precached into a cache named after the version in
+// service-worker-assets.js, the asset manifest the build writes (ServiceWorkerAssetsManifest in
+// the app project): it lists every published file with its hash, so the version changes when any
+// of them does, not only the fingerprinted _framework files.
+// The page (js/pwa.js) asks for an update check; a new build is downloaded into its own cache
+// next to the running one, and only switched to when the user accepts the "update available"
+// prompt, so a tab never mixes files from two builds. Each page (and its workers) keeps being
+// served the build it loaded; an old build's cache is deleted once no open page uses it.
+
+const CACHE_PREFIX = "fotorolr-precache-";
+const META_CACHE = "fotorolr-meta";
+const ACTIVE_VERSION_KEY = "/__active-version";
+// Build precached by the installing worker; it goes live when that worker activates
+const INSTALLED_VERSION_KEY = "/__installed-version";
+const ASSETS_MANIFEST = "service-worker-assets.js";
+// Build each client was loaded from; followed by the client id
+const CLIENT_VERSION_PREFIX = "/__client-version/";
+
+// Manifest entries worth caching for offline use (same idea as the Blazor PWA template)
+const OFFLINE_ASSETS_INCLUDE = [/\.dll$/, /\.pdb$/, /\.wasm$/, /\.html$/, /\.js$/, /\.json$/, /\.css$/,
+    /\.woff2?$/, /\.png$/, /\.jpe?g$/, /\.gif$/, /\.ico$/, /\.svg$/, /\.blat$/, /\.dat$/, /\.webmanifest$/];
+const OFFLINE_ASSETS_EXCLUDE = [/^service-worker\.js$/];
+
+// Static hosts serve these pre-compressed siblings; they are cached too, for loaders that
+// fetch them directly and decompress in script
+const COMPRESSED_VARIANTS = [".br", ".gz"];
+
+let activeVersion = null;
+const clientVersions = new Map(); // client id -> version; mirrored in META_CACHE across restarts
+
+async function readActiveVersion() {
+    if (activeVersion) return activeVersion;
+    const meta = await caches.open(META_CACHE);
+    const response = await meta.match(ACTIVE_VERSION_KEY);
+    activeVersion = response ? await response.text() : null;
+    return activeVersion;
+}
+
+async function writeActiveVersion(version) {
+    const meta = await caches.open(META_CACHE);
+    await meta.put(ACTIVE_VERSION_KEY, new Response(version));
+    activeVersion = version;
+}
+
+async function takeInstalledVersion() {
+    const meta = await caches.open(META_CACHE);
+    const response = await meta.match(INSTALLED_VERSION_KEY);
+    await meta.delete(INSTALLED_VERSION_KEY);
+    return response ? await response.text() : null;
+}
+
+// Cache names cannot hold every character of a base64 hash
+function versionFromManifest(manifest) {
+    return String(manifest.version).replace(/[^A-Za-z0-9]/g, "").substring(0, 24);
+}
+
+// The manifest is a script (self.assetsManifest = {...}); read its object without running it
+async function fetchAssetsManifest() {
+    const response = await fetch(ASSETS_MANIFEST, { cache: "no-store" });
+    if (!response.ok) throw new Error(`Failed to fetch ${ASSETS_MANIFEST}: ${response.status}`);
+    const text = await response.clone().text();
+    const manifest = JSON.parse(text.substring(text.indexOf("{"), text.lastIndexOf("}") + 1));
+    if (!manifest.version || !Array.isArray(manifest.assets)) throw new Error(`${ASSETS_MANIFEST} has no version or assets`);
+    return { manifest, response };
+}
+
+function offlineAssets(manifest) {
+    return manifest.assets.filter(asset =>
+        OFFLINE_ASSETS_INCLUDE.some(pattern => pattern.test(asset.url))
+        && !OFFLINE_ASSETS_EXCLUDE.some(pattern => pattern.test(asset.url)));
+}
+
+// Download a build into its own cache. Every listed file must succeed and match its hash;
+// compressed variants of _framework files are optional since not every host has them.
+async function precache(manifest, manifestResponse) {
+    const version = versionFromManifest(manifest);
+    const cacheName = CACHE_PREFIX + version;
+    const cache = await caches.open(cacheName);
+
+    const assets = offlineAssets(manifest);
+    try {
+        // no-cache: revalidate with the server so the HTTP cache cannot hand back an older build
+        await cache.addAll(assets.map(asset => new Request(asset.url, { integrity: asset.hash, cache: "no-cache" })));
+    } catch (error) {
+        // An incomplete cache must not pass for a downloaded build later
+        await caches.delete(cacheName);
+        throw error;
+    }
+
+    const optional = assets.filter(asset => asset.url.startsWith("_framework/"))
+        .flatMap(asset => COMPRESSED_VARIANTS.map(extension => asset.url + extension));
+    await Promise.all(optional.map(url =>
+        cache.add(new Request(url, { cache: "no-cache" })).catch(() => null)));
+
+    // Written last: its presence marks the cache as complete
+    await cache.put(ASSETS_MANIFEST, manifestResponse);
+    return version;
+}
+
+function clientVersionKey(clientId) {
+    return new URL(CLIENT_VERSION_PREFIX + encodeURIComponent(clientId), self.location).href;
+}
+
+async function readClientVersion(clientId) {
+    if (clientVersions.has(clientId)) return clientVersions.get(clientId);
+    const meta = await caches.open(META_CACHE);
+    const response = await meta.match(clientVersionKey(clientId));
+    const version = response ? await response.text() : null;
+    if (version) clientVersions.set(clientId, version);
+    return version;
+}
+
+async function writeClientVersion(clientId, version) {
+    clientVersions.set(clientId, version);
+    const meta = await caches.open(META_CACHE);
+    await meta.put(clientVersionKey(clientId), new Response(version));
+}
+
+// Build to serve a request from. A navigation creates a page on the active build; a worker or
+// iframe inherits its creator's build; everything else uses the build its client loaded.
+async function versionForRequest(event) {
+    const active = await readActiveVersion();
+    if (event.request.mode === "navigate") {
+        if (event.resultingClientId && active) await writeClientVersion(event.resultingClientId, active);
+        return active;
+    }
+    const version = (event.clientId && await readClientVersion(event.clientId)) || active;
+    if (event.resultingClientId && version) await writeClientVersion(event.resultingClientId, version);
+    return version;
+}
+
+// Pin every open client without a recorded build to the one it is running, before the active
+// build changes under it
+async function pinOpenClients(version) {
+    if (!version) return;
+    for (const client of await self.clients.matchAll({ includeUncontrolled: true, type: "all" })) {
+        if (!(await readClientVersion(client.id))) await writeClientVersion(client.id, version);
+    }
+}
+
+// Delete build caches nothing uses any more: not active, not downloaded for an update, not
+// loaded by an open client. Records of closed clients are dropped on the way.
+async function deleteUnusedVersions(...keep) {
+    const inUse = new Set([await readActiveVersion(), ...keep]);
+    const meta = await caches.open(META_CACHE);
+    const installed = await meta.match(INSTALLED_VERSION_KEY);
+    if (installed) inUse.add(await installed.text());
+
+    const open = new Set((await self.clients.matchAll({ includeUncontrolled: true, type: "all" })).map(client => client.id));
+    const prefix = new URL(CLIENT_VERSION_PREFIX, self.location).href;
+    for (const request of await meta.keys()) {
+        if (!request.url.startsWith(prefix)) continue;
+        const clientId = decodeURIComponent(request.url.substring(prefix.length));
+        if (open.has(clientId)) {
+            inUse.add(await readClientVersion(clientId));
+        } else {
+            clientVersions.delete(clientId);
+            await meta.delete(request);
+        }
+    }
+
+    for (const name of await caches.keys()) {
+        if (name.startsWith(CACHE_PREFIX) && !inUse.has(name.substring(CACHE_PREFIX.length))) await caches.delete(name);
+    }
+}
+
+async function postToClients(message) {
+    for (const client of await self.clients.matchAll({ includeUncontrolled: true })) client.postMessage(message);
+}
+
+// Check the server for a newer build; download it and tell the pages once it is complete
+async function checkForUpdate() {
+    const { manifest, response } = await fetchAssetsManifest();
+    const version = versionFromManifest(manifest);
+    // Also the moment to drop builds whose pages have been closed; the server's build is kept
+    await deleteUnusedVersions(version);
+    const current = await readActiveVersion();
+    if (version === current) return { updateAvailable: false, version };
+
+    const cache = await caches.open(CACHE_PREFIX + version);
+    const ready = !!(await cache.match(ASSETS_MANIFEST));
+    if (!ready) await precache(manifest, response);
+    await postToClients({ type: "update-ready", version });
+    return { updateAvailable: true, version };
+}
+
+self.addEventListener("install", (event) => {
+    event.waitUntil((async () => {
+        const { manifest, response } = await fetchAssetsManifest();
+        const version = await precache(manifest, response);
+        // First install: nothing is running from a cache yet, so the build can go live now
+        if (!(await readActiveVersion())) await writeActiveVersion(version);
+        const meta = await caches.open(META_CACHE);
+        await meta.put(INSTALLED_VERSION_KEY, new Response(version));
+    })());
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil((async () => {
+        // A new worker only activates once the user accepted the update, so its build goes live too
+        const installed = await takeInstalledVersion();
+        if (installed) {
+            await pinOpenClients(await readActiveVersion());
+            await writeActiveVersion(installed);
+        }
+        await deleteUnusedVersions();
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener("message", (event) => {
+    const message = event.data || {};
+    if (message.type === "check-update") {
+        event.waitUntil(checkForUpdate().catch(error => {
+            console.warn("Update check failed:", error);
+        }));
+    } else if (message.type === "apply-update") {
+        // The page reloads after this. Other open tabs stay on their build until they reload, so
+        // its cache is only deleted once none of them use it.
+        event.waitUntil((async () => {
+            if (message.version && await caches.has(CACHE_PREFIX + message.version)) {
+                await pinOpenClients(await readActiveVersion());
+                await writeActiveVersion(message.version);
+                await deleteUnusedVersions();
+            }
+            event.source?.postMessage({ type: "update-applied", version: message.version ?? null });
+        })());
+    } else if (message.type === "skip-waiting") {
+        // A new service-worker.js is waiting; take over now
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    if (request.method !== "GET") return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    event.respondWith((async () => {
+        let version = await versionForRequest(event);
+        // A client's build can only be gone if its cache was cleared by the browser
+        if (version && !(await caches.has(CACHE_PREFIX + version))) version = await readActiveVersion();
+        const cache = version ? await caches.open(CACHE_PREFIX + version) : null;
+        if (cache) {
+            // Navigations get the app shell; Blazor routes everything through index.html
+            const lookup = request.mode === "navigate" ? "index.html" : request;
+            // ignoreSearch: MudBlazor is requested with a ?v= cache-buster
+            const cached = await cache.match(lookup, { ignoreSearch: true });
+            if (cached) return cached;
+        }
+        return fetch(request);
+    })());
+});